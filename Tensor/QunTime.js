@@ -2,7 +2,24 @@
 // ---------------------------------------------------------
 // Implements a parallel optimizer with "entanglement" via SharedArrayBuffer + Atomics.
 
-const { Worker } = require('worker_threads');
+const path = require('path');
+const { setMaxListeners } = require('events');
+const QunPool = require('./secret/QunPool');
+const SharedBest = require('./secret/SharedBest');
+const optimizers = require('./secret/optimizers');
+const { load } = require('./secret/taskLoader');
+const { EncPrimeError } = require('../errors');
+
+const CHUNKS = require.resolve('./secret/chunks');
+
+// What a worker needs to load `fn`: its source code, or its module path and export
+function taskOf(fn, exportName) {
+  return typeof fn === 'function' ? { source: fn.toString() } : { modulePath: path.resolve(fn), exportName };
+}
+
+function isSharedArray(array) {
+  return ArrayBuffer.isView(array) && array.buffer instanceof SharedArrayBuffer;
+}
 
 class QunTime {
   static entangled = false;
@@ -18,80 +35,420 @@ class QunTime {
     this.entangled = enable;
   }
 
+  /**
+   * Creates a pool of persistent worker threads. Pass it to `parallel` to reuse its
+   * workers across calls, and call `destroy()` on it when done.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.size=os.availableParallelism()] - The number of worker threads.
+   * @returns {QunPool}
+   *
+   * @example
+   *    const pool = QunTime.pool({ size: 4 });
+   *    try {
+   *        for (const job of jobs) results.push(await QunTime.parallel(job, 4, { pool }));
+   *    } finally {
+   *        await pool.destroy();
+   *    }
+   */
+  static pool(options) {
+    return new QunPool(options);
+  }
+
+  /**
+   * Creates a best score and solution that entangled workers share. Pass it to `parallel`
+   * to start from an earlier best, to share it across calls, or to read the winning
+   * solution afterwards.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.goal='minimize'] - `'minimize'` or `'maximize'` the score.
+   * @param {number} [options.dimensions=0] - The length of the solution vectors.
+   * @returns {SharedBest}
+   *
+   * @example
+   *    const best = QunTime.shared({ goal: 'maximize', dimensions: 2 });
+   *    await QunTime.parallel((startingBest, maybeUpdateShared, shared) => {
+   *        const x = shared.solution || [Math.random(), Math.random()];
+   *        maybeUpdateShared(-(x[0] ** 2) - (x[1] ** 2), x);
+   *    }, 4, { shared: best });
+   *    console.log(best.score, best.solution);
+   */
+  static shared(options) {
+    return SharedBest.create(options);
+  }
+
   /**
    * Executes a function in parallel across multiple worker threads.
    * If entangled mode is enabled, workers can share and update a common best solution.
    *
-   * @param {Function} fn - The function to be executed in parallel. It should accept two parameters:
+   * @param {Function|string} fn - The function to be executed in parallel, or the path of a module exporting it.
+   *                        A function is sent to the workers as source code, so it cannot use variables from
+   *                        the scope it was written in: pass them as `data`. It may return a Promise.
+   *                        It should accept four parameters:
    *                        1. startingBest: The initial best score (Infinity if not in entangled mode)
-   *                        2. maybeUpdateShared: A function to update the shared best score (no-op if not in entangled mode)
-   * @param {number} [count=4] - The number of worker threads to spawn. Defaults to 4.
-   * @returns {Promise<Array>} A promise that resolves to an array of results from all worker threads.
-   * @throws {Error} If any worker thread encounters an error during execution.
+   *                        2. maybeUpdateShared(score, solution): Records the score, and the solution vector that
+   *                           reached it, if it beats the shared best; returns whether it did (no-op if not in entangled mode)
+   *                        3. shared: The SharedBest, to read `score` and `solution` from (null if not in entangled mode)
+   *                        4. context: `{ index, count, data, transfer(...buffers), report(progress) }`, where
+   *                           `index` is this run's position from 0 to count - 1, `transfer` marks buffers of the
+   *                           result to move back instead of copying and `report` sends a progress value to
+   *                           `onProgress`
+   * @param {number} [count=4] - The number of times to run `fn`. Defaults to 4.
+   * @param {Object} [options]
+   * @param {QunPool} [options.pool] - Runs on this pool's workers. Without one, `count` workers are
+   *                                   started for the call and terminated when it settles.
+   * @param {SharedBest} [options.shared] - Runs in entangled mode on this shared best, from `QunTime.shared`.
+   * @param {string} [options.goal='minimize'] - In entangled mode without `shared`: `'minimize'` or `'maximize'`.
+   * @param {number} [options.dimensions=0] - In entangled mode without `shared`: the length of the solution vectors.
+   * @param {*} [options.data] - `context.data` for every run. A function is called as `data(index, count)`
+   *                             to give each run its own data, such as a seed or a slice of the input.
+   * @param {Function} [options.transfer] - `transfer(data, index)` returns the ArrayBuffers or typed arrays
+   *                                        in a run's data to move to its worker instead of copying.
+   * @param {string} [options.exportName='default'] - The export to run when `fn` is a module path.
+   * @param {AbortSignal} [options.signal] - Aborting it terminates the workers still running and rejects.
+   * @param {number} [options.timeout] - Milliseconds after which the runs still going are terminated.
+   * @param {Function} [options.onProgress] - Called as `onProgress(progress, index)` whenever a run
+   *                                          calls `context.report(progress)`.
+   * @returns {Promise<Array>} A promise that resolves to the results, one per run, in run order.
+   * @throws {WorkerError} `ERR_WORKER_FAILED` if any run throws or its worker exits without a result,
+   *                       `ERR_ABORTED` or `ERR_TIMEOUT` if the job is cancelled. The first failure
+   *                       terminates the workers of the runs still going. Use `parallelSettled` to keep
+   *                       the results of the runs that succeed.
    */
-  static async parallel(fn, count = 4) {
-    return new Promise((resolve, reject) => {
-      let completed = 0;
-      const results = [];
-  
-      const fnString = fn.toString();
-      const entangledEnabled = this.entangled;
-  
-      // Setup shared buffer if entangled
-      let sharedBuffer, sharedArray;
-      if (entangledEnabled) {
-        sharedBuffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT);
-        sharedArray = new Int32Array(sharedBuffer);
-        sharedArray[0] = Number.MAX_SAFE_INTEGER; // Initialize to max
-      }
-  
-      for (let i = 0; i < count; i++) {
-        const worker = new Worker(
-          `
-          const { parentPort, workerData } = require('worker_threads');
-          const fn = ${fnString};
-  
-          // Setup shared array if entangled
-          const entangled = workerData.entangled;
-          let sharedArray = null;
-          if (entangled && workerData.sharedBuffer) {
-            sharedArray = new Int32Array(workerData.sharedBuffer);
-          }
-  
-          function maybeUpdateShared(score) {
-            if (!sharedArray) return;
-            const scaled = Math.floor(score * 1e6);
-            const current = Atomics.load(sharedArray, 0);
-            if (scaled < current) {
-              Atomics.store(sharedArray, 0, scaled);
-            }
-          }
-  
-          // Read starting best from shared
-          const startingBest = sharedArray ? (Atomics.load(sharedArray, 0) / 1e6) : Infinity;
-  
-          const result = fn(startingBest, maybeUpdateShared);
-          parentPort.postMessage(result);
-        `,
-          {
-            eval: true,
-            workerData: {
-              entangled: entangledEnabled,
-              sharedBuffer: entangledEnabled ? sharedBuffer : null
-            }
-          }
-        );
-  
-        worker.on('message', result => {
-          results.push(result);
-          completed++;
-          if (completed === count) resolve(results);
-        });
-  
-        worker.on('error', reject);
-      }
+  static async parallel(fn, count = 4, options = {}) {
+    const { results, failure } = await this.#settle(fn, count, options, true);
+    if (failure) throw failure;
+    return results.map(({ value }) => value);
+  }
+
+  /**
+   * Runs `fn` like `parallel`, but waits for every run and reports how each one went, like
+   * `Promise.allSettled`. A failing run does not stop the others.
+   *
+   * @param {Function|string} fn - See `parallel`.
+   * @param {number} [count=4] - See `parallel`.
+   * @param {Object} [options] - See `parallel`. `signal` and `timeout` cancel only the runs still going.
+   * @returns {Promise<Array<{ index: number, status: string, value: *, error: Error, duration: number }>>}
+   *          One entry per run, in run order: `status` is `'fulfilled'` with the `value`, or `'rejected'`
+   *          with the `error`; `duration` is the milliseconds from the call until the run settled.
+   *
+   * @example
+   *    const runs = await QunTime.parallelSettled(search, 8, { timeout: 60000, onProgress: (p, i) => log(i, p) });
+   *    const finished = runs.filter(run => run.status === 'fulfilled').map(run => run.value);
+   */
+  static async parallelSettled(fn, count = 4, options = {}) {
+    const { results } = await this.#settle(fn, count, options, false);
+    return results;
+  }
+
+  /**
+   * Searches `bounds` for the point with the lowest (or highest) score, running a ready-made
+   * metaheuristic on several worker threads. Workers share the best point found so far in
+   * entangled mode, whatever `entangledMode` is set to, and steer their search towards it.
+   *
+   * @param {Function|string} objective - `objective(x, data)` returns the score of point `x`, or a Promise
+   *                                      of it. Sent to the workers as source code like a `parallel`
+   *                                      function, or the path of a module exporting it. Scores that are
+   *                                      not numbers count as the worst possible.
+   * @param {Object} options
+   * @param {Array|Object} options.bounds - `[[min, max], ...]` for points that are arrays, `{ name: [min, max] }`
+   *                                        for points that are objects. A bound may be `{ min, max, integer: true }`.
+   * @param {string} [options.strategy='random'] - `'random'` search, simulated `'annealing'`, a `'genetic'`
+   *                                               algorithm or particle `'swarm'` optimization.
+   * @param {string} [options.goal='minimize'] - `'minimize'` or `'maximize'` the score.
+   * @param {number} [options.workers=4] - The number of searches to run in parallel.
+   * @param {number} [options.iterations=1000] - Objective evaluations per worker.
+   * @param {*} [options.data] - Passed to the objective as its second argument.
+   * @param {string} [options.exportName='default'] - The export to use when `objective` is a module path.
+   * @param {QunPool} [options.pool] - Runs on this pool's workers.
+   * @param {AbortSignal} [options.signal] - Aborting it stops the search and rejects.
+   * @param {number} [options.timeout] - A time budget in milliseconds: when it runs out the workers are
+   *                                     stopped and the best point so far is returned.
+   * @param {Function} [options.onProgress] - Called with each new history entry.
+   * @param {number} [options.temperature] - Annealing: starting temperature, calibrated from the objective by default.
+   * @param {number} [options.stepSize=0.1] - Annealing: starting step, as a fraction of each range.
+   * @param {number} [options.restartEvery=0.1] - Annealing: fraction of the budget between jumps to the shared best.
+   * @param {number} [options.populationSize=30] - Genetic: individuals per worker.
+   * @param {number} [options.mutationRate=0.1] - Genetic: chance that a gene mutates.
+   * @param {number} [options.crossoverRate=0.9] - Genetic: chance that a child blends two parents.
+   * @param {number} [options.elitism=2] - Genetic: best individuals kept unchanged each generation.
+   * @param {number} [options.tournament=3] - Genetic: individuals per selection tournament.
+   * @param {number} [options.particles=20] - Swarm: particles per worker.
+   * @param {number} [options.inertia=0.72] - Swarm: share of the velocity kept each step.
+   * @param {number} [options.cognitive=1.49] - Swarm: pull towards each particle's own best.
+   * @param {number} [options.social=1.49] - Swarm: pull towards the shared best.
+   * @param {number} [options.maxVelocity=0.2] - Swarm: largest step, as a fraction of each range.
+   * @returns {Promise<{ solution: number[]|Object, score: number, evaluations: number,
+   *          history: Array<{ evaluations: number, score: number }> }>} The best point and its score, and
+   *          the best score after each checkpoint, by total evaluations so far.
+   * @throws {WorkerError} `ERR_WORKER_FAILED` if the objective throws, `ERR_ABORTED` if `signal` aborts.
+   * @throws {EncPrimeError} `ERR_BAD_INPUT` if the objective never returned a number.
+   *
+   * @example
+   *    const { solution, score } = await QunTime.optimize(
+   *        ([x, y]) => (1 - x) ** 2 + 100 * (y - x * x) ** 2,
+   *        { bounds: [[-2, 2], [-1, 3]], strategy: 'swarm', workers: 4, iterations: 5000 },
+   *    );
+   */
+  static async optimize(objective, {
+    bounds, strategy = 'random', goal = 'minimize', workers = 4, iterations = 1000, data, exportName,
+    pool, signal, timeout, onProgress, ...options
+  } = {}) {
+    if (typeof objective !== 'function' && typeof objective !== 'string') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'QunTime.optimize needs an objective function or a module path');
+    }
+    if (!optimizers.STRATEGIES.includes(strategy)) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', `strategy must be one of ${optimizers.STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'iterations must be a positive integer');
+    }
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'workers must be a positive integer');
+    }
+    if (onProgress !== undefined && typeof onProgress !== 'function') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'onProgress must be a function');
+    }
+
+    const { names, dimensions } = optimizers.normalizeSpace(bounds);
+    const shared = SharedBest.create({ goal, dimensions: dimensions.length });
+    const objectiveTask = taskOf(objective, exportName);
+
+    // Workers report { evaluations, score } checkpoints; the history keeps the running best
+    const evaluated = new Array(workers).fill(0);
+    const history = [];
+    const record = ({ evaluations, score }, index) => {
+      evaluated[index] = evaluations;
+      const last = history[history.length - 1];
+      const entry = {
+        evaluations: evaluated.reduce((sum, count) => sum + count, 0),
+        score: last && !shared.isBetter(score, last.score) ? last.score : score,
+      };
+      history.push(entry);
+      if (onProgress) onProgress(entry);
+    };
+
+    const runs = await this.parallelSettled(require.resolve('./secret/optimizers'), workers, {
+      exportName: 'run',
+      shared,
+      pool,
+      signal,
+      timeout,
+      onProgress: record,
+      data: { objectiveTask, bounds, strategy, goal, iterations, options, objectiveData: data },
     });
-  }
+
+    // Running out of time ends the search; anything else is an error
+    const failed = runs.find(({ status, error }) => status === 'rejected' && error.code !== 'ERR_TIMEOUT');
+    if (failed) throw failed.error;
+
+    const { score, solution } = shared.snapshot();
+    if (!solution) {
+      const timedOut = runs.find(({ status }) => status === 'rejected');
+      throw timedOut ? timedOut.error : new EncPrimeError('ERR_BAD_INPUT', 'The objective never returned a number');
+    }
+    return {
+      solution: optimizers.decode(solution, names),
+      score,
+      evaluations: evaluated.reduce((sum, count) => sum + count, 0),
+      history,
+    };
+  }
+
+  /**
+   * Maps an array in chunks on worker threads, like `array.map(fn)`, and puts the results
+   * back in order. A typed array gives a typed array of the same type: each chunk is copied
+   * once and moved to its worker and back without further copies. A typed array on a
+   * SharedArrayBuffer is not copied at all: workers read it and write into a shared result.
+   *
+   * @param {Array|TypedArray} array
+   * @param {Function|string} fn - `fn(value, index, data)`, sent to the workers as source code like a
+   *                               `parallel` function, or the path of a module exporting it. It may return a Promise.
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize] - Values per task. By default each worker gets about four chunks.
+   * @param {number} [options.workers=4] - The number of worker threads to start when there is no `pool`.
+   * @param {QunPool} [options.pool] - Runs on this pool's workers.
+   * @param {*} [options.data] - Passed to `fn` as its third argument, for example model weights.
+   * @param {string} [options.exportName='default'] - The export to use when `fn` is a module path.
+   * @param {AbortSignal} [options.signal] - See `parallel`.
+   * @param {number} [options.timeout] - See `parallel`.
+   * @returns {Promise<Array|TypedArray>} The mapped values, in the order of `array`.
+   * @throws {WorkerError} `ERR_WORKER_FAILED` if `fn` throws, `ERR_ABORTED` or `ERR_TIMEOUT` if cancelled.
+   *
+   * @example
+   *    const scores = await QunTime.map(samples, (x, i, { w }) => w[0] * x + w[1], { data: { w: [2, 1] } });
+   */
+  static async map(array, fn, { exportName, data, ...options } = {}) {
+    const task = this.#chunkTask(array, fn, exportName);
+    const output = isSharedArray(array)
+      ? new array.constructor(new SharedArrayBuffer(array.length * array.BYTES_PER_ELEMENT))
+      : null;
+
+    const results = await this.#runChunks('mapChunk', array, options, { task, data, output });
+    if (output) return output;
+    if (!ArrayBuffer.isView(array)) return results.flat(1);
+
+    const mapped = new array.constructor(array.length);
+    let offset = 0;
+    for (const chunk of results) {
+      mapped.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return mapped;
+  }
+
+  /**
+   * Reduces an array in chunks on worker threads, like `array.reduce(fn, initial)`. Each chunk
+   * is reduced from `initial` (or from its first value), then the chunk results are combined
+   * in order on this thread, so `fn` must be associative and `initial` must not change a result
+   * it is combined with, such as 0 for a sum.
+   *
+   * @param {Array|TypedArray} array
+   * @param {Function|string} fn - `fn(accumulator, value, index, data)`, sent like a `map` function.
+   * @param {*} [initial] - The starting value of each chunk.
+   * @param {Object} [options] - The options of `map`, and:
+   * @param {Function} [options.combine=fn] - `combine(a, b)` merges two chunk results.
+   * @returns {Promise<*>}
+   * @throws {EncPrimeError} `ERR_BAD_INPUT` if the array is empty and there is no `initial`.
+   * @throws {WorkerError} `ERR_WORKER_FAILED` if `fn` throws, `ERR_ABORTED` or `ERR_TIMEOUT` if cancelled.
+   *
+   * @example
+   *    const sum = await QunTime.reduce(new Float64Array(1e7).fill(0.5), (a, b) => a + b, 0);
+   */
+  static async reduce(array, fn, initial, { exportName, data, combine, ...options } = {}) {
+    const task = this.#chunkTask(array, fn, exportName);
+    const hasInitial = initial !== undefined;
+    if (array.length === 0) {
+      if (!hasInitial) throw new EncPrimeError('ERR_BAD_INPUT', 'Reduce of an empty array with no initial value');
+      return initial;
+    }
+    if (combine !== undefined && typeof combine !== 'function') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'combine must be a function of two chunk results');
+    }
+
+    const partials = await this.#runChunks('reduceChunk', array, options, { task, data, hasInitial, initial });
+    const merge = combine || (typeof fn === 'function' ? fn : await load(task));
+    let result = partials[0];
+    for (let i = 1; i < partials.length; i++) {
+      result = await merge(result, partials[i]);
+    }
+    return result;
+  }
+
+  static #chunkTask(array, fn, exportName) {
+    if (!Array.isArray(array) && !(ArrayBuffer.isView(array) && !(array instanceof DataView))) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'QunTime.map and QunTime.reduce need an array or a typed array');
+    }
+    if (typeof fn !== 'function' && typeof fn !== 'string') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'QunTime.map and QunTime.reduce need a function or a module path');
+    }
+    return taskOf(fn, exportName);
+  }
+
+  // Splits `array` into chunks and runs one `chunks` task per chunk, returning their results in order
+  static async #runChunks(exportName, array, { chunkSize, workers = 4, pool, signal, timeout }, chunkData) {
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'workers must be a positive integer');
+    }
+    if (chunkSize === undefined) {
+      chunkSize = Math.max(1, Math.ceil(array.length / ((pool ? pool.size : workers) * 4)));
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'chunkSize must be a positive integer');
+    }
+
+    const count = Math.ceil(array.length / chunkSize);
+    if (count === 0) return [];
+
+    const inPlace = isSharedArray(array);
+    const chunk = (index) => {
+      const start = index * chunkSize;
+      const end = Math.min(array.length, start + chunkSize);
+      return inPlace
+        ? { ...chunkData, input: array, start, end, offset: 0 }
+        : { ...chunkData, input: array.slice(start, end), start: 0, end: end - start, offset: start };
+    };
+
+    const runner = pool || new QunPool({ size: Math.min(workers, count) });
+    try {
+      return await this.parallel(CHUNKS, count, {
+        pool: runner,
+        exportName,
+        signal,
+        timeout,
+        data: chunk,
+        // Move copied typed-array chunks instead of cloning them again
+        transfer: ({ input }) => (!inPlace && ArrayBuffer.isView(input) ? [input] : []),
+      });
+    } finally {
+      if (!pool) await runner.destroy();
+    }
+  }
+
+  static async #settle(fn, count, {
+    pool, shared, goal, dimensions, data, transfer, exportName, signal, timeout, onProgress,
+  }, failFast) {
+    if (typeof fn !== 'function' && typeof fn !== 'string') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'QunTime.parallel needs a function or a module path to run');
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'count must be a positive integer');
+    }
+    if (pool !== undefined && !(pool instanceof QunPool)) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'pool must come from QunTime.pool()');
+    }
+    if (transfer !== undefined && typeof transfer !== 'function') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'transfer must be a function of (data, index)');
+    }
+    if (onProgress !== undefined && typeof onProgress !== 'function') {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'onProgress must be a function');
+    }
+    if (shared !== undefined && !(shared instanceof SharedBest)) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'shared must come from QunTime.shared()');
+    }
+
+    // Setup shared best if entangled
+    if (shared === undefined && this.entangled) {
+      shared = SharedBest.create({ goal, dimensions });
+    }
+
+    // The first failure cancels the other runs when failing fast
+    const stop = new AbortController();
+    const jobSignal = signal ? AbortSignal.any([signal, stop.signal]) : stop.signal;
+    setMaxListeners(0, jobSignal); // One listener per run, removed as it settles
+    const started = performance.now();
+    let failure = null;
+
+    const runner = pool || new QunPool({ size: count });
+    try {
+      const results = await Promise.all(Array.from({ length: count }, async (_, index) => {
+        try {
+          const runData = typeof data === 'function' ? data(index, count) : data;
+          const value = await runner.run(fn, {
+            shared,
+            index,
+            count,
+            exportName,
+            data: runData,
+            transfer: transfer ? transfer(runData, index) : [],
+            signal: jobSignal,
+            timeout,
+            onProgress: onProgress && (progress => onProgress(progress, index)),
+          });
+          return { index, status: 'fulfilled', value, duration: performance.now() - started };
+        } catch (error) {
+          if (failFast && !failure) {
+            failure = error;
+            stop.abort(error);
+          }
+          return { index, status: 'rejected', error, duration: performance.now() - started };
+        }
+      }));
+      return { results, failure };
+    } finally {
+      if (!pool) await runner.destroy();
+    }
+  }
 }
 
 module.exports = QunTime;
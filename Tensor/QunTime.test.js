@@ -0,0 +1,290 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QunTime = require('./QunTime');
+
+// Sent to the workers as source code: blocks the worker until it is terminated
+const block = () => {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 60000);
+};
+
+// Sent to the workers as source code: finishes after `context.data` milliseconds
+const sleep = (startingBest, maybeUpdateShared, shared, { index, data }) => new Promise(resolve => {
+  setTimeout(() => resolve(index), typeof data === 'number' ? data : data[index]);
+});
+
+test('parallel resolves one result per run, in run order', async () => {
+  assert.deepEqual(await QunTime.parallel(() => 6 * 7, 3), [42, 42, 42]);
+  assert.deepEqual(await QunTime.parallel(sleep, 3, { data: [30, 0, 10] }), [0, 1, 2]);
+});
+
+test('each run gets its index, the count and its own data', async () => {
+  const describe = (startingBest, maybeUpdateShared, shared, { index, count, data }) => ({ index, count, data });
+  assert.deepEqual(await QunTime.parallel(describe, 2, { data: 'same' }), [
+    { index: 0, count: 2, data: 'same' },
+    { index: 1, count: 2, data: 'same' },
+  ]);
+  assert.deepEqual(
+    (await QunTime.parallel(describe, 3, { data: (index, count) => [index * 10, count] })).map(({ data }) => data),
+    [[0, 3], [10, 3], [20, 3]],
+  );
+});
+
+test('async tasks are awaited and buffers can be transferred both ways', async () => {
+  const input = new Float64Array([1, 2, 3]);
+  const [doubled] = await QunTime.parallel(async (startingBest, maybeUpdateShared, shared, { data, transfer }) => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const result = data.map(x => x * 2);
+    transfer(result);
+    return result;
+  }, 1, { data: input, transfer: data => [data] });
+
+  assert.deepEqual(Array.from(doubled), [2, 4, 6]);
+  assert.equal(input.byteLength, 0);
+  await assert.rejects(QunTime.parallel(() => 1, 1, { data: input, transfer: data => [data] }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.parallel(() => 1, 1, { data: { callback: () => {} } }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('tasks can be modules, run by export name', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quntime-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'task.js');
+  fs.writeFileSync(file, [
+    'const path = require("path");',
+    'module.exports = (best, update, shared, { data }) => path.basename(data);',
+    'module.exports.square = (best, update, shared, { index }) => index * index;',
+  ].join('\n'));
+
+  assert.deepEqual(await QunTime.parallel(file, 1, { data: '/a/b.txt' }), ['b.txt']);
+  assert.deepEqual(await QunTime.parallel(file, 3, { exportName: 'square' }), [0, 1, 4]);
+  await assert.rejects(QunTime.parallel(file, 1, { exportName: 'missing' }), { code: 'ERR_WORKER_FAILED', message: /does not export/ });
+});
+
+test('parallel checks its arguments', async () => {
+  await assert.rejects(QunTime.parallel(42), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.parallel(() => 1, 1, { transfer: [] }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.parallel(() => 1, 0), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.parallel(() => 1, 1, { pool: {} }), { code: 'ERR_INVALID_OPTION' });
+  assert.throws(() => QunTime.pool({ size: 0 }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('aborting the signal rejects with ERR_ABORTED', async () => {
+  const controller = new AbortController();
+  const job = QunTime.parallel(sleep, 2, { data: 60000, signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(job, { code: 'ERR_ABORTED' });
+
+  await assert.rejects(QunTime.parallel(sleep, 2, { data: 0, signal: AbortSignal.abort() }), { code: 'ERR_ABORTED' });
+});
+
+test('runs that outlive the timeout reject with ERR_TIMEOUT', async () => {
+  const started = Date.now();
+  await assert.rejects(QunTime.parallel(sleep, 2, { data: 60000, timeout: 200 }), { code: 'ERR_TIMEOUT' });
+  assert.ok(Date.now() - started < 10000);
+});
+
+test('parallelSettled keeps the runs that finish before the timeout', async () => {
+  const runs = await QunTime.parallelSettled(sleep, 3, { data: [0, 60000, 0], timeout: 500 });
+
+  assert.deepEqual(runs.map(({ status }) => status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(runs[0].value, 0);
+  assert.equal(runs[1].error.code, 'ERR_TIMEOUT');
+});
+
+test('runs report progress to onProgress', async () => {
+  const reports = [];
+  await QunTime.parallel((startingBest, maybeUpdateShared, shared, { index, report }) => {
+    report(0.5);
+    report(1);
+    return index;
+  }, 2, { onProgress: (progress, index) => reports.push([index, progress]) });
+
+  assert.deepEqual(reports.sort(), [[0, 0.5], [0, 1], [1, 0.5], [1, 1]]);
+  await assert.rejects(QunTime.parallel(() => 1, 1, { onProgress: 'log' }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.parallel(() => 1, 1, { timeout: -1 }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('a run that throws rejects with ERR_WORKER_FAILED', async () => {
+  const failing = () => {
+    throw new Error('boom');
+  };
+  await assert.rejects(QunTime.parallel(failing, 2), { name: 'WorkerError', code: 'ERR_WORKER_FAILED', message: /boom/ });
+});
+
+test('entangled runs share the best score and solution', async (t) => {
+  QunTime.entangledMode(true);
+  t.after(() => QunTime.entangledMode(false));
+  const pool = QunTime.pool({ size: 1 });
+  t.after(() => pool.destroy());
+
+  const results = await QunTime.parallel((startingBest, maybeUpdateShared) => {
+    maybeUpdateShared(startingBest === Infinity ? 0.5 : startingBest / 2);
+    return startingBest;
+  }, 3, { pool });
+  assert.deepEqual(results, [Infinity, 0.5, 0.25]);
+});
+
+test('parallel reports the winning solution through QunTime.shared', async () => {
+  const best = QunTime.shared({ goal: 'maximize', dimensions: 2 });
+  await QunTime.parallel((startingBest, maybeUpdateShared) => {
+    for (let i = 0; i < 200; i++) {
+      const x = [Math.random() * 2 - 1, Math.random() * 2 - 1];
+      maybeUpdateShared(-(x[0] ** 2) - (x[1] ** 2), x);
+    }
+  }, 3, { shared: best });
+
+  const { score, solution } = best.snapshot();
+  assert.ok(score > -0.1 && score <= 0, String(score));
+  assert.ok(Math.abs(score + solution[0] ** 2 + solution[1] ** 2) < 1e-12);
+  await assert.rejects(QunTime.parallel(() => 1, 1, { shared: {} }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('a pool keeps its workers between calls and replaces crashed ones', async (t) => {
+  const pool = QunTime.pool({ size: 1 });
+  t.after(() => pool.destroy());
+  const count = () => {
+    globalThis.runs = (globalThis.runs || 0) + 1;
+    return globalThis.runs;
+  };
+
+  assert.deepEqual(await QunTime.parallel(count, 2, { pool }), [1, 2]);
+  assert.deepEqual(await QunTime.parallel(count, 1, { pool }), [3]);
+
+  await assert.rejects(QunTime.parallel(() => process.exit(3), 1, { pool }), { code: 'ERR_WORKER_FAILED', message: /code 3/ });
+  assert.deepEqual(await QunTime.parallel(count, 1, { pool }), [1]);
+  assert.equal(pool.size, 1);
+});
+
+test('destroying a pool rejects its running and queued tasks', async () => {
+  const pool = QunTime.pool({ size: 1 });
+  const running = assert.rejects(pool.run(block), { code: 'ERR_POOL_DESTROYED' });
+  const queued = assert.rejects(pool.run(block), { code: 'ERR_POOL_DESTROYED' });
+  assert.equal(pool.busy, 1);
+  assert.equal(pool.pending, 1);
+
+  await pool.destroy();
+  await running;
+  await queued;
+  assert.equal(pool.destroyed, true);
+  await assert.rejects(QunTime.parallel(() => 1, 1, { pool }), { code: 'ERR_POOL_DESTROYED' });
+});
+
+test('a pool cancels its tasks when destroyed, and keeps its workers after a cancelled job', async () => {
+  const pool = QunTime.pool({ size: 2 });
+  try {
+    const controller = new AbortController();
+    const cancelled = QunTime.parallel(sleep, 2, { data: 60000, pool, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(cancelled, { code: 'ERR_ABORTED' });
+    assert.deepEqual(await QunTime.parallel(sleep, 2, { data: 0, pool }), [0, 1]);
+
+    const running = assert.rejects(QunTime.parallel(sleep, 2, { data: 60000, pool }), { code: 'ERR_POOL_DESTROYED' });
+    await pool.destroy();
+    await running;
+    await assert.rejects(QunTime.parallel(sleep, 1, { data: 0, pool }), { code: 'ERR_POOL_DESTROYED' });
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('optimize finds the minimum with every strategy', async () => {
+  const sphere = ([x, y]) => (x - 1) ** 2 + (y + 2) ** 2;
+  for (const strategy of ['random', 'annealing', 'genetic', 'swarm']) {
+    const { solution, score, evaluations, history } = await QunTime.optimize(sphere, {
+      bounds: [[-5, 5], [-5, 5]], strategy, workers: 2, iterations: 2000,
+    });
+
+    assert.ok(score < 0.5, `${strategy} scored ${score}`);
+    assert.equal(solution.length, 2);
+    assert.equal(evaluations, 4000);
+    assert.ok(history.length > 0);
+    // The history keeps the running best, so it never gets worse
+    for (let i = 1; i < history.length; i++) {
+      assert.ok(history[i].score <= history[i - 1].score);
+    }
+  }
+});
+
+test('optimize maximizes over named and integer bounds, passing data to the objective', async () => {
+  const { solution, score } = await QunTime.optimize(({ a, b }, target) => -Math.abs(a - target) - Math.abs(b - target), {
+    bounds: { a: [0, 10], b: { min: 0, max: 10, integer: true } },
+    goal: 'maximize',
+    data: 3,
+    workers: 2,
+    iterations: 500,
+  });
+
+  assert.deepEqual(Object.keys(solution), ['a', 'b']);
+  assert.ok(Number.isInteger(solution.b));
+  assert.ok(score > -1);
+});
+
+test('optimize checks its options and reports objectives that fail', async () => {
+  const bounds = [[0, 1]];
+  await assert.rejects(QunTime.optimize(42, { bounds }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.optimize(([x]) => x, { bounds, strategy: 'hill' }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.optimize(([x]) => x, { bounds, iterations: 0 }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.optimize(([x]) => x, { bounds: [[1, 0]] }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.optimize(([x]) => x, { bounds: [] }), { code: 'ERR_INVALID_OPTION' });
+
+  const failing = () => {
+    throw new Error('boom');
+  };
+  await assert.rejects(QunTime.optimize(failing, { bounds, workers: 1, iterations: 10 }), { code: 'ERR_WORKER_FAILED' });
+  await assert.rejects(QunTime.optimize(() => 'high', { bounds, workers: 1, iterations: 10 }), { code: 'ERR_BAD_INPUT' });
+});
+
+test('map keeps the order of plain and typed arrays, and passes index and data', async () => {
+  const values = Array.from({ length: 25 }, (_, i) => i);
+  assert.deepEqual(
+    await QunTime.map(values, (x, i, { scale }) => x * scale + i, { data: { scale: 2 }, workers: 2, chunkSize: 4 }),
+    values.map(x => x * 3),
+  );
+
+  const typed = Float64Array.from(values);
+  const mapped = await QunTime.map(typed, async x => x / 2, { workers: 2 });
+  assert.ok(mapped instanceof Float64Array);
+  assert.deepEqual(Array.from(mapped), values.map(x => x / 2));
+  // The input is copied before its chunks are moved to the workers
+  assert.equal(typed[24], 24);
+
+  assert.deepEqual(await QunTime.map([], x => x), []);
+});
+
+test('map writes shared typed arrays into a shared result', async () => {
+  const input = new Int32Array(new SharedArrayBuffer(10 * Int32Array.BYTES_PER_ELEMENT));
+  input.forEach((_, i) => { input[i] = i; });
+  const output = await QunTime.map(input, x => x * x, { workers: 2, chunkSize: 3 });
+
+  assert.ok(output instanceof Int32Array);
+  assert.ok(output.buffer instanceof SharedArrayBuffer);
+  assert.deepEqual(Array.from(output), [0, 1, 4, 9, 16, 25, 36, 49, 64, 81]);
+});
+
+test('reduce combines chunk results in order', async () => {
+  const words = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+  assert.equal(await QunTime.reduce(words, (a, b) => a + b, '', { workers: 2, chunkSize: 2 }), 'abcdefg');
+  assert.equal(await QunTime.reduce(new Float64Array(1000).fill(0.5), (a, b) => a + b, 0, { workers: 2 }), 500);
+  assert.equal(await QunTime.reduce([3, 9, 4], (a, b) => Math.max(a, b), undefined, { chunkSize: 1 }), 9);
+  assert.equal(
+    await QunTime.reduce([1, 2, 3, 4], (count, x) => count + (x % 2), 0, { combine: (a, b) => a + b, chunkSize: 2 }),
+    2,
+  );
+  assert.equal(await QunTime.reduce([], (a, b) => a + b, 7), 7);
+});
+
+test('map and reduce check their arguments and report failures', async () => {
+  await assert.rejects(QunTime.map('text', x => x), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.map([1], 42), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.map([1], x => x, { chunkSize: 0 }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.map([1], x => x, { workers: 0 }), { code: 'ERR_INVALID_OPTION' });
+  await assert.rejects(QunTime.reduce([], (a, b) => a + b), { code: 'ERR_BAD_INPUT' });
+  await assert.rejects(QunTime.reduce([1, 2], (a, b) => a + b, 0, { combine: 'sum' }), { code: 'ERR_INVALID_OPTION' });
+
+  const failing = () => {
+    throw new Error('boom');
+  };
+  await assert.rejects(QunTime.map([1, 2], failing), { code: 'ERR_WORKER_FAILED', message: /boom/ });
+});
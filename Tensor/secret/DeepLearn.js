@@ -1,5 +1,6 @@
 const brain = require('brain.js');
-const math = require('mathjs');
+const Dense = require('./Dense.js');
+const metrics = require('./metrics.js');
 
 class DeepLearn {
     constructor(options = {}) {
@@ -20,14 +21,9 @@ class DeepLearn {
 
         // 🧠 بناء الشبكة العصبية بعد تعديل options
         this.net = new brain.NeuralNetwork(options);
-        this.m = math.zeros(this.net.weights.length);
-        this.v = math.zeros(this.net.weights.length);
-        this.t = 0; // عداد الخطوات للمحسن
 
         // باقي المتغيرات
-        this.optimizer = options.optimizer || 'adam';
         this.learningRate = options.learningRate || 0.001;
-        this.batchSize = options.batchSize || 32;
         this.qTable = new Map();
         this.isReinforcement = isReinforcement;
 
@@ -41,32 +37,79 @@ class DeepLearn {
 
     }
 
-    train(data, options) {
-        const batchedData = this.#batchData(data, this.batchSize);
-        let totalError = 0;
-        delete options.ReinforcementLearning;
-        for (let epoch = 0; epoch < options.epochs; epoch++) {
-            for (const batch of batchedData) {
-                const gradients = this.#computeGradients(batch);
-                this.#updateWeights(gradients);
+    // بدون optimizer يتدرب brain.js بنفسه، ومعه نستخدم Dense (mini-batches + sgd/adam/rmsprop).
+    // بعد كل epoch: نسجل الـ history وخطأ الـ validation، ومع patience نوقف بدري ونرجع أفضل أوزان
+    train(data, options = {}) {
+        const {
+            ReinforcementLearning,
+            optimizer,
+            validationData,
+            patience = Infinity,
+            minDelta = 0,
+            restoreBestWeights = true,
+            callback,
+            callbackPeriod = 10,
+            ...trainOptions
+        } = options;
+        const history = [];
+        let validation = null;
+        let best = null;
+        let waited = 0;
+
+        const onEpoch = ({ error, iterations }) => {
+            const entry = { epoch: iterations, error };
+            if (validationData) {
+                // بعد أول epoch عشان الـ lookups تكون اتبنت من بيانات التدريب
+                validation = validation || this.#format(validationData);
+                entry.validationError = this.#meanSquaredError(validation);
             }
+            history.push(entry);
+            if (callback && iterations % callbackPeriod === 0) {
+                callback({ iterations, error, validationError: entry.validationError });
+            }
+            if (patience === Infinity) return true;
 
-            if (options.log && epoch % options.logPeriod === 0) {
-                const error = this.#validateError(data);
-                totalError += error;
-                console.log(`Epoch ${epoch}: error = ${error}`);
+            const monitored = validationData ? entry.validationError : error;
+            if (!best || monitored < best.error - minDelta) {
+                best = { epoch: iterations, error: monitored, weights: restoreBestWeights ? this.#copyWeights() : null };
+                waited = 0;
+                return true;
             }
+            return ++waited < patience;
+        };
 
-            if (totalError / options.logPeriod < options.errorThresh) {
-                console.log('Early stopping due to low error');
-                break;
+        let status;
+        if (optimizer) {
+            status = new Dense(this.net).train(data, { optimizer, ...trainOptions, onEpoch });
+        } else {
+            // نفس loop بتاع brain.js train بس بنراقب كل epoch
+            const { preparedData, status: tick, endTime } = this.net.prepTraining(data, trainOptions);
+            while (this.net.trainingTick(preparedData, tick, endTime)) {
+                if (!onEpoch(tick)) break;
             }
+            status = tick;
         }
 
-        return this.net.train(
-            data,
-            options
-        );
+        const restored = Boolean(best && best.weights && best.epoch !== status.iterations);
+        if (restored) this.#restoreWeights(best.weights);
+
+        const last = history[history.length - 1];
+        return {
+            error: status.error,
+            iterations: status.iterations,
+            history,
+            stoppedEarly: waited >= patience,
+            bestEpoch: best ? best.epoch : null,
+            restored,
+            ...(validationData && { validationError: restored ? best.error : last && last.validationError }),
+        };
+    }
+
+    evaluate(data, options = {}) {
+        const examples = this.#format(data);
+        const labels = this.net.outputLookup ? Object.keys(this.net.outputLookup) : undefined;
+        const pairs = examples.map(({ input, output }) => [Array.from(this.net.runInput(input)), Array.from(output)]);
+        return metrics.evaluate(pairs, { labels, ...options });
     }
 
     run(input) {
@@ -387,14 +430,6 @@ class DeepLearn {
         return stateSpecificActions;
     }
 
-    #batchData(data, batchSize) {
-        const batches = [];
-        for (let i = 0; i < data.length; i += batchSize) {
-            batches.push(data.slice(i, i + batchSize));
-        }
-        return batches;
-    }
-
     #encodeState(state) {
         // Convert the state into a format suitable for the neural network
         // This method should be customized based on your specific state representation
@@ -422,82 +457,40 @@ class DeepLearn {
 
 
 
-    #computeGradients(batch) {
-        const gradients = math.zeros(this.net.weights.length);
-        for (const example of batch) {
-            const output = this.run(example.input);
-            const error = math.subtract(example.output, output);
-            const backpropGradient = this.#backpropagate(error);
-            gradients = math.add(gradients, backpropGradient);
-        }
-        return math.divide(gradients, batch.length);
+    #format(data) {
+        const examples = this.net.formatData(data);
+        this.net.validateData(examples);
+        return examples;
     }
 
-    #backpropagate(error) {
-        // تنفيذ الانتشار الخلفي باستخدام mathjs
-        const layers = this.net.layers;
-        let delta = error;
-        const gradients = [];
-
-        for (let i = layers.length - 1; i >= 0; i--) {
-            const layer = layers[i];
-            const activations = layer.weights ? math.multiply(layer.weights, delta) : delta;
-            delta = math.dotMultiply(activations, this.#derivativeReLU(layer.weights));
-
-            if (layer.weights) {
-                const layerGradient = math.multiply(math.transpose(delta), layer.weights);
-                gradients.unshift(layerGradient);
+    #meanSquaredError(examples) {
+        let sum = 0;
+        for (const { input, output } of examples) {
+            const actual = this.net.runInput(input);
+            let squared = 0;
+            for (let i = 0; i < output.length; i++) {
+                squared += (actual[i] - output[i]) ** 2;
             }
+            sum += squared / output.length;
         }
-
-        return math.flatten(gradients);
-    }
-
-    #updateWeights(gradients) {
-        if (this.optimizer === 'adam') {
-            this.#adamOptimizer(gradients);
-        } else {
-            this.#sgdOptimizer(gradients);
-        }
-    }
-
-    #adamOptimizer(gradients) {
-        const beta1 = 0.9;
-        const beta2 = 0.999;
-        const epsilon = 1e-8;
-
-        this.t += 1;
-
-        this.m = math.add(math.multiply(beta1, this.m), math.multiply(1 - beta1, gradients));
-        this.v = math.add(math.multiply(beta2, this.v), math.multiply(1 - beta2, math.dotMultiply(gradients, gradients)));
-
-        const mHat = math.divide(this.m, 1 - Math.pow(beta1, this.t));
-        const vHat = math.divide(this.v, 1 - Math.pow(beta2, this.t));
-
-        const update = math.dotDivide(math.multiply(this.learningRate, mHat), math.add(math.sqrt(vHat), epsilon));
-
-        this.net.weights = math.subtract(this.net.weights, update);
+        return sum / examples.length;
     }
 
-    #sgdOptimizer(gradients) {
-        this.net.weights = math.subtract(this.net.weights, math.multiply(this.learningRate, gradients));
+    #copyWeights() {
+        return {
+            weights: this.net.weights.map(layer => layer && layer.map(node => node.slice())),
+            biases: this.net.biases.map(layer => layer && layer.slice()),
+        };
     }
 
-    #validateError(data) {
-        const errors = data.map(example => {
-            const output = this.run(example.input);
-            return math.sum(math.abs(math.subtract(example.output, output)));
-        });
-        return math.mean(errors);
+    #restoreWeights({ weights, biases }) {
+        weights.forEach((layer, l) => layer && layer.forEach((node, n) => this.net.weights[l][n].set(node)));
+        biases.forEach((layer, l) => layer && this.net.biases[l].set(layer));
     }
 
     #argmax(array) {
         return array.indexOf(Math.max(...array));
     }
-
-    #derivativeReLU(x) {
-        return math.map(x, value => value > 0 ? 1 : 0);
-    }
 }
 
 module.exports = DeepLearn;
\ No newline at end of file
@@ -0,0 +1,226 @@
+// Dense: mini-batch backpropagation for a brain.js NeuralNetwork
+// ---------------------------------------------------------
+// Trains the weights and biases of a brain.js NeuralNetwork in place, so the net runs,
+// saves and loads exactly as if brain.js had trained it. brain.js still prepares the data
+// (lookups, sizes, validation) and runs the forward pass; this file does the backward pass
+// on the mean squared error, averages it over mini-batches and applies the optimizer.
+
+const { EncPrimeError } = require('../../errors');
+
+const OPTIMIZERS = ['sgd', 'adam', 'rmsprop'];
+const SCHEDULES = ['constant', 'step', 'exponential', 'cosine'];
+const DEFAULT_LEARNING_RATES = { sgd: 0.1, adam: 0.001, rmsprop: 0.001 };
+
+// Derivative of each activation, from its output
+const DERIVATIVES = {
+    sigmoid: (output) => output * (1 - output),
+    relu: (output) => (output > 0 ? 1 : 0),
+    'leaky-relu': (output, alpha) => (output > 0 ? 1 : alpha),
+    tanh: (output) => 1 - output * output,
+};
+
+function zerosLike(layers) {
+    return layers.map(layer => layer && (ArrayBuffer.isView(layer)
+        ? new Float64Array(layer.length)
+        : layer.map(row => new Float64Array(row.length))));
+}
+
+function shuffled(length) {
+    const order = Array.from({ length }, (_, i) => i);
+    for (let i = length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+class Dense {
+    static OPTIMIZERS = OPTIMIZERS;
+    static DEFAULT_LEARNING_RATES = DEFAULT_LEARNING_RATES;
+
+    /**
+     * @param {brain.NeuralNetwork} net - The network to train in place.
+     */
+    constructor(net) {
+        this.net = net;
+    }
+
+    /**
+     * Trains the network with mini-batch gradient descent.
+     *
+     * @param {Array} data - brain.js training data: `{ input, output }` examples.
+     * @param {Object} options - brain.js training options (`iterations`, `errorThresh`, `learningRate`,
+     *                           `activation`, `leakyReluAlpha`, `timeout`, `callback`, `callbackPeriod`,
+     *                           `log`, `logPeriod`) and:
+     * @param {string} options.optimizer - `'sgd'`, `'adam'` or `'rmsprop'`.
+     * @param {number} [options.momentum=0.9] - SGD: momentum, 0 for plain gradient descent.
+     * @param {number} [options.batchSize=32] - Examples per weight update.
+     * @param {boolean} [options.shuffle=true] - Whether to shuffle the examples every epoch.
+     * @param {number} [options.weightDecay=0] - L2 penalty on the weights (not the biases).
+     * @param {string|Function} [options.schedule='constant'] - `'constant'`, `'step'`, `'exponential'`,
+     *                                                          `'cosine'`, or `(epoch, learningRate) => rate`.
+     * @param {number} [options.decayRate=0.5] - Factor per `decaySteps` epochs for `'step'` and `'exponential'`.
+     * @param {number} [options.decaySteps=100] - Epochs per decay for `'step'` and `'exponential'`.
+     * @param {number} [options.beta1=0.9] - Adam: decay of the gradient average.
+     * @param {number} [options.beta2=0.999] - Adam: decay of the squared gradient average.
+     * @param {number} [options.rho=0.9] - RMSProp: decay of the squared gradient average.
+     * @param {number} [options.epsilon=1e-8] - Adam and RMSProp: added to the denominator.
+     * @param {Function} [options.onEpoch] - Called with `{ error, iterations }` after every epoch; returning false stops training.
+     * @returns {{ error: number, iterations: number }} Like brain.js: the last epoch's mean squared error and the number of epochs.
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` for unknown optimizers or schedules and bad values.
+     */
+    train(data, {
+        optimizer,
+        momentum = 0.9,
+        batchSize = 32,
+        shuffle = true,
+        weightDecay = 0,
+        schedule = 'constant',
+        decayRate = 0.5,
+        decaySteps = 100,
+        beta1 = 0.9,
+        beta2 = 0.999,
+        rho = 0.9,
+        epsilon = 1e-8,
+        onEpoch,
+        ...brainOptions
+    } = {}) {
+        if (!OPTIMIZERS.includes(optimizer)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `optimizer must be one of ${OPTIMIZERS.join(', ')}`);
+        }
+        if (!(momentum >= 0 && momentum < 1)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'momentum must be at least 0 and below 1');
+        }
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'batchSize must be a positive integer');
+        }
+        if (!(weightDecay >= 0)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'weightDecay must be a non-negative number');
+        }
+        if (typeof schedule !== 'function' && !SCHEDULES.includes(schedule)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `schedule must be a function or one of ${SCHEDULES.join(', ')}`);
+        }
+        if (brainOptions.dropout > 0) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'dropout is only supported by the brain.js trainer, not by optimizer');
+        }
+
+        const { net } = this;
+        const { preparedData } = net.prepTraining(data, brainOptions);
+        net.setActivation();
+
+        const {
+            iterations, errorThresh, learningRate, timeout, callback, callbackPeriod, log, logPeriod,
+            activation, leakyReluAlpha,
+        } = net.trainOpts;
+        const derivative = DERIVATIVES[activation];
+        const { sizes, weights, biases, outputLayer } = net;
+        const endTime = Date.now() + timeout;
+
+        const rateAt = (epoch) => {
+            if (typeof schedule === 'function') return schedule(epoch, learningRate);
+            if (schedule === 'step') return learningRate * Math.pow(decayRate, Math.floor(epoch / decaySteps));
+            if (schedule === 'exponential') return learningRate * Math.pow(decayRate, epoch / decaySteps);
+            if (schedule === 'cosine') return learningRate * 0.5 * (1 + Math.cos(Math.PI * epoch / iterations));
+            return learningRate;
+        };
+
+        const gradWeights = zerosLike(weights);
+        const gradBiases = zerosLike(biases);
+        const deltas = sizes.map(size => new Float64Array(size));
+        // Optimizer state: velocity for SGD, squared-gradient averages for RMSProp, both for Adam
+        const first = [zerosLike(weights), zerosLike(biases)];
+        const second = [zerosLike(weights), zerosLike(biases)];
+        let step = 0;
+
+        // Accumulates the gradient of one example into gradWeights and gradBiases; returns its squared error
+        const backpropagate = ({ input, output: target }) => {
+            const output = net.runInput(input);
+            let squared = 0;
+            for (let node = 0; node < sizes[outputLayer]; node++) {
+                const error = output[node] - target[node];
+                squared += error * error;
+                deltas[outputLayer][node] = error * derivative(output[node], leakyReluAlpha);
+            }
+
+            for (let layer = outputLayer; layer > 0; layer--) {
+                const previous = net.outputs[layer - 1];
+                const delta = deltas[layer];
+                if (layer > 1) deltas[layer - 1].fill(0);
+                for (let node = 0; node < sizes[layer]; node++) {
+                    const gradient = gradWeights[layer][node];
+                    const nodeWeights = weights[layer][node];
+                    gradBiases[layer][node] += delta[node];
+                    for (let k = 0; k < previous.length; k++) {
+                        gradient[k] += delta[node] * previous[k];
+                        if (layer > 1) deltas[layer - 1][k] += delta[node] * nodeWeights[k];
+                    }
+                }
+                if (layer > 1) {
+                    for (let k = 0; k < sizes[layer - 1]; k++) {
+                        deltas[layer - 1][k] *= derivative(previous[k], leakyReluAlpha);
+                    }
+                }
+            }
+            return squared / sizes[outputLayer];
+        };
+
+        // One optimizer step on a parameter array with its averaged gradient
+        const update = (params, gradient, m, v, rate, decay) => {
+            for (let i = 0; i < params.length; i++) {
+                const g = gradient[i] + decay * params[i];
+                if (optimizer === 'sgd') {
+                    m[i] = momentum * m[i] - rate * g;
+                    params[i] += m[i];
+                } else if (optimizer === 'rmsprop') {
+                    v[i] = rho * v[i] + (1 - rho) * g * g;
+                    params[i] -= rate * g / (Math.sqrt(v[i]) + epsilon);
+                } else {
+                    m[i] = beta1 * m[i] + (1 - beta1) * g;
+                    v[i] = beta2 * v[i] + (1 - beta2) * g * g;
+                    const mHat = m[i] / (1 - Math.pow(beta1, step));
+                    const vHat = v[i] / (1 - Math.pow(beta2, step));
+                    params[i] -= rate * mHat / (Math.sqrt(vHat) + epsilon);
+                }
+                gradient[i] = 0;
+            }
+        };
+
+        const status = { error: 1, iterations: 0 };
+        while (status.iterations < iterations && status.error > errorThresh && Date.now() < endTime) {
+            const rate = rateAt(status.iterations);
+            const order = shuffle ? shuffled(preparedData.length) : preparedData.map((_, i) => i);
+            let sum = 0;
+
+            for (let start = 0; start < order.length; start += batchSize) {
+                const end = Math.min(order.length, start + batchSize);
+                for (let i = start; i < end; i++) sum += backpropagate(preparedData[order[i]]);
+
+                const scale = 1 / (end - start);
+                step++;
+                for (let layer = 1; layer <= outputLayer; layer++) {
+                    gradBiases[layer].forEach((_, node, gradient) => { gradient[node] *= scale; });
+                    update(biases[layer], gradBiases[layer], first[1][layer], second[1][layer], rate, 0);
+                    for (let node = 0; node < sizes[layer]; node++) {
+                        const gradient = gradWeights[layer][node];
+                        for (let k = 0; k < gradient.length; k++) gradient[k] *= scale;
+                        update(weights[layer][node], gradient, first[0][layer][node], second[0][layer][node], rate, weightDecay);
+                    }
+                }
+            }
+
+            status.error = sum / preparedData.length;
+            status.iterations++;
+            if (log && status.iterations % logPeriod === 0) {
+                (typeof log === 'function' ? log : console.log)(`iterations: ${status.iterations}, training error: ${status.error}`);
+            }
+            if (callback && status.iterations % callbackPeriod === 0) {
+                callback({ iterations: status.iterations, error: status.error });
+            }
+            if (onEpoch && onEpoch(status) === false) break;
+        }
+
+        return status;
+    }
+}
+
+module.exports = Dense;
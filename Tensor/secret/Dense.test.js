@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const brain = require('brain.js');
+const Dense = require('./Dense');
+
+const XOR = [
+    { input: [0, 0], output: [0] },
+    { input: [0, 1], output: [1] },
+    { input: [1, 0], output: [1] },
+    { input: [1, 1], output: [0] },
+];
+
+function network() {
+    return new brain.NeuralNetwork({ hiddenLayers: [4] });
+}
+
+for (const [optimizer, learningRate] of [['sgd', 0.5], ['adam', 0.05], ['rmsprop', 0.01]]) {
+    test(`${optimizer} learns XOR with mini-batches`, () => {
+        const net = network();
+        const { error, iterations } = new Dense(net).train(XOR, {
+            optimizer, learningRate, batchSize: 2, iterations: 5000, errorThresh: 0.01, log: false,
+        });
+
+        assert.ok(error <= 0.01, `${optimizer} stopped at error ${error}`);
+        assert.ok(iterations < 5000);
+        assert.ok(net.run([0, 1])[0] > 0.5);
+        assert.ok(net.run([1, 1])[0] < 0.5);
+    });
+}
+
+test('schedules get the epoch and the base learning rate, and callbacks get the progress', () => {
+    const rates = [];
+    const progress = [];
+    new Dense(network()).train(XOR, {
+        optimizer: 'sgd',
+        learningRate: 0.2,
+        iterations: 3,
+        errorThresh: 1e-9,
+        schedule: (epoch, learningRate) => {
+            rates.push([epoch, learningRate]);
+            return learningRate / (epoch + 1);
+        },
+        callback: status => progress.push(status.iterations),
+        callbackPeriod: 1,
+    });
+
+    assert.deepEqual(rates, [[0, 0.2], [1, 0.2], [2, 0.2]]);
+    assert.deepEqual(progress, [1, 2, 3]);
+});
+
+test('train rejects unknown optimizers, schedules and bad values', () => {
+    const dense = new Dense(network());
+    for (const options of [
+        {},
+        { optimizer: 'lbfgs' },
+        { optimizer: 'sgd', momentum: 1 },
+        { optimizer: 'sgd', batchSize: 0 },
+        { optimizer: 'sgd', weightDecay: -1 },
+        { optimizer: 'adam', schedule: 'linear' },
+        { optimizer: 'adam', dropout: 0.5 },
+    ]) {
+        assert.throws(() => dense.train(XOR, options), { code: 'ERR_INVALID_OPTION' });
+    }
+});
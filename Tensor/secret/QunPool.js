@@ -0,0 +1,238 @@
+// QunPool: persistent worker threads for QunTime
+// ---------------------------------------------------------
+// Workers stay alive between tasks. Tasks wait in a FIFO queue and go to the first idle
+// worker; a worker that crashes, or whose task is cancelled or times out, is terminated
+// and replaced. Call destroy() to let the process exit.
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const SharedBest = require('./SharedBest');
+const { EncPrimeError, WorkerError } = require('../../errors');
+
+const WORKER_FILE = path.join(__dirname, 'qunWorker.js');
+
+function cancelled(signal, timeout) {
+  const { reason } = signal;
+  if (reason && reason.name === 'TimeoutError') {
+    const message = timeout !== undefined ? `Task did not finish within ${timeout} ms` : 'Task timed out';
+    return new WorkerError('ERR_TIMEOUT', message, { cause: reason });
+  }
+  return new WorkerError('ERR_ABORTED', 'Task was cancelled', { cause: reason });
+}
+
+// postMessage silently drops a message that transfers a detached buffer, so check first
+function isDetached(buffer) {
+  if (buffer.byteLength !== 0) return false;
+  try {
+    new Uint8Array(buffer);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+class QunPool {
+  #slots = [];
+  #queue = [];
+  #nextId = 1;
+  #destroyed = false;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size=os.availableParallelism()] - The number of worker threads.
+   */
+  constructor({ size = os.availableParallelism?.() ?? os.cpus().length } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'Pool size must be a positive integer');
+    }
+    for (let i = 0; i < size; i++) this.#slots.push(this.#spawn(i));
+  }
+
+  /** The number of worker threads. */
+  get size() {
+    return this.#slots.length;
+  }
+
+  /** The number of tasks waiting for an idle worker. */
+  get pending() {
+    return this.#queue.length;
+  }
+
+  /** The number of workers running a task. */
+  get busy() {
+    return this.#slots.filter(slot => slot.task).length;
+  }
+
+  /** Whether destroy() has been called. */
+  get destroyed() {
+    return this.#destroyed;
+  }
+
+  /**
+   * Queues a function to run on the next idle worker. The function is sent as source
+   * code, so it must not use variables from the scope it was written in: pass them as `data`.
+   *
+   * @param {Function|string} fn - Called as `fn(startingBest, maybeUpdateShared, shared, context)`, see
+   *                               `QunTime.parallel`. A string is the path of a module exporting the function.
+   * @param {Object} [options]
+   * @param {SharedBest} [options.shared] - Runs the task in entangled mode on this shared best.
+   * @param {*} [options.data] - Handed to the function as `context.data`. Cloned when the task starts.
+   * @param {Array<ArrayBuffer|ArrayBufferView>} [options.transfer] - Buffers in `data` to move to the worker instead of copying.
+   * @param {number} [options.index=0] - `context.index`.
+   * @param {number} [options.count=1] - `context.count`.
+   * @param {string} [options.exportName='default'] - The export to run when `fn` is a module path.
+   * @param {AbortSignal} [options.signal] - Aborting it drops the task from the queue or terminates its worker.
+   * @param {number} [options.timeout] - Milliseconds from this call after which the task is cancelled.
+   * @param {Function} [options.onProgress] - Called with each value the function passes to `context.report()`.
+   * @returns {Promise<*>} The function's return value, or what its Promise resolves to.
+   * @throws {WorkerError} `ERR_WORKER_FAILED` if the function throws or its worker dies,
+   *                       `ERR_ABORTED` or `ERR_TIMEOUT` if it is cancelled,
+   *                       `ERR_POOL_DESTROYED` if the pool is destroyed before the task finishes.
+   */
+  run(fn, {
+    shared = null, data, transfer = [], index = 0, count = 1, exportName = 'default', signal, timeout, onProgress,
+  } = {}) {
+    if (typeof fn !== 'function' && typeof fn !== 'string') {
+      return Promise.reject(new EncPrimeError('ERR_INVALID_OPTION', 'QunPool.run needs a function or a module path to run'));
+    }
+    if (shared !== null && !(shared instanceof SharedBest)) {
+      return Promise.reject(new EncPrimeError('ERR_INVALID_OPTION', 'shared must come from QunTime.shared()'));
+    }
+    if (timeout !== undefined && !(Number.isFinite(timeout) && timeout > 0)) {
+      return Promise.reject(new EncPrimeError('ERR_INVALID_OPTION', 'timeout must be a positive number of milliseconds'));
+    }
+    if (this.#destroyed) {
+      return Promise.reject(new WorkerError('ERR_POOL_DESTROYED', 'The pool has been destroyed'));
+    }
+    if (timeout !== undefined) {
+      signal = signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout);
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(cancelled(signal, timeout));
+    }
+
+    const message = {
+      id: this.#nextId++,
+      ...(typeof fn === 'function' ? { source: fn.toString() } : { modulePath: path.resolve(fn), exportName }),
+      shared: shared && shared.buffer,
+      data,
+      index,
+      count,
+    };
+    const transferList = [...new Set(transfer.map(buffer => (ArrayBuffer.isView(buffer) ? buffer.buffer : buffer)))];
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.#cancel(task, cancelled(signal, timeout));
+      const settle = (callback) => (result) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(result);
+      };
+      const task = { message, transferList, onProgress, resolve: settle(resolve), reject: settle(reject) };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.#queue.push(task);
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * Terminates every worker. Queued and running tasks reject with `ERR_POOL_DESTROYED`.
+   *
+   * @returns {Promise<void>} Resolves once all workers have stopped.
+   */
+  async destroy() {
+    if (this.#destroyed) return;
+    this.#destroyed = true;
+
+    const error = () => new WorkerError('ERR_POOL_DESTROYED', 'The pool was destroyed before the task finished');
+    for (const task of this.#queue.splice(0)) task.reject(error());
+    await Promise.all(this.#slots.map(slot => {
+      const terminated = this.#terminate(slot);
+      if (slot.task) slot.task.reject(error());
+      slot.task = null;
+      return terminated;
+    }));
+  }
+
+  #spawn(index) {
+    const slot = { index, worker: new Worker(WORKER_FILE), task: null };
+
+    slot.worker.on('message', ({ id, type, value, error, progress }) => {
+      const { task } = slot;
+      if (!task || task.message.id !== id) return;
+      if (type === 'progress') {
+        if (task.onProgress) task.onProgress(progress);
+        return;
+      }
+
+      slot.task = null;
+      if (type === 'error') {
+        const cause = Object.assign(new Error(error.message), error);
+        task.reject(new WorkerError('ERR_WORKER_FAILED', `Worker ${index} failed: ${error.message}`, { cause }));
+      } else {
+        task.resolve(value);
+      }
+      this.#dispatch();
+    });
+
+    // An uncaught error or process.exit() inside a task ends the thread: fail its task, start a new one
+    slot.worker.on('error', error => {
+      this.#restart(slot, new WorkerError('ERR_WORKER_FAILED', `Worker ${index} failed: ${error.message}`, { cause: error }));
+    });
+    slot.worker.on('exit', code => {
+      this.#restart(slot, new WorkerError('ERR_WORKER_FAILED', `Worker ${index} exited with code ${code} before sending its result`));
+    });
+
+    return slot;
+  }
+
+  #cancel(task, error) {
+    const queued = this.#queue.indexOf(task);
+    if (queued !== -1) {
+      this.#queue.splice(queued, 1);
+      task.reject(error);
+      return;
+    }
+    const slot = this.#slots.find(({ task: running }) => running === task);
+    if (slot) this.#restart(slot, error);
+  }
+
+  // Fails the slot's task, if any, and replaces its worker with a fresh one
+  #restart(slot, error) {
+    if (this.#destroyed || this.#slots[slot.index] !== slot) return;
+    slot.worker.removeAllListeners().on('error', () => {});
+    this.#terminate(slot);
+    if (slot.task) slot.task.reject(error);
+    slot.task = null;
+    this.#slots[slot.index] = this.#spawn(slot.index);
+    this.#dispatch();
+  }
+
+  // A task in entangled mode may be inside the SharedBest lock: hold the lock until its
+  // thread is gone, so the thread cannot die holding it
+  #terminate(slot) {
+    const shared = slot.task && slot.task.message.shared;
+    const release = shared ? SharedBest.hold(shared) : () => {};
+    return slot.worker.terminate().finally(release);
+  }
+
+  #dispatch() {
+    let slot;
+    while (this.#queue.length && (slot = this.#slots.find(({ task }) => !task))) {
+      const task = this.#queue.shift();
+      try {
+        if (task.transferList.some(isDetached)) {
+          throw new Error('A buffer to transfer was already transferred or detached');
+        }
+        slot.worker.postMessage(task.message, task.transferList);
+        slot.task = task;
+      } catch (error) {
+        // Data that cannot be cloned, or a buffer already transferred elsewhere
+        task.reject(new EncPrimeError('ERR_INVALID_OPTION', `Task data cannot be sent to a worker: ${error.message}`, { cause: error }));
+      }
+    }
+  }
+}
+
+module.exports = QunPool;
@@ -0,0 +1,184 @@
+// SharedBest: the best score and solution shared by entangled QunTime workers
+// ---------------------------------------------------------
+// One SharedArrayBuffer, readable from every thread it is posted to:
+//   Int32   [0] lock   [1] goal (1 minimize, 2 maximize)   [2] has solution   [3] dimensions
+//   Float64 [0] score  [1 .. dimensions] solution
+// A score and its solution are written and read together under the lock, so a reader
+// never sees the score of one solution next to the vector of another. The lock holds the
+// thread id + 1 of its owner. Before QunPool terminates a worker it takes the lock with
+// hold(), so the worker cannot die while holding it; until the hold is released the
+// main thread reads and updates without waiting, as no other thread can write.
+
+const { threadId } = require('worker_threads');
+const { EncPrimeError } = require('../../errors');
+
+const HEADER_BYTES = 4 * Int32Array.BYTES_PER_ELEMENT;
+const LOCK = 0;
+const GOAL = 1;
+const HAS_SOLUTION = 2;
+const DIMENSIONS = 3;
+const GOALS = ['minimize', 'maximize'];
+const OWNER = threadId + 1;
+
+// Holds taken by this thread, per buffer
+const holds = new WeakMap();
+
+// Returns false when this thread already holds the lock through hold()
+function lock(header) {
+  if (Atomics.load(header, LOCK) === OWNER) return false;
+  for (let owner; (owner = Atomics.compareExchange(header, LOCK, 0, OWNER)) !== 0;) {
+    Atomics.wait(header, LOCK, owner);
+  }
+  return true;
+}
+
+function unlock(header) {
+  Atomics.store(header, LOCK, 0);
+  Atomics.notify(header, LOCK);
+}
+
+class SharedBest {
+  #header;
+  #values;
+
+  /**
+   * Creates an empty shared best.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.goal='minimize'] - `'minimize'` or `'maximize'` the score.
+   * @param {number} [options.dimensions=0] - The length of the solution vectors.
+   * @returns {SharedBest}
+   */
+  static create({ goal = 'minimize', dimensions = 0 } = {}) {
+    if (!GOALS.includes(goal)) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', `goal must be one of ${GOALS.join(', ')}`);
+    }
+    if (!Number.isInteger(dimensions) || dimensions < 0) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'dimensions must be a non-negative integer');
+    }
+
+    const buffer = new SharedArrayBuffer(HEADER_BYTES + (1 + dimensions) * Float64Array.BYTES_PER_ELEMENT);
+    const header = new Int32Array(buffer, 0, 4);
+    header[GOAL] = GOALS.indexOf(goal) + 1;
+    header[DIMENSIONS] = dimensions;
+    new Float64Array(buffer, HEADER_BYTES, 1)[0] = goal === 'minimize' ? Infinity : -Infinity;
+    return new SharedBest(buffer);
+  }
+
+  /**
+   * Takes the lock of a shared best until the returned function is called, waiting for
+   * any worker inside it to leave. Holds from the same thread nest.
+   *
+   * @param {SharedArrayBuffer} buffer - `SharedBest.buffer`.
+   * @returns {Function} Releases the hold.
+   */
+  static hold(buffer) {
+    const header = new Int32Array(buffer, 0, 4);
+    const count = holds.get(buffer) || 0;
+    if (count === 0) lock(header);
+    holds.set(buffer, count + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = holds.get(buffer) - 1;
+      holds.set(buffer, remaining);
+      if (remaining === 0) unlock(header);
+    };
+  }
+
+  /**
+   * Wraps a buffer made by `create`, for example one posted to a worker.
+   *
+   * @param {SharedArrayBuffer} buffer
+   */
+  constructor(buffer) {
+    if (!(buffer instanceof SharedArrayBuffer) || buffer.byteLength < HEADER_BYTES + Float64Array.BYTES_PER_ELEMENT) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'SharedBest needs a buffer made by SharedBest.create');
+    }
+    this.buffer = buffer;
+    this.#header = new Int32Array(buffer, 0, 4);
+    this.#values = new Float64Array(buffer, HEADER_BYTES, 1 + this.#header[DIMENSIONS]);
+  }
+
+  /** `'minimize'` or `'maximize'`. */
+  get goal() {
+    return GOALS[this.#header[GOAL] - 1];
+  }
+
+  /** The length of the solution vectors. */
+  get dimensions() {
+    return this.#header[DIMENSIONS];
+  }
+
+  /** The best score so far: Infinity (or -Infinity when maximizing) until one is reported. */
+  get score() {
+    return this.snapshot().score;
+  }
+
+  /** A copy of the best solution so far, or null if none was reported with the best score. */
+  get solution() {
+    return this.snapshot().solution;
+  }
+
+  /**
+   * Tells whether score `a` beats score `b` for this goal.
+   *
+   * @param {number} a
+   * @param {number} b
+   * @returns {boolean}
+   */
+  isBetter(a, b) {
+    return this.#header[GOAL] === 1 ? a < b : a > b;
+  }
+
+  /**
+   * Reads the best score and solution together.
+   *
+   * @returns {{ score: number, solution: number[]|null }}
+   */
+  snapshot() {
+    const header = this.#header;
+    const locked = lock(header);
+    const values = this.#values.slice();
+    const hasSolution = header[HAS_SOLUTION];
+    if (locked) unlock(header);
+
+    return { score: values[0], solution: hasSolution ? Array.from(values.subarray(1)) : null };
+  }
+
+  /**
+   * Records a score, and the solution that reached it, if it beats the shared best.
+   *
+   * @param {number} score
+   * @param {ArrayLike<number>} [solution] - Exactly `dimensions` numbers.
+   * @returns {boolean} Whether the score became the new best.
+   */
+  update(score, solution) {
+    if (typeof score !== 'number' || Number.isNaN(score)) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', 'The score must be a number');
+    }
+    if (solution != null && solution.length !== this.dimensions) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', `The solution must have ${this.dimensions} values, got ${solution.length}`);
+    }
+
+    const header = this.#header;
+    const values = this.#values;
+    const minimize = header[GOAL] === 1;
+    const hasSolution = solution != null ? 1 : 0;
+    const vector = hasSolution ? Float64Array.from(solution) : null;
+
+    const locked = lock(header);
+    const better = minimize ? score < values[0] : score > values[0];
+    if (better) {
+      values[0] = score;
+      if (hasSolution) values.set(vector, 1);
+      header[HAS_SOLUTION] = hasSolution;
+    }
+    if (locked) unlock(header);
+    return better;
+  }
+}
+
+module.exports = SharedBest;
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SharedBest = require('./SharedBest');
+
+test('keeps the best score for the goal', () => {
+  const min = SharedBest.create();
+  assert.equal(min.score, Infinity);
+  assert.equal(min.update(3), true);
+  assert.equal(min.update(5), false);
+  assert.equal(min.update(-1), true);
+  assert.equal(min.score, -1);
+
+  const max = SharedBest.create({ goal: 'maximize' });
+  assert.equal(max.score, -Infinity);
+  max.update(3);
+  assert.equal(max.update(1), false);
+  assert.equal(max.score, 3);
+});
+
+test('stores the solution with its score', () => {
+  const best = SharedBest.create({ dimensions: 2 });
+  assert.equal(best.solution, null);
+  best.update(2, [1, 1]);
+  best.update(1, new Float64Array([0.5, -0.5]));
+  assert.deepEqual(best.snapshot(), { score: 1, solution: [0.5, -0.5] });
+
+  best.update(0);
+  assert.equal(best.solution, null);
+  assert.throws(() => best.update(-1, [1, 2, 3]), { code: 'ERR_INVALID_OPTION' });
+  assert.throws(() => best.update(NaN), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('another view of the same buffer sees the same state', () => {
+  const best = SharedBest.create({ goal: 'maximize', dimensions: 1 });
+  const view = new SharedBest(best.buffer);
+  view.update(7, [42]);
+  assert.equal(view.goal, 'maximize');
+  assert.equal(view.dimensions, 1);
+  assert.deepEqual(best.snapshot(), { score: 7, solution: [42] });
+});
+
+test('checks its options', () => {
+  assert.throws(() => SharedBest.create({ goal: 'sideways' }), { code: 'ERR_INVALID_OPTION' });
+  assert.throws(() => SharedBest.create({ dimensions: -1 }), { code: 'ERR_INVALID_OPTION' });
+  assert.throws(() => new SharedBest(new ArrayBuffer(64)), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('hold keeps the lock until released, and nests', () => {
+  const best = SharedBest.create();
+  const outer = SharedBest.hold(best.buffer);
+  const inner = SharedBest.hold(best.buffer);
+
+  // The holding thread still reads and writes without waiting
+  assert.equal(best.update(1), true);
+  inner();
+  inner();
+  assert.equal(best.score, 1);
+  outer();
+
+  const header = new Int32Array(best.buffer, 0, 4);
+  assert.equal(header[0], 0);
+  assert.equal(best.update(0), true);
+});
@@ -0,0 +1,69 @@
+// Chunk tasks for QunTime.map / QunTime.reduce
+// ---------------------------------------------------------
+// Each task gets `input` with the range [start, end) to work on; `offset` turns a position
+// in `input` into the index in the whole array. A chunk of a plain typed array arrives as
+// its own transferred copy (start 0, offset = chunk start) and is mapped in place and moved
+// back. A typed array on a SharedArrayBuffer arrives whole (offset 0) and map writes into
+// the shared `output`, so nothing is copied either way.
+
+const { load } = require('./taskLoader');
+
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+// Maps input[start..end), awaiting only if fn returns Promises
+function mapRange(fn, input, start, end, offset, data) {
+  const values = new Array(end - start);
+  let pending = false;
+  for (let i = start; i < end; i++) {
+    const value = fn(input[i], offset + i, data);
+    values[i - start] = value;
+    pending = pending || isThenable(value);
+  }
+  return pending ? Promise.all(values) : values;
+}
+
+/**
+ * QunTime task: maps one chunk with `fn(value, index, data)`.
+ *
+ * @returns {Promise<Array|ArrayBufferView|null>} The mapped chunk, or null when written to `output`.
+ */
+async function mapChunk(startingBest, maybeUpdateShared, shared, { data: chunk, transfer }) {
+  const { task, input, output, start, end, offset, data } = chunk;
+  const fn = await load(task);
+
+  const values = await mapRange(fn, input, start, end, offset, data);
+
+  if (output) {
+    output.set(values, start);
+    return null;
+  }
+  if (ArrayBuffer.isView(input)) {
+    input.set(values);
+    transfer(input);
+    return input;
+  }
+  return values;
+}
+
+/**
+ * QunTime task: reduces one chunk with `fn(accumulator, value, index, data)`, starting from
+ * `initial`, or from the chunk's first value when there is none.
+ *
+ * @returns {Promise<*>} The chunk's partial result.
+ */
+async function reduceChunk(startingBest, maybeUpdateShared, shared, { data: chunk }) {
+  const { task, input, start, end, offset, data, hasInitial, initial } = chunk;
+  const fn = await load(task);
+
+  let i = start;
+  let accumulator = hasInitial ? initial : input[i++];
+  for (; i < end; i++) {
+    accumulator = fn(accumulator, input[i], offset + i, data);
+    if (isThenable(accumulator)) accumulator = await accumulator;
+  }
+  return accumulator;
+}
+
+module.exports = { mapChunk, reduceChunk };
@@ -0,0 +1,105 @@
+// Evaluation metrics for Tensor.evaluate
+// ---------------------------------------------------------
+// Works on [output, target] pairs of plain number arrays. Regression metrics (MSE, MAE) are
+// always reported; classification metrics when the targets are classes: a single 0/1 output
+// (binary, positive class 1) or one-hot vectors (one class per output, macro averages).
+
+const { EncPrimeError } = require('../../errors');
+
+function argmax(array) {
+    let best = 0;
+    for (let i = 1; i < array.length; i++) {
+        if (array[i] > array[best]) best = i;
+    }
+    return best;
+}
+
+function isBinary(value) {
+    return value === 0 || value === 1;
+}
+
+function isOneHot(target) {
+    return target.every(isBinary) && target.reduce((sum, value) => sum + value, 0) === 1;
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Scores outputs against targets.
+ *
+ * @param {Array<[ArrayLike<number>, ArrayLike<number>]>} pairs - `[output, target]` for every example.
+ * @param {Object} [options]
+ * @param {boolean} [options.classification] - Force classification metrics on or off; detected from the targets by default.
+ * @param {number} [options.threshold=0.5] - Binary classification: outputs at or above it predict class 1.
+ * @param {Array} [options.labels] - Names for the classes, in output order.
+ * @returns {{ examples: number, mse: number, mae: number, accuracy?: number, precision?: number, recall?: number,
+ *             f1?: number, labels?: Array, classes?: Array<{ label: *, precision: number, recall: number, f1: number,
+ *             support: number }>, confusionMatrix?: number[][] }}
+ *          `confusionMatrix[actual][predicted]` counts examples; precision, recall and F1 are those of class 1
+ *          for binary outputs and the unweighted mean over classes otherwise.
+ */
+function evaluate(pairs, { classification, threshold = 0.5, labels } = {}) {
+    if (pairs.length === 0) {
+        throw new EncPrimeError('ERR_BAD_INPUT', 'Evaluation needs at least one example');
+    }
+
+    let squared = 0;
+    let absolute = 0;
+    let count = 0;
+    for (const [output, target] of pairs) {
+        for (let i = 0; i < target.length; i++) {
+            const error = output[i] - target[i];
+            squared += error * error;
+            absolute += Math.abs(error);
+            count++;
+        }
+    }
+    const result = { examples: pairs.length, mse: squared / count, mae: absolute / count };
+
+    const width = pairs[0][1].length;
+    const binary = width === 1;
+    if (classification === undefined) {
+        classification = pairs.every(([, target]) => (binary ? isBinary(target[0]) : isOneHot(Array.from(target))));
+    }
+    if (!classification) return result;
+
+    const size = binary ? 2 : width;
+    const confusionMatrix = Array.from({ length: size }, () => new Array(size).fill(0));
+    for (const [output, target] of pairs) {
+        const actual = binary ? Number(target[0] >= 0.5) : argmax(target);
+        const predicted = binary ? Number(output[0] >= threshold) : argmax(output);
+        confusionMatrix[actual][predicted]++;
+    }
+
+    const classes = confusionMatrix.map((row, k) => {
+        const truePositives = row[k];
+        const support = row.reduce((sum, value) => sum + value, 0);
+        const predicted = confusionMatrix.reduce((sum, other) => sum + other[k], 0);
+        const precision = ratio(truePositives, predicted);
+        const recall = ratio(truePositives, support);
+        return {
+            label: labels ? labels[k] : k,
+            precision,
+            recall,
+            f1: ratio(2 * precision * recall, precision + recall),
+            support,
+        };
+    });
+    const mean = (key) => classes.reduce((sum, scores) => sum + scores[key], 0) / classes.length;
+    const correct = confusionMatrix.reduce((sum, row, k) => sum + row[k], 0);
+
+    return {
+        ...result,
+        accuracy: correct / pairs.length,
+        precision: binary ? classes[1].precision : mean('precision'),
+        recall: binary ? classes[1].recall : mean('recall'),
+        f1: binary ? classes[1].f1 : mean('f1'),
+        labels: classes.map(({ label }) => label),
+        classes,
+        confusionMatrix,
+    };
+}
+
+module.exports = { evaluate };
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluate } = require('./metrics');
+
+test('evaluate measures squared and absolute error', () => {
+    const result = evaluate([[[0.5, 1], [0, 1]], [[2, 2], [1, 2]]], { classification: false });
+    assert.deepEqual(result, { examples: 2, mse: (0.25 + 1) / 4, mae: (0.5 + 1) / 4 });
+});
+
+test('evaluate scores single outputs as binary classification around the threshold', () => {
+    const pairs = [[[0.9], [1]], [[0.6], [0]], [[0.2], [1]], [[0.1], [0]]];
+    const result = evaluate(pairs);
+
+    assert.deepEqual(result.confusionMatrix, [[1, 1], [1, 1]]);
+    assert.equal(result.accuracy, 0.5);
+    assert.equal(result.precision, 0.5);
+    assert.equal(result.recall, 0.5);
+    assert.equal(evaluate(pairs, { threshold: 0.7 }).accuracy, 0.75);
+});
+
+test('evaluate averages one-hot classes and names them with labels', () => {
+    const pairs = [
+        [[0.8, 0.1, 0.1], [1, 0, 0]],
+        [[0.2, 0.7, 0.1], [0, 1, 0]],
+        [[0.6, 0.3, 0.1], [0, 0, 1]],
+    ];
+    const result = evaluate(pairs, { labels: ['cat', 'dog', 'bird'] });
+
+    assert.deepEqual(result.confusionMatrix, [[1, 0, 0], [0, 1, 0], [1, 0, 0]]);
+    assert.deepEqual(result.labels, ['cat', 'dog', 'bird']);
+    assert.equal(result.classes[0].precision, 0.5);
+    assert.equal(result.classes[2].support, 1);
+    assert.equal(result.recall, 2 / 3);
+});
+
+test('evaluate needs examples', () => {
+    assert.throws(() => evaluate([]), { code: 'ERR_BAD_INPUT' });
+});
@@ -0,0 +1,175 @@
+// Protected model files for Tensor.saveModel / Tensor.loadModel
+// ---------------------------------------------------------
+// {
+//   "format": "encprime-model",
+//   "version": 1,
+//   "encrypted": true,
+//   "payload": "<Encrypt.aes ciphertext, or the model JSON when not encrypted>",
+//   "integrity": { "type": "hmac-sha256" | "signature", "value": "<base64>" }
+// }
+// The MAC or signature covers the format, version, encrypted flag and payload.
+
+const crypto = require('crypto');
+const Encrypt = require('../../data/encrypt');
+const cipher = require('../../data/secret/cipher');
+const { EncPrimeError, CryptoError, ModelError } = require('../../errors');
+
+const FORMAT = 'encprime-model';
+const VERSION = 1;
+const AAD = FORMAT;
+
+const encryptor = new Encrypt();
+
+function keyOptionsOf({ key, passphrase, keyring, kdf, kdfOptions }) {
+    const options = { key, passphrase, keyring, kdf, kdfOptions };
+    Object.keys(options).forEach(name => options[name] === undefined && delete options[name]);
+    return options;
+}
+
+function hasKey({ key, passphrase, keyring }) {
+    return key !== undefined || passphrase !== undefined || keyring !== undefined;
+}
+
+function signedBytes({ version, encrypted, payload }) {
+    return Buffer.from(`${FORMAT}.${version}.${encrypted ? 1 : 0}.${payload}`, 'utf8');
+}
+
+function hmac(hmacKey, data) {
+    return crypto.createHmac('sha256', hmacKey).update(data).digest();
+}
+
+/**
+ * Tells whether saveModel options ask for a protected file.
+ *
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function isProtected(options) {
+    return hasKey(options) || options.hmacKey !== undefined || options.privateKey !== undefined;
+}
+
+/**
+ * Wraps a brain.js model JSON into a protected model file.
+ *
+ * @param {Object} model - The output of `net.toJSON()`.
+ * @param {Object} options - Encrypt key options (`key`, `passphrase`, `keyring`, `kdf`, `kdfOptions`),
+ *                           an authenticated `mode`, and `hmacKey` or `privateKey` for integrity.
+ * @returns {string} The file contents.
+ */
+function pack(model, { mode, hmacKey, privateKey, ...keyOptions } = {}) {
+    if (hmacKey !== undefined && privateKey !== undefined) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'Pass either hmacKey or privateKey, not both');
+    }
+    // The payload is bound to the file with associated data, which only AEAD modes carry
+    if (mode !== undefined && !cipher.getMode(mode).authenticated) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Model files need an authenticated mode, "${mode}" is not one: use gcm or chacha20-poly1305`);
+    }
+
+    const json = JSON.stringify(model);
+    const encrypted = hasKey(keyOptions);
+    const payload = encrypted
+        ? encryptor.aes(json, { ...keyOptionsOf(keyOptions), mode, aad: AAD, encoding: 'base64' })
+        : json;
+    const file = { format: FORMAT, version: VERSION, encrypted, payload };
+
+    if (hmacKey !== undefined) {
+        file.integrity = { type: 'hmac-sha256', value: hmac(hmacKey, signedBytes(file)).toString('base64') };
+    } else if (privateKey !== undefined) {
+        file.integrity = { type: 'signature', value: encryptor.sign(signedBytes(file), privateKey) };
+    }
+
+    return JSON.stringify(file, null, 2);
+}
+
+function checkIntegrity(file, { hmacKey, publicKey }) {
+    const { integrity } = file;
+    if (hmacKey === undefined && publicKey === undefined) {
+        if (integrity) {
+            throw new ModelError('ERR_MODEL_INTEGRITY', `Model file is protected with ${integrity.type === 'signature' ? 'a signature, pass publicKey' : 'an HMAC, pass hmacKey'} to verify it`);
+        }
+        return;
+    }
+    if (!integrity || typeof integrity.value !== 'string') {
+        throw new ModelError('ERR_MODEL_INTEGRITY', 'Model file has no MAC or signature, refusing to load it');
+    }
+
+    const data = signedBytes(file);
+    let valid;
+    if (hmacKey !== undefined) {
+        if (integrity.type !== 'hmac-sha256') {
+            throw new ModelError('ERR_MODEL_INTEGRITY', `Model file is protected with "${integrity.type}", not an HMAC`);
+        }
+        const expected = hmac(hmacKey, data);
+        const actual = Buffer.from(integrity.value, 'base64');
+        valid = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    } else {
+        if (integrity.type !== 'signature') {
+            throw new ModelError('ERR_MODEL_INTEGRITY', `Model file is protected with "${integrity.type}", not a signature`);
+        }
+        valid = encryptor.verify(data, integrity.value, publicKey);
+    }
+
+    if (!valid) {
+        throw new ModelError('ERR_MODEL_INTEGRITY', 'Model file failed its integrity check: it was modified or the key is wrong');
+    }
+}
+
+/**
+ * Reads the contents of a model file, plain or protected, and returns the brain.js model JSON.
+ *
+ * @param {string} text - The file contents.
+ * @param {Object} options - Encrypt key options to decrypt with, and `hmacKey` or `publicKey` to verify with.
+ * @returns {Object} The model JSON.
+ * @throws {ModelError|CryptoError} If the file is malformed, fails verification or cannot be decrypted, or is
+ *         not encrypted although a key, passphrase or keyring was given.
+ */
+function unpack(text, { hmacKey, publicKey, ...keyOptions } = {}) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new ModelError('ERR_MODEL_LOAD', `Model file is not valid JSON: ${error.message}`);
+    }
+
+    if (!file || file.format !== FORMAT) {
+        if (hasKey(keyOptions) || hmacKey !== undefined || publicKey !== undefined) {
+            throw new ModelError('ERR_MODEL_INTEGRITY', 'Model file is a plain, unprotected model, refusing to load it with protection options');
+        }
+        return file;
+    }
+
+    if (file.version !== VERSION) {
+        throw new ModelError('ERR_MODEL_LOAD', `Unsupported model file version ${file.version}`);
+    }
+    if (typeof file.payload !== 'string') {
+        throw new ModelError('ERR_MODEL_LOAD', 'Model file has no payload');
+    }
+
+    // Otherwise anyone could swap in a plain model that loads under the caller's key
+    if (hasKey(keyOptions) && file.encrypted !== true) {
+        throw new ModelError('ERR_MODEL_INTEGRITY', 'Model file is not encrypted, refusing to load it with a key');
+    }
+
+    checkIntegrity(file, { hmacKey, publicKey });
+
+    let json = file.payload;
+    if (file.encrypted === true) {
+        if (!hasKey(keyOptions)) {
+            throw new CryptoError('ERR_BAD_KEY', 'Model file is encrypted, pass key, passphrase or keyring to load it');
+        }
+        try {
+            json = encryptor.aes(file.payload, { ...keyOptionsOf(keyOptions), reverse: true, aad: AAD });
+        } catch (error) {
+            if (error.code !== 'ERR_DECRYPT_AUTH') throw error;
+            throw new ModelError('ERR_MODEL_INTEGRITY', `Model file could not be decrypted: ${error.message}`, { cause: error });
+        }
+    }
+
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new ModelError('ERR_MODEL_LOAD', `Model payload is not valid JSON: ${error.message}`);
+    }
+}
+
+module.exports = { FORMAT, VERSION, isProtected, pack, unpack };
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Encrypt = require('../../data/encrypt');
+const modelFile = require('./modelFile');
+
+const encryptor = new Encrypt();
+const key = encryptor.generateKey();
+const MODEL = { type: 'NeuralNetwork', sizes: [2, 3, 1], layers: [{}, {}, {}] };
+
+test('plain models pass through when no protection is asked for', () => {
+    assert.equal(modelFile.isProtected({}), false);
+    assert.deepEqual(modelFile.unpack(JSON.stringify(MODEL)), MODEL);
+    assert.throws(() => modelFile.unpack(JSON.stringify(MODEL), { key }), { code: 'ERR_MODEL_INTEGRITY' });
+    assert.throws(() => modelFile.unpack('{not json'), { code: 'ERR_MODEL_LOAD' });
+});
+
+test('encrypted models need the key to load', () => {
+    const packed = modelFile.pack(MODEL, { key });
+    const file = JSON.parse(packed);
+    assert.equal(file.format, modelFile.FORMAT);
+    assert.equal(file.encrypted, true);
+    assert.ok(!file.payload.includes('NeuralNetwork'));
+
+    assert.deepEqual(modelFile.unpack(packed, { key }), MODEL);
+    assert.throws(() => modelFile.unpack(packed), { code: 'ERR_BAD_KEY' });
+    assert.throws(() => modelFile.unpack(packed, { key: encryptor.generateKey() }), { code: 'ERR_MODEL_INTEGRITY' });
+
+    const passphrase = modelFile.pack(MODEL, { passphrase: 'pw', kdfOptions: { N: 1024 } });
+    assert.deepEqual(modelFile.unpack(passphrase, { passphrase: 'pw' }), MODEL);
+});
+
+test('pack encrypts with authenticated modes only', () => {
+    const chacha = modelFile.pack(MODEL, { key, mode: 'chacha20-poly1305' });
+    assert.deepEqual(modelFile.unpack(chacha, { key }), MODEL);
+
+    assert.throws(() => modelFile.pack(MODEL, { key, mode: 'cbc' }), { code: 'ERR_INVALID_OPTION', message: /authenticated mode/ });
+    assert.throws(() => modelFile.pack(MODEL, { key, mode: 'ecb' }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('a key refuses model files that are not encrypted', () => {
+    const forged = JSON.stringify({ format: modelFile.FORMAT, version: modelFile.VERSION, encrypted: false, payload: JSON.stringify(MODEL) });
+    const truthy = JSON.stringify({ format: modelFile.FORMAT, version: modelFile.VERSION, encrypted: 'yes', payload: JSON.stringify(MODEL) });
+
+    for (const options of [{ key }, { passphrase: 'pw' }, { keyring: new Encrypt.Keyring() }]) {
+        assert.throws(() => modelFile.unpack(forged, options), { code: 'ERR_MODEL_INTEGRITY' });
+        assert.throws(() => modelFile.unpack(truthy, options), { code: 'ERR_MODEL_INTEGRITY' });
+    }
+    assert.deepEqual(modelFile.unpack(forged), MODEL);
+});
+
+test('HMAC-protected models detect modification', () => {
+    const packed = modelFile.pack(MODEL, { hmacKey: 'mac secret' });
+    assert.deepEqual(modelFile.unpack(packed, { hmacKey: 'mac secret' }), MODEL);
+    assert.throws(() => modelFile.unpack(packed, { hmacKey: 'other secret' }), { code: 'ERR_MODEL_INTEGRITY' });
+    assert.throws(() => modelFile.unpack(packed), { code: 'ERR_MODEL_INTEGRITY' });
+
+    const file = JSON.parse(packed);
+    file.payload = JSON.stringify({ ...MODEL, sizes: [2, 9, 1] });
+    assert.throws(() => modelFile.unpack(JSON.stringify(file), { hmacKey: 'mac secret' }), { code: 'ERR_MODEL_INTEGRITY' });
+
+    const unsigned = modelFile.pack(MODEL, { key });
+    assert.throws(() => modelFile.unpack(unsigned, { key, hmacKey: 'mac secret' }), { code: 'ERR_MODEL_INTEGRITY' });
+});
+
+test('signed models verify with the public key', () => {
+    const { publicKey, privateKey } = encryptor.generateKeyPair('ed25519');
+    const packed = modelFile.pack(MODEL, { key, privateKey });
+    assert.deepEqual(modelFile.unpack(packed, { key, publicKey }), MODEL);
+    assert.throws(() => modelFile.unpack(packed, { key, publicKey: encryptor.generateKeyPair('ed25519').publicKey }), { code: 'ERR_MODEL_INTEGRITY' });
+    assert.throws(() => modelFile.unpack(packed, { key, hmacKey: 'mac secret' }), { code: 'ERR_MODEL_INTEGRITY' });
+    assert.throws(() => modelFile.pack(MODEL, { hmacKey: 'x', privateKey }), { code: 'ERR_INVALID_OPTION' });
+});
@@ -0,0 +1,249 @@
+// Metaheuristic optimizers for QunTime.optimize
+// ---------------------------------------------------------
+// `run` is a QunTime task: each worker runs one strategy on its own budget of objective
+// evaluations, records every improvement in the SharedBest and pulls the shared best back
+// into its search (annealing restarts from it, the genetic algorithm lets it migrate into
+// the population, the swarm uses it as the global best). Checkpoints go to the main
+// thread through context.report() and become the convergence history.
+//
+// Internally every strategy minimizes a cost: the score when minimizing, -score when maximizing.
+
+const { EncPrimeError } = require('../../errors');
+const { load } = require('./taskLoader');
+
+const STRATEGIES = ['random', 'annealing', 'genetic', 'swarm'];
+const CHECKPOINTS = 50;
+const CHECKPOINT_MS = 100;
+
+/**
+ * Checks a search space and turns it into a list of dimensions.
+ *
+ * @param {Array|Object} bounds - `[[min, max], ...]`, or `{ name: [min, max], ... }` for named
+ *                                solutions. A bound may also be `{ min, max, integer }`.
+ * @returns {{ names: string[]|null, dimensions: Array<{ min: number, max: number, integer: boolean }> }}
+ */
+function normalizeSpace(bounds) {
+  const named = bounds !== null && typeof bounds === 'object' && !Array.isArray(bounds);
+  const entries = named ? Object.entries(bounds) : Array.isArray(bounds) ? bounds.map((bound, i) => [i, bound]) : [];
+  if (entries.length === 0) {
+    throw new EncPrimeError('ERR_INVALID_OPTION', 'bounds must be a non-empty array of [min, max] pairs or an object of them');
+  }
+
+  const dimensions = entries.map(([name, bound]) => {
+    const { min, max, integer = false } = Array.isArray(bound) ? { min: bound[0], max: bound[1] } : bound || {};
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      throw new EncPrimeError('ERR_INVALID_OPTION', `Bound ${name} must be finite numbers with min <= max`);
+    }
+    return { min, max, integer: Boolean(integer) };
+  });
+
+  return { names: named ? entries.map(([name]) => name) : null, dimensions };
+}
+
+/**
+ * Turns a solution vector into what the objective receives: the vector itself, or an
+ * object when the space has names.
+ *
+ * @param {number[]} vector
+ * @param {string[]|null} names
+ * @returns {number[]|Object}
+ */
+function decode(vector, names) {
+  return names ? Object.fromEntries(names.map((name, i) => [name, vector[i]])) : vector;
+}
+
+// Infinity - Infinity is NaN, so compare rather than subtract
+function byCost(a, b) {
+  return a.cost < b.cost ? -1 : a.cost > b.cost ? 1 : 0;
+}
+
+function gaussian() {
+  // Box-Muller
+  return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function createSearch({ objective, dimensions, names, goal, iterations, objectiveData, shared, maybeUpdateShared, report }) {
+  const sign = goal === 'maximize' ? -1 : 1;
+  const every = Math.max(1, Math.floor(iterations / CHECKPOINTS));
+  let reported = Date.now();
+  const search = {
+    evaluations: 0,
+
+    done: () => search.evaluations >= iterations,
+
+    randomPoint: () => dimensions.map(({ min, max }) => min + Math.random() * (max - min)),
+
+    clamp: (vector) => vector.map((x, i) => {
+      const { min, max, integer } = dimensions[i];
+      const value = Math.min(max, Math.max(min, x));
+      return integer ? Math.min(max, Math.max(min, Math.round(value))) : value;
+    }),
+
+    // Steps each coordinate, with probability `rate`, by a normal sample of `scale` times its range
+    neighbour: (vector, scale, rate = 1) => search.clamp(vector.map((x, i) => (
+      Math.random() < rate ? x + gaussian() * scale * (dimensions[i].max - dimensions[i].min) : x
+    ))),
+
+    // The shared best as { vector, cost }, or null before anyone reported a solution
+    sharedBest: () => {
+      const { score, solution } = shared.snapshot();
+      return solution ? { vector: solution, cost: sign * score } : null;
+    },
+
+    evaluate: async (vector) => {
+      const point = search.clamp(vector);
+      let score = objective(decode(point, names), objectiveData);
+      if (score && typeof score.then === 'function') score = await score;
+      search.evaluations++;
+
+      const cost = typeof score === 'number' && !Number.isNaN(score) ? sign * score : Infinity;
+      if (cost !== Infinity) maybeUpdateShared(score, point);
+      // Checkpoint every `every` evaluations, and often enough that a timeout loses little history
+      if (search.evaluations % every === 0 || search.done() || Date.now() - reported >= CHECKPOINT_MS) {
+        reported = Date.now();
+        report({ evaluations: search.evaluations, score: shared.score });
+      }
+      return { vector: point, cost };
+    },
+  };
+  return search;
+}
+
+async function randomSearch(search) {
+  while (!search.done()) await search.evaluate(search.randomPoint());
+}
+
+async function annealing(search, { temperature, stepSize = 0.1, restartEvery = 0.1, iterations }) {
+  let current = await search.evaluate((search.sharedBest() || {}).vector || search.randomPoint());
+
+  // Without a temperature, start where the average uphill move is accepted about a third of the time
+  if (temperature === undefined) {
+    let uphill = 0;
+    let count = 0;
+    for (let i = 0; i < 10 && !search.done(); i++) {
+      const { cost } = await search.evaluate(search.neighbour(current.vector, stepSize));
+      if (Number.isFinite(cost) && Number.isFinite(current.cost)) {
+        uphill += Math.abs(cost - current.cost);
+        count++;
+      }
+    }
+    temperature = count && uphill ? uphill / count : 1;
+  }
+
+  const start = search.evaluations;
+  const steps = Math.max(1, iterations - start);
+  const restart = Math.max(1, Math.floor(steps * restartEvery));
+  for (let k = 0; !search.done(); k++) {
+    const progress = k / steps;
+    const t = temperature * Math.pow(1e-4, progress);
+    const candidate = await search.evaluate(search.neighbour(current.vector, stepSize * (1 - progress) + 1e-3));
+    if (candidate.cost <= current.cost || Math.random() < Math.exp((current.cost - candidate.cost) / t)) {
+      current = candidate;
+    }
+
+    // Entanglement: continue from the shared best when another worker found a better point
+    if (k % restart === restart - 1) {
+      const best = search.sharedBest();
+      if (best && best.cost < current.cost) current = best;
+    }
+  }
+}
+
+async function genetic(search, { populationSize = 30, mutationRate = 0.1, crossoverRate = 0.9, elitism = 2, tournament = 3 }) {
+  const start = search.sharedBest();
+  const population = [];
+  while (population.length < populationSize && !search.done()) {
+    population.push(await search.evaluate(population.length === 0 && start ? start.vector : search.randomPoint()));
+  }
+
+  const pick = () => {
+    let winner = population[Math.floor(Math.random() * population.length)];
+    for (let i = 1; i < tournament; i++) {
+      const rival = population[Math.floor(Math.random() * population.length)];
+      if (rival.cost < winner.cost) winner = rival;
+    }
+    return winner;
+  };
+
+  while (!search.done()) {
+    population.sort(byCost);
+    const next = population.slice(0, elitism);
+    while (next.length < populationSize && !search.done()) {
+      const a = pick().vector;
+      const b = pick().vector;
+      // Blend crossover, then Gaussian mutation of each gene with probability mutationRate
+      const child = Math.random() < crossoverRate
+        ? a.map((x, i) => x + (Math.random() * 1.5 - 0.25) * (b[i] - x))
+        : a;
+      next.push(await search.evaluate(search.neighbour(child, 0.1, mutationRate)));
+    }
+    population.splice(0, population.length, ...next);
+
+    // Entanglement: the shared best migrates in, replacing the worst individual
+    const best = search.sharedBest();
+    if (best && population.every(({ cost }) => best.cost < cost)) {
+      population.sort(byCost);
+      population[population.length - 1] = best;
+    }
+  }
+}
+
+async function swarm(search, { particles = 20, inertia = 0.72, cognitive = 1.49, social = 1.49, maxVelocity = 0.2 }, dimensions) {
+  const limits = dimensions.map(({ min, max }) => maxVelocity * (max - min));
+  const swarmParticles = [];
+  let global = search.sharedBest();
+
+  while (swarmParticles.length < particles && !search.done()) {
+    const position = await search.evaluate(search.randomPoint());
+    const velocity = limits.map(limit => (Math.random() * 2 - 1) * limit);
+    swarmParticles.push({ position, velocity, best: position });
+    if (!global || position.cost < global.cost) global = position;
+  }
+
+  while (!search.done()) {
+    // Entanglement: the global best is the best point any worker found
+    const shared = search.sharedBest();
+    if (shared && shared.cost < global.cost) global = shared;
+
+    for (const particle of swarmParticles) {
+      if (search.done()) break;
+      particle.velocity = particle.velocity.map((v, i) => {
+        const x = particle.position.vector[i];
+        const next = inertia * v
+          + cognitive * Math.random() * (particle.best.vector[i] - x)
+          + social * Math.random() * (global.vector[i] - x);
+        return Math.max(-limits[i], Math.min(limits[i], next));
+      });
+      particle.position = await search.evaluate(particle.position.vector.map((x, i) => x + particle.velocity[i]));
+      if (particle.position.cost < particle.best.cost) particle.best = particle.position;
+      if (particle.position.cost < global.cost) global = particle.position;
+    }
+  }
+}
+
+/**
+ * QunTime task that runs one strategy in a worker.
+ *
+ * @param {number} startingBest
+ * @param {Function} maybeUpdateShared
+ * @param {SharedBest} shared
+ * @param {Object} context - `context.data` holds the objective, space and strategy options.
+ * @returns {Promise<{ evaluations: number }>}
+ */
+async function run(startingBest, maybeUpdateShared, shared, { data, report }) {
+  const { objectiveTask, bounds, strategy, goal, iterations, options, objectiveData } = data;
+  const { names, dimensions } = normalizeSpace(bounds);
+  const objective = await load(objectiveTask);
+  const search = createSearch({
+    objective, dimensions, names, goal, iterations, objectiveData, shared, maybeUpdateShared, report,
+  });
+
+  if (strategy === 'random') await randomSearch(search);
+  else if (strategy === 'annealing') await annealing(search, { ...options, iterations });
+  else if (strategy === 'genetic') await genetic(search, options);
+  else await swarm(search, options, dimensions);
+
+  return { evaluations: search.evaluations };
+}
+
+module.exports = { STRATEGIES, normalizeSpace, decode, run };
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSpace, decode } = require('./optimizers');
+
+test('normalizeSpace accepts pairs, named bounds and integer bounds', () => {
+  assert.deepEqual(normalizeSpace([[0, 1], [-2, 2]]), {
+    names: null,
+    dimensions: [{ min: 0, max: 1, integer: false }, { min: -2, max: 2, integer: false }],
+  });
+  assert.deepEqual(normalizeSpace({ rate: [0, 1], size: { min: 1, max: 8, integer: true } }), {
+    names: ['rate', 'size'],
+    dimensions: [{ min: 0, max: 1, integer: false }, { min: 1, max: 8, integer: true }],
+  });
+});
+
+test('normalizeSpace rejects empty and invalid bounds', () => {
+  for (const bounds of [undefined, [], {}, [[1, 0]], [[0, Infinity]], [['a', 'b']], { x: null }]) {
+    assert.throws(() => normalizeSpace(bounds), { code: 'ERR_INVALID_OPTION' });
+  }
+});
+
+test('decode names the solution when the space has names', () => {
+  assert.deepEqual(decode([1, 2], null), [1, 2]);
+  assert.deepEqual(decode([1, 2], ['x', 'y']), { x: 1, y: 2 });
+});
@@ -0,0 +1,45 @@
+// QunTime pool worker
+// ---------------------------------------------------------
+// Long-lived worker thread for QunPool. Receives task messages
+//   { id, source | modulePath + exportName, shared, data, index, count }
+// runs the function, waits for it if it returns a Promise, and answers
+//   { id, type: 'result', value } or { id, type: 'error', error }
+// after any number of { id, type: 'progress', progress } messages from context.report().
+// `shared` is the buffer of a SharedBest when the task runs in entangled mode.
+
+const { parentPort } = require('worker_threads');
+const SharedBest = require('./SharedBest');
+const { load } = require('./taskLoader');
+
+function entanglement(buffer) {
+  if (!buffer) return { startingBest: Infinity, maybeUpdateShared: () => false, shared: null };
+
+  const shared = new SharedBest(buffer);
+  return { startingBest: shared.score, maybeUpdateShared: (score, solution) => shared.update(score, solution), shared };
+}
+
+parentPort.on('message', async ({ id, shared, data, index, count, ...task }) => {
+  const transferList = [];
+  const context = {
+    index,
+    count,
+    data,
+    // Moves these ArrayBuffers (or the buffers of these typed arrays) back instead of copying them
+    transfer: (...buffers) => {
+      buffers.flat().forEach(buffer => transferList.push(ArrayBuffer.isView(buffer) ? buffer.buffer : buffer));
+    },
+    report: (progress) => {
+      parentPort.postMessage({ id, type: 'progress', progress });
+    },
+  };
+
+  try {
+    const fn = await load(task);
+    const entangled = entanglement(shared);
+    const value = await fn(entangled.startingBest, entangled.maybeUpdateShared, entangled.shared, context);
+    parentPort.postMessage({ id, type: 'result', value }, transferList);
+  } catch (error) {
+    const { name, message, stack, code } = error instanceof Error ? error : new Error(String(error));
+    parentPort.postMessage({ id, type: 'error', error: { name, message, stack, code } });
+  }
+});
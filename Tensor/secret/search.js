@@ -0,0 +1,128 @@
+// Hyperparameter search for Tensor.search
+// ---------------------------------------------------------
+// A search space maps each hyperparameter to its choices: an array of values, or a range
+// `{ min, max, log, integer, steps }`. `hiddenNodes` and `activation` build the network;
+// every other name is a `Tensor.train` option. `trainCandidate` is the QunTime task that
+// trains one candidate in a worker and scores it on the held-out examples.
+
+const { EncPrimeError, ModelError } = require('../../errors');
+
+const STRATEGIES = ['grid', 'random', 'successive-halving'];
+// The goal of each metric `Tensor.evaluate` reports
+const METRICS = {
+    mse: 'minimize',
+    mae: 'minimize',
+    accuracy: 'maximize',
+    precision: 'maximize',
+    recall: 'maximize',
+    f1: 'maximize',
+};
+
+function isRange(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a search space and turns it into a list of dimensions.
+ *
+ * @param {Object} space - `{ name: [choice, ...] | { min, max, log, integer, steps } | value }`.
+ * @returns {Array<{ name: string, choices?: Array, min?: number, max?: number, log?: boolean,
+ *           integer?: boolean, steps?: number }>}
+ */
+function normalizeSpace(space) {
+    const entries = isRange(space) ? Object.entries(space) : [];
+    if (entries.length === 0) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'The search space must be an object with at least one hyperparameter');
+    }
+
+    return entries.map(([name, value]) => {
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                throw new EncPrimeError('ERR_INVALID_OPTION', `${name} needs at least one choice`);
+            }
+            return { name, choices: value };
+        }
+        if (!isRange(value)) return { name, choices: [value] };
+
+        const { min, max, log = false, integer = false, steps = 3 } = value;
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `The range of ${name} must be finite numbers with min <= max`);
+        }
+        if (log && min <= 0) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `The log range of ${name} must be above 0`);
+        }
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `steps of ${name} must be a positive integer`);
+        }
+        return { name, min, max, log: Boolean(log), integer: Boolean(integer), steps };
+    });
+}
+
+// Maps t in [0, 1] into a range, evenly or on a log scale, hitting the bounds exactly
+function within({ min, max, log, integer }, t) {
+    const value = t <= 0 ? min
+        : t >= 1 ? max
+            : log ? Math.exp(Math.log(min) + t * (Math.log(max) - Math.log(min))) : min + t * (max - min);
+    return integer ? Math.round(value) : value;
+}
+
+/**
+ * Every combination of the choices, with `steps` evenly spread values for each range.
+ *
+ * @param {Array} dimensions - From `normalizeSpace`.
+ * @returns {Object[]} One params object per combination.
+ */
+function grid(dimensions) {
+    return dimensions.reduce((combinations, dimension) => {
+        const values = dimension.choices || [...new Set(Array.from({ length: dimension.steps }, (_, i) => (
+            within(dimension, dimension.steps === 1 ? 0.5 : i / (dimension.steps - 1))
+        )))];
+        return combinations.flatMap(params => values.map(value => ({ ...params, [dimension.name]: value })));
+    }, [{}]);
+}
+
+/**
+ * A random point of the space: a uniform choice, or a uniform (log-uniform) value of each range.
+ *
+ * @param {Array} dimensions - From `normalizeSpace`.
+ * @returns {Object}
+ */
+function sample(dimensions) {
+    return Object.fromEntries(dimensions.map(dimension => [
+        dimension.name,
+        dimension.choices
+            ? dimension.choices[Math.floor(Math.random() * dimension.choices.length)]
+            : within(dimension, Math.random()),
+    ]));
+}
+
+/**
+ * QunTime task: trains the Tensor of one candidate and scores it on the validation examples.
+ *
+ * @param {number} startingBest
+ * @param {Function} maybeUpdateShared
+ * @param {SharedBest} shared
+ * @param {Object} context - `context.data` holds the candidate's params, the examples and the train options.
+ * @returns {Promise<{ score: number, metrics: Object, error: number, iterations: number, model: Object }>}
+ */
+async function trainCandidate(startingBest, maybeUpdateShared, shared, { data }) {
+    // Required here: tensor.js requires this module for the main thread
+    const { Tensor } = require('../tensor');
+    const { params, trainingData, validationData, trainOptions, epochs, metric } = data;
+    const { hiddenNodes = [3], activation = 'sigmoid', ...options } = { ...trainOptions, ...params };
+
+    const tensor = new Tensor({ hiddenNodes, ActiveMode: activation });
+    const result = tensor.train(trainingData, { ...options, activation, epochs, validationData, log: false });
+    const metrics = tensor.evaluate(validationData);
+    const score = metrics[metric];
+    if (score === undefined) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `The ${metric} metric needs classification outputs`);
+    }
+    if (!Number.isFinite(score)) {
+        throw new ModelError('ERR_MODEL_TRAIN', `Training diverged: the ${metric} is ${score}`);
+    }
+
+    return { score, metrics, error: result.error, iterations: result.iterations, model: tensor.toJSON() };
+}
+
+module.exports = { STRATEGIES, METRICS, normalizeSpace, grid, sample, trainCandidate };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSpace, grid, sample } = require('./search');
+
+test('normalizeSpace accepts choices, ranges and fixed values', () => {
+    assert.deepEqual(normalizeSpace({ hiddenNodes: [[4], [8]], learningRate: { min: 0.01, max: 1, log: true }, optimizer: 'adam' }), [
+        { name: 'hiddenNodes', choices: [[4], [8]] },
+        { name: 'learningRate', min: 0.01, max: 1, log: true, integer: false, steps: 3 },
+        { name: 'optimizer', choices: ['adam'] },
+    ]);
+});
+
+test('normalizeSpace rejects empty spaces and bad ranges', () => {
+    for (const space of [undefined, [], {}, { a: [] }, { a: { min: 2, max: 1 } }, { a: { min: 0, max: 1, log: true } }, { a: { min: 0, max: 1, steps: 0 } }]) {
+        assert.throws(() => normalizeSpace(space), { code: 'ERR_INVALID_OPTION' });
+    }
+});
+
+test('grid combines every choice with evenly spread range values', () => {
+    const dimensions = normalizeSpace({
+        activation: ['sigmoid', 'tanh'],
+        learningRate: { min: 0.001, max: 0.1, log: true },
+        batchSize: { min: 1, max: 2, integer: true, steps: 5 },
+    });
+    const combinations = grid(dimensions);
+
+    // Rounding the batch sizes leaves two distinct values
+    assert.equal(combinations.length, 2 * 3 * 2);
+    assert.deepEqual([...new Set(combinations.map(({ learningRate }) => learningRate.toFixed(6)))], ['0.001000', '0.010000', '0.100000']);
+    assert.deepEqual(combinations[0], { activation: 'sigmoid', learningRate: 0.001, batchSize: 1 });
+});
+
+test('sample picks a choice and a value inside each range', () => {
+    const dimensions = normalizeSpace({ activation: ['relu', 'tanh'], layers: { min: 1, max: 4, integer: true }, rate: { min: 0.1, max: 0.2 } });
+    for (let i = 0; i < 50; i++) {
+        const { activation, layers, rate } = sample(dimensions);
+        assert.ok(['relu', 'tanh'].includes(activation));
+        assert.ok(Number.isInteger(layers) && layers >= 1 && layers <= 4);
+        assert.ok(rate >= 0.1 && rate <= 0.2);
+    }
+});
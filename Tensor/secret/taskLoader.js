@@ -0,0 +1,39 @@
+// Loads QunTime task functions inside worker threads
+// ---------------------------------------------------------
+// A task is either function source code or a module path plus export name. Loaded
+// functions are cached per worker, so a pool compiles each task once.
+
+const path = require('path');
+const { createRequire } = require('module');
+const { pathToFileURL } = require('url');
+
+// Task functions resolve require() from the working directory, like an eval worker would
+const taskRequire = createRequire(path.join(process.cwd(), 'index.js'));
+const loaded = new Map();
+
+/**
+ * @param {Object} task
+ * @param {string} [task.source] - Function source code.
+ * @param {string} [task.modulePath] - Absolute path of a CommonJS or ES module.
+ * @param {string} [task.exportName='default'] - The export of the module to run.
+ * @returns {Promise<Function>}
+ */
+async function load({ source, modulePath, exportName = 'default' }) {
+  const key = source !== undefined ? source : `${modulePath}#${exportName}`;
+  if (loaded.has(key)) return loaded.get(key);
+
+  let fn;
+  if (source !== undefined) {
+    fn = new Function('require', `return (${source});`)(taskRequire);
+  } else {
+    const exports = await import(pathToFileURL(modulePath).href);
+    fn = exportName === 'default' ? exports.default : exports[exportName];
+    if (typeof fn !== 'function') {
+      throw new TypeError(`${modulePath} does not export a function as "${exportName}"`);
+    }
+  }
+  loaded.set(key, fn);
+  return fn;
+}
+
+module.exports = { load };
@@ -1,6 +1,39 @@
 const DeepLearn = require('./secret/DeepLearn.js');
+const Dense = require('./secret/Dense.js');
+const search = require('./secret/search.js');
+const QunTime = require('./QunTime.js');
+const modelFile = require('./secret/modelFile.js');
+const { EncPrimeError, ModelError } = require('../errors');
 const fs = require('fs');
 
+const SEARCH_TASK = require.resolve('./secret/search.js');
+
+// brain.js reports size mismatches only through its error messages
+const SHAPE_MISMATCH = /must match (options\.inputSize|data (input|output) size)|length \d+ must be \d+/;
+
+function modelError(error, code, message) {
+    if (error instanceof EncPrimeError) return error;
+    return new ModelError(SHAPE_MISMATCH.test(error.message) ? 'ERR_MODEL_SHAPE' : code, `${message}: ${error.message}`, { cause: error });
+}
+
+// Holds the last `validationSplit` of the examples out for validation, unless there is validationData
+function holdOut(trainingData, validationSplit, validationData) {
+    if (!(validationSplit >= 0 && validationSplit < 1)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'validationSplit must be at least 0 and below 1');
+    }
+    if (!validationData && validationSplit > 0) {
+        const held = Math.floor(trainingData.length * validationSplit);
+        if (held < 1 || held >= trainingData.length) {
+            throw new EncPrimeError('ERR_BAD_INPUT', `validationSplit ${validationSplit} leaves no examples to train or validate on`);
+        }
+        return { trainingData: trainingData.slice(0, -held), validationData: trainingData.slice(-held) };
+    }
+    if (validationData && (!Array.isArray(validationData) || validationData.length === 0)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'validationData must be a non-empty array of examples');
+    }
+    return { trainingData, validationData };
+}
+
 class Tensor {
     #net;
     #saveFilePath = `./model-lst${new Date().getDay()}.json`;
@@ -31,32 +64,76 @@ class Tensor {
      * @param {number} [options.errorThresh=0.005] - The error threshold to stop training.
      * @param {boolean} [options.log=true] - Whether to log training progress.
      * @param {number} [options.logPeriod=10] - The number of iterations between logging updates.
-     * @param {number} [options.learningRate=0.3] - The learning rate for the training algorithm.
-     * @param {number} [options.momentum=0.1] - The momentum for the training algorithm.
+     * @param {string} [options.optimizer] - `'adam'`, `'sgd'` or `'rmsprop'` to train with mini-batch backpropagation;
+     *                                        without it brain.js trains the network itself.
+     * @param {number} [options.learningRate] - The learning rate for the training algorithm: 0.3 for brain.js,
+     *                                          0.001 for `'adam'` and `'rmsprop'`, 0.1 for `'sgd'`.
+     * @param {number} [options.momentum] - The momentum for brain.js (0.1) and `'sgd'` (0.9).
+     * @param {number} [options.batchSize=32] - With an optimizer: the examples per weight update.
+     * @param {number} [options.weightDecay=0] - With an optimizer: the L2 penalty on the weights.
+     * @param {string|Function} [options.schedule='constant'] - With an optimizer: the learning rate schedule,
+     *                                                          `'constant'`, `'step'`, `'exponential'`, `'cosine'`
+     *                                                          or `(epoch, learningRate) => rate`.
+     * @param {number} [options.decayRate=0.5] - The factor `'step'` and `'exponential'` apply every `decaySteps` epochs.
+     * @param {number} [options.decaySteps=100] - The epochs between decays.
+     * @param {number} [options.beta1=0.9] - Adam's decay of the gradient average.
+     * @param {number} [options.beta2=0.999] - Adam's decay of the squared gradient average.
+     * @param {number} [options.rho=0.9] - RMSProp's decay of the squared gradient average.
+     * @param {number} [options.epsilon=1e-8] - Added to Adam's and RMSProp's denominator.
      * @param {Function|null} [options.callback=null] - A callback function to be called during training.
      * @param {number} [options.callbackPeriod=10] - The number of iterations between callback invocations.
      * @param {number} [options.timeout=Infinity] - The maximum time (in milliseconds) to train for.
-     * @param {number} [options.dropout=0] - The dropout rate to apply during training.
+     * @param {number} [options.dropout=0] - The dropout rate to apply during training (brain.js only).
      * @param {string} [options.activation='sigmoid'] - The activation function to use.
      * @param {number} [options.leakyReluAlpha=0.01] - The alpha value for the leaky ReLU activation function.
-     * @returns {Object} An object containing the training results, including error and number of iterations.
+     * @param {number} [options.validationSplit=0] - The fraction of the examples, taken from the end, to hold out
+     *                                               for validation instead of training on them.
+     * @param {Array} [options.validationData] - Examples to validate on; replaces `validationSplit`.
+     * @param {number} [options.patience=Infinity] - Stop after this many epochs without improvement of the
+     *                                               validation error (the training error without validation data).
+     * @param {number} [options.minDelta=0] - The smallest decrease that counts as an improvement.
+     * @param {boolean} [options.restoreBestWeights=true] - With `patience`: go back to the weights of the best epoch.
+     * @returns {Object} The training results: `error` and `iterations` like brain.js, `history` with
+     *                   `{ epoch, error, validationError }` per epoch, `validationError` of the returned weights,
+     *                   `stoppedEarly`, `bestEpoch` (null without `patience`) and whether the weights were `restored`.
+     * @throws {ModelError} `ERR_MODEL_SHAPE` if the examples do not match the network's input or output size,
+     *                      `ERR_MODEL_TRAIN` for any other training failure.
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` for an unknown optimizer or schedule, dropout with an optimizer,
+     *                         or a bad `validationSplit`; `ERR_BAD_INPUT` if the split leaves no examples on either side.
      */
     train(trainingData, {
         epochs = 5000,
         errorThresh = 0.005,
         log = true,
         logPeriod = 10,
-        learningRate = 0.3,
-        momentum = 0.1,
+        optimizer,
+        learningRate = optimizer ? Dense.DEFAULT_LEARNING_RATES[optimizer] : 0.3,
+        momentum = optimizer === 'sgd' ? 0.9 : 0.1,
+        batchSize = 32,
+        weightDecay = 0,
+        schedule = 'constant',
+        decayRate = 0.5,
+        decaySteps = 100,
+        beta1 = 0.9,
+        beta2 = 0.999,
+        rho = 0.9,
+        epsilon = 1e-8,
         callback = null,
         callbackPeriod = 10,
         timeout = Infinity,
         dropout = 0,
         activation = 'sigmoid',
         leakyReluAlpha = 0.01,
+        validationSplit = 0,
+        validationData = null,
+        patience = Infinity,
+        minDelta = 0,
+        restoreBestWeights = true,
     } = {}) {
-        console.log(`🚀 Starting training with ${trainingData.length} examples...`);
-        console.log(`⚙️ Configuration: epochs=${epochs}, learningRate=${learningRate}, activation=${activation}`);
+        ({ trainingData, validationData } = holdOut(trainingData, validationSplit, validationData));
+
+        console.log(`🚀 Starting training with ${trainingData.length} examples${validationData ? ` (${validationData.length} for validation)` : ''}...`);
+        console.log(`⚙️ Configuration: epochs=${epochs}, optimizer=${optimizer || 'brain.js'}, learningRate=${learningRate}, activation=${activation}`);
     
         // Validate input/output sizes before training
         if (trainingData.length > 0) {
@@ -77,48 +154,33 @@ class Tensor {
                 learningRate,
                 momentum,
                 callback: callback || ((stats) => {
-                    { log && console.log(`📈 Epoch ${stats.iterations}: error=${stats.error.toFixed(20)}`) };
+                    { log && console.log(`📈 Epoch ${stats.iterations}: error=${stats.error.toFixed(20)}${stats.validationError !== undefined ? `, validation=${stats.validationError.toFixed(20)}` : ''}`) };
                 }),
                 callbackPeriod,
                 timeout,
                 dropout,
                 activation,
                 leakyReluAlpha,
+                validationData,
+                patience,
+                minDelta,
+                restoreBestWeights,
+                ...(optimizer && {
+                    optimizer, batchSize, weightDecay, schedule, decayRate, decaySteps, beta1, beta2, rho, epsilon,
+                }),
             });
     
             const trainingTime = (Date.now() - startTime) / 1000;
             console.log(`✅ Training completed in ${trainingTime.toFixed(2)} seconds with error: ${result.error.toFixed(5)}`);
-    
-        } catch (error) {
-            console.error(`🔥 Training error: ${error.message}`);
-    
-            // Check for input size mismatch
-            if (error.message.includes('input length') && error.message.includes('must match options.inputSize')) {
-                const actualSize = parseInt(error.message.match(/input length (\d+)/)[1]);
-                const expectedSize = parseInt(error.message.match(/options.inputSize of (\d+)/)[1]);
-    
-                console.error(`⚠️ Input size mismatch: Got ${actualSize}, expected ${expectedSize}`);
-                console.error(`💡 Tip: Update your constructor to match the input size: inputSize=${actualSize}`);
-    
-                // Auto-fix by recreating the network with correct size
-                console.log(`🔄 Automatically recreating network with inputSize=${actualSize}...`);
-                this.#net = new DeepLearn({
-                    inputSize: actualSize,
-                    outputSize: actualSize, // Assuming same size for input/output
-                    hiddenLayers: [Math.ceil(actualSize / 2), Math.ceil(actualSize / 2), Math.ceil(actualSize / 3)],
-                    activation,
-                    ReinforcementLearning: false
-                });
-    
-                console.log(`🔄 Network recreated with inputSize=${actualSize}`);
-                return this.train(trainingData, {
-                    epochs, errorThresh, log, logPeriod, learningRate,
-                    momentum, callback, callbackPeriod, timeout, dropout,
-                    activation, leakyReluAlpha, beta1, beta2
-                }); // Retry with same params
+            if (result.validationError !== undefined) {
+                console.log(`🧪 Validation error: ${result.validationError.toFixed(5)}`);
+            }
+            if (result.stoppedEarly) {
+                console.log(`⏹️ Stopped early at epoch ${result.iterations}; best epoch was ${result.bestEpoch}`);
             }
     
-            return { error: 1, iterations: 0 }; // Return failed result
+        } catch (error) {
+            throw modelError(error, 'ERR_MODEL_TRAIN', 'Training failed');
         }
     
         return result;
@@ -130,13 +192,33 @@ class Tensor {
      * This function serializes the neural network model to JSON format and saves it to a file.
      * If no file path is provided, it uses the default save file path.
      * 
+     * Without options the file is the plain brain.js JSON. With a key, passphrase or keyring the
+     * model is encrypted with `Encrypt.aes`, and with `hmacKey` or `privateKey` the file gets an
+     * HMAC-SHA256 or a signature that `loadModel` checks before loading anything.
+     * 
      * @param {string} [filePath=this.#saveFilePath] - The path where the model will be saved.
      *                                                 If not provided, the default path is used.
+     * @param {Object} [options] - Protection options.
+     * @param {string|Buffer} [options.key] - A 32-byte key to encrypt with (see `Encrypt.aes`).
+     * @param {string} [options.passphrase] - A passphrase to derive the encryption key from.
+     * @param {Keyring} [options.keyring] - A keyring whose current key encrypts the model.
+     * @param {'gcm'|'chacha20-poly1305'} [options.mode='gcm'] - The cipher mode. Only authenticated modes can
+     *                                                        encrypt a model file.
+     * @param {string|Buffer} [options.hmacKey] - A secret to HMAC the file with.
+     * @param {string|Object|import('crypto').KeyObject} [options.privateKey] - A private key to sign the file with.
      * @returns {void}
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` for a `mode` other than `'gcm'` or `'chacha20-poly1305'`.
+     * 
+     * @example
+     *    tensor.saveModel('model.enc.json', { passphrase: process.env.MODEL_PASSPHRASE, hmacKey: process.env.MODEL_MAC_KEY });
+     *    other.loadModel('model.enc.json', { passphrase: process.env.MODEL_PASSPHRASE, hmacKey: process.env.MODEL_MAC_KEY });
      */
-    saveModel(filePath = this.#saveFilePath) {
+    saveModel(filePath = this.#saveFilePath, options = {}) {
         const json = this.#net.SaveModel();
-        fs.writeFileSync(filePath, JSON.stringify(json, null, 2));
+        const contents = modelFile.isProtected(options)
+            ? modelFile.pack(json, options)
+            : JSON.stringify(json, null, 2);
+        fs.writeFileSync(filePath, contents);
         console.log(`✅ Model saved to ${filePath}`);
     }
 
@@ -146,18 +228,62 @@ class Tensor {
      * This function reads a JSON file containing a serialized neural network model
      * and loads it into the current instance of the neural network.
      * 
+     * Files written by `saveModel` with protection options are verified first and then decrypted.
+     * Passing `hmacKey` or `publicKey` makes unsigned or plain files an error, so a swapped file
+     * cannot slip through.
+     * 
      * @param {string} [filePath=this.#saveFilePath] - The path to the file containing the saved model.
      *                                                 If not provided, it uses the default save file path.
+     * @param {Object} [options] - The key options the model was encrypted with (`key`, `passphrase`
+     *                             or `keyring`), and `hmacKey` or `publicKey` to verify it.
      * @returns {void}
-     * @throws {Error} If there's an error reading the file or parsing the JSON.
+     * @throws {ModelError} `ERR_MODEL_LOAD` if the file cannot be read or does not hold a model,
+     *                      `ERR_MODEL_INTEGRITY` if it fails its MAC, signature or decryption check.
+     * @throws {CryptoError} `ERR_BAD_KEY` if the key options cannot decrypt the file.
      */
-    loadModel(filePath = this.#saveFilePath) {
+    loadModel(filePath = this.#saveFilePath, options = {}) {
+        let json;
         try {
-            const data = fs.readFileSync(filePath, 'utf8');
-            this.#net.LoadModel(JSON.parse(data));
-            console.log(`✅ Model loaded from ${filePath}`);
+            json = modelFile.unpack(fs.readFileSync(filePath, 'utf8'), options);
         } catch (error) {
-            console.error(`❌ Failed to load model from ${filePath}:`, error);
+            throw modelError(error, 'ERR_MODEL_LOAD', `Failed to load model from ${filePath}`);
+        }
+
+        this.#loadJSON(json, filePath);
+        console.log(`✅ Model loaded from ${filePath}`);
+    }
+
+    /**
+     * Returns the model as brain.js JSON, the contents of an unprotected `saveModel` file.
+     * 
+     * @returns {Object}
+     */
+    toJSON() {
+        return this.#net.SaveModel();
+    }
+
+    /**
+     * Creates a Tensor from the JSON of `toJSON`, for example a model trained in a worker thread.
+     * 
+     * @param {Object} json - A brain.js model.
+     * @returns {Tensor}
+     * @throws {ModelError} `ERR_MODEL_LOAD` if `json` does not hold a brain.js model.
+     */
+    static fromJSON(json) {
+        const tensor = new Tensor({});
+        tensor.#loadJSON(json, 'JSON');
+        return tensor;
+    }
+
+    #loadJSON(json, source) {
+        if (!json || !Array.isArray(json.sizes) || !Array.isArray(json.layers)) {
+            throw new ModelError('ERR_MODEL_LOAD', `Failed to load model from ${source}: it does not hold a brain.js model`);
+        }
+
+        try {
+            this.#net.LoadModel(json);
+        } catch (error) {
+            throw modelError(error, 'ERR_MODEL_LOAD', `Failed to load model from ${source}`);
         }
     }
 
@@ -165,20 +291,20 @@ class Tensor {
      * Loads a model from a specified URL.
      * 
      * This function attempts to load a neural network model from a given URL.
-     * It first checks if a URL is provided, and if not, it logs an error.
      * 
      * @param {string} url - The URL from which to load the model.
-     * @returns {Promise<void>|undefined} A promise that resolves when the model is loaded successfully,
-     *                                    or undefined if the URL is not provided.
-     * @throws {Error} Potentially throws an error if the model loading fails.
+     * @returns {Promise<void>} A promise that resolves when the model is loaded successfully. It rejects
+     *                          with an `ERR_INVALID_OPTION` EncPrimeError if no URL is given, and with an
+     *                          `ERR_MODEL_LOAD` ModelError if the model cannot be downloaded or loaded.
      */
     loadModelURL(url) {
         if (!url) {
-            console.error('❌ URL is required for loadModelURL');
-            return;
+            return Promise.reject(new EncPrimeError('ERR_INVALID_OPTION', 'URL is required for loadModelURL'));
         }
     
-        return this.#net.loadModelURL(url);
+        return this.#net.loadModelURL(url).catch((error) => {
+            throw modelError(error, 'ERR_MODEL_LOAD', `Failed to load model from ${url}`);
+        });
     }
 
     /**
@@ -186,17 +312,210 @@ class Tensor {
      * 
      * @param {Array|number} input - The input data for prediction. This should match the format and size
      *                               expected by the neural network.
-     * @returns {Array|number|null} The prediction result from the neural network. Returns null if the
-     *                              prediction fails due to an error.
+     * @returns {Array|number} The prediction result from the neural network.
+     * @throws {ModelError} `ERR_MODEL_SHAPE` if the input does not match the network's input size,
+     *                      `ERR_MODEL_PREDICT` if the network cannot run, for example before training.
      */
     predict(input) {
         try {
             return this.#net.run(input);
         } catch (error) {
-            console.error('❌ Prediction failed:', error);
-            return null;
+            throw modelError(error, 'ERR_MODEL_PREDICT', 'Prediction failed');
         }
     }
+
+    /**
+     * Measures the network on labelled examples.
+     * 
+     * Reports the mean squared and mean absolute error, and for classification outputs (one 0/1 output,
+     * or one-hot outputs) also accuracy, precision, recall, F1 and the confusion matrix. With a single
+     * output precision, recall and F1 are those of class 1; with one-hot outputs they are averaged over classes.
+     * 
+     * @param {Array} data - Examples in the training data format: `{ input, output }`.
+     * @param {Object} [options]
+     * @param {boolean} [options.classification] - Force the classification metrics on or off; detected by default.
+     * @param {number} [options.threshold=0.5] - With a single output: outputs at or above it predict class 1.
+     * @returns {Object} `{ examples, mse, mae }`, plus `accuracy`, `precision`, `recall`, `f1`, `labels`,
+     *                   per-class `classes` and `confusionMatrix[actual][predicted]` for classification.
+     * @throws {EncPrimeError} `ERR_BAD_INPUT` if there are no examples.
+     * @throws {ModelError} `ERR_MODEL_SHAPE` if the examples do not match the network's input or output size,
+     *                      `ERR_MODEL_PREDICT` if the network cannot run, for example before training.
+     * 
+     * @example
+     *    const { accuracy, f1, confusionMatrix } = tensor.evaluate(testData);
+     */
+    evaluate(data, options = {}) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new EncPrimeError('ERR_BAD_INPUT', 'evaluate needs a non-empty array of { input, output } examples');
+        }
+
+        try {
+            return this.#net.evaluate(data, options);
+        } catch (error) {
+            throw modelError(error, 'ERR_MODEL_PREDICT', 'Evaluation failed');
+        }
+    }
+
+    /**
+     * Searches for the hyperparameters that score best on held-out examples, training the candidate
+     * networks in parallel on QunTime worker threads.
+     * 
+     * `'grid'` trains every combination in the space and `'random'` trains `trials` random points of it.
+     * `'successive-halving'` trains `trials` random points for a few epochs, keeps the best 1 in `eta`,
+     * and trains those again from scratch with `eta` times the epochs, until the last round gets `epochs`.
+     * Every candidate is scored on the same validation examples.
+     * 
+     * @param {Array} trainingData - Examples in the training data format: `{ input, output }`.
+     * @param {Object} space - For each hyperparameter an array of choices, or a range `{ min, max, log, integer, steps }`
+     *                         where `log` samples on a log scale and `steps` is the number of grid values (3).
+     *                         `hiddenNodes` and `activation` build the network; any other name is a `train`
+     *                         option, such as `learningRate`, `momentum`, `dropout`, `optimizer` or `batchSize`.
+     * @param {Object} [options] - `train` options for every candidate, which cannot include functions such as
+     *                             `callback` as they are sent to the workers, and:
+     * @param {string} [options.strategy='random'] - `'grid'`, `'random'` or `'successive-halving'`.
+     * @param {number} [options.trials=20] - The candidates of `'random'` and `'successive-halving'`.
+     * @param {number} [options.workers=4] - The candidates to train at the same time.
+     * @param {number} [options.epochs=1000] - The training iterations of each candidate (in the last round).
+     * @param {string} [options.metric='mse'] - What to rank by: `'mse'` or `'mae'` (lower is better), or
+     *                                          `'accuracy'`, `'precision'`, `'recall'` or `'f1'` (higher is better).
+     * @param {number} [options.validationSplit=0.2] - See `train`; these examples score the candidates.
+     * @param {Array} [options.validationData] - See `train`.
+     * @param {number} [options.eta=3] - Successive halving: keep 1 in `eta` candidates after each round.
+     * @param {QunPool} [options.pool] - Trains on this pool's workers instead of starting `workers` threads.
+     * @param {AbortSignal} [options.signal] - Aborting it stops the search and rejects.
+     * @returns {Promise<{ best: Tensor, params: Object, score: number, metrics: Object, leaderboard: Array,
+     *          failures: Array }>} The best trained Tensor with its params, score and `evaluate` metrics.
+     *          `leaderboard` ranks every trained candidate as `{ rank, params, score, metrics, error, iterations,
+     *          epochs, round, duration }`, best first and later rounds first; `failures` holds the
+     *          `{ params, epochs, round, error }` of candidates whose training failed.
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` for a bad space or option, `ERR_BAD_INPUT` without examples.
+     * @throws {ModelError} `ERR_MODEL_TRAIN` if every candidate failed.
+     * @throws {WorkerError} `ERR_ABORTED` if `signal` aborts.
+     * 
+     * @example
+     *    const { best, leaderboard } = await Tensor.search(data, {
+     *        hiddenNodes: [[4], [8], [8, 4]],
+     *        learningRate: { min: 0.01, max: 0.5, log: true },
+     *        activation: ['sigmoid', 'tanh'],
+     *    }, { strategy: 'successive-halving', trials: 27, workers: 4 });
+     *    best.saveModel('best-model.json');
+     */
+    static async search(trainingData, space, {
+        strategy = 'random',
+        trials = 20,
+        workers = 4,
+        epochs = 1000,
+        metric = 'mse',
+        validationSplit = 0.2,
+        validationData = null,
+        eta = 3,
+        pool,
+        signal,
+        ...trainOptions
+    } = {}) {
+        if (!search.STRATEGIES.includes(strategy)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `strategy must be one of ${search.STRATEGIES.join(', ')}`);
+        }
+        for (const [name, value] of Object.entries({ trials, workers, epochs })) {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new EncPrimeError('ERR_INVALID_OPTION', `${name} must be a positive integer`);
+            }
+        }
+        if (!Number.isInteger(eta) || eta < 2) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'eta must be an integer of at least 2');
+        }
+        if (!(metric in search.METRICS)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `metric must be one of ${Object.keys(search.METRICS).join(', ')}`);
+        }
+        const functionOption = Object.keys(trainOptions).find(name => typeof trainOptions[name] === 'function');
+        if (functionOption) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `${functionOption} is a function and cannot be sent to the search workers`);
+        }
+        if (!Array.isArray(trainingData) || trainingData.length === 0) {
+            throw new EncPrimeError('ERR_BAD_INPUT', 'Tensor.search needs a non-empty array of { input, output } examples');
+        }
+
+        const dimensions = search.normalizeSpace(space);
+        ({ trainingData, validationData } = holdOut(trainingData, validationSplit, validationData));
+        if (!validationData) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'Tensor.search needs validationData or a validationSplit above 0');
+        }
+
+        let candidates = strategy === 'grid'
+            ? search.grid(dimensions)
+            : Array.from({ length: trials }, () => search.sample(dimensions));
+        const minimize = search.METRICS[metric] === 'minimize';
+        const byRank = (a, b) => b.round - a.round || (minimize ? a.score - b.score : b.score - a.score);
+        // Successive halving trains for epochs / eta^(rounds - 1), ..., epochs / eta, epochs
+        const rounds = strategy === 'successive-halving'
+            ? Math.floor(Math.log(candidates.length) / Math.log(eta) + 1e-9) + 1
+            : 1;
+
+        console.log(`🔎 Searching ${candidates.length} candidates (${strategy}) on ${trainingData.length} examples, ranked by ${metric} on ${validationData.length}...`);
+        const startTime = Date.now();
+        const trained = [];
+        const failures = [];
+        const models = new Map();
+
+        const runner = pool || QunTime.pool({ size: workers });
+        try {
+            for (let round = 0; round < rounds && candidates.length > 0; round++) {
+                const roundEpochs = Math.max(1, Math.round(epochs / eta ** (rounds - 1 - round)));
+                const results = await Tensor.#trainCandidates(candidates, {
+                    pool: runner, signal, trainingData, validationData, trainOptions, metric, epochs: roundEpochs,
+                });
+
+                const ranked = [];
+                results.forEach(({ params, value, error, duration }) => {
+                    if (error) {
+                        failures.push({ params, epochs: roundEpochs, round, error });
+                        return;
+                    }
+                    const { model, ...result } = value;
+                    const entry = { params, ...result, epochs: roundEpochs, round, duration };
+                    models.set(entry, model);
+                    ranked.push(entry);
+                });
+                trained.push(...ranked);
+                candidates = ranked.sort(byRank).slice(0, Math.max(1, Math.floor(ranked.length / eta))).map(({ params }) => params);
+            }
+        } finally {
+            if (!pool) await runner.destroy();
+        }
+
+        if (trained.length === 0) {
+            const { error } = failures[0];
+            throw new ModelError('ERR_MODEL_TRAIN', `Every candidate failed: ${error.message}`, { cause: error });
+        }
+
+        const leaderboard = trained.sort(byRank).map((entry, index) => ({ rank: index + 1, ...entry }));
+        const [winner] = trained;
+        const searchTime = (Date.now() - startTime) / 1000;
+        console.log(`🏆 Search completed in ${searchTime.toFixed(2)} seconds: best ${metric}=${winner.score.toFixed(5)} with ${JSON.stringify(winner.params)}`);
+
+        return {
+            best: Tensor.fromJSON(models.get(winner)),
+            params: winner.params,
+            score: winner.score,
+            metrics: winner.metrics,
+            leaderboard,
+            failures,
+        };
+    }
+
+    // Trains one round of candidates on the workers; an abort cancels the search, other failures only their candidate
+    static async #trainCandidates(candidates, { pool, signal, ...data }) {
+        const runs = await QunTime.parallelSettled(SEARCH_TASK, candidates.length, {
+            pool,
+            signal,
+            exportName: 'trainCandidate',
+            data: (index) => ({ ...data, params: candidates[index] }),
+        });
+
+        const cancelled = runs.find(({ status, error }) => status === 'rejected' && error.code === 'ERR_ABORTED');
+        if (cancelled) throw cancelled.error;
+        return runs.map(({ value, error, duration }, index) => ({ params: candidates[index], value, error, duration }));
+    }
 }
 
 class NanoTensor {
@@ -0,0 +1,227 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Tensor } = require('./tensor');
+
+const OR = [
+    { input: [0, 0], output: [0] },
+    { input: [0, 1], output: [1] },
+    { input: [1, 0], output: [1] },
+    { input: [1, 1], output: [1] },
+];
+
+function quiet(t) {
+    t.mock.method(console, 'log', () => { });
+}
+
+function tempFile(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encprime-tensor-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+}
+
+function trained() {
+    const tensor = new Tensor({ inputSize: 2, outputSize: 1, hiddenNodes: [3] });
+    tensor.train(OR, { log: false, epochs: 2000 });
+    return tensor;
+}
+
+const XOR = [
+    { input: [0, 0], output: [0] },
+    { input: [0, 1], output: [1] },
+    { input: [1, 0], output: [1] },
+    { input: [1, 1], output: [0] },
+];
+// The opposite targets: the better the network learns XOR, the worse it does on these
+const OPPOSITE = XOR.map(({ input, output }) => ({ input, output: [1 - output[0]] }));
+
+function train(options) {
+    const tensor = new Tensor({ inputSize: 2, outputSize: 1, hiddenNodes: [4] });
+    const result = tensor.train(XOR, {
+        log: false,
+        epochs: 2000,
+        errorThresh: 1e-9,
+        optimizer: 'adam',
+        learningRate: 0.05,
+        validationData: OPPOSITE,
+        ...options,
+    });
+    return { tensor, result };
+}
+
+test('saveModel and loadModel round trip plain and protected models', (t) => {
+    quiet(t);
+    const tensor = trained();
+    const expected = Array.from(tensor.predict([0, 1]));
+    const file = tempFile(t, 'model.json');
+
+    for (const options of [{}, { passphrase: 'pw', kdfOptions: { N: 1024 }, hmacKey: 'mac' }]) {
+        tensor.saveModel(file, options);
+        const loaded = new Tensor({});
+        loaded.loadModel(file, options);
+        assert.deepEqual(Array.from(loaded.predict([0, 1])), expected);
+    }
+});
+
+test('train uses mini-batch backpropagation when given an optimizer', (t) => {
+    quiet(t);
+    const tensor = new Tensor({ inputSize: 2, outputSize: 1, hiddenNodes: [3] });
+    const { error } = tensor.train(OR, { optimizer: 'adam', learningRate: 0.05, batchSize: 2, epochs: 3000, log: false });
+
+    assert.ok(error < 0.01);
+    assert.ok(tensor.predict([1, 0])[0] > 0.5);
+    assert.ok(tensor.predict([0, 0])[0] < 0.5);
+    assert.throws(() => tensor.train(OR, { optimizer: 'newton', log: false }), { code: 'ERR_INVALID_OPTION' });
+    assert.throws(() => tensor.train(OR, { optimizer: 'sgd', dropout: 0.2, log: false }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('loadModel throws instead of running a model it cannot trust', (t) => {
+    quiet(t);
+    const file = tempFile(t, 'model.json');
+    trained().saveModel(file, { hmacKey: 'mac' });
+
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    contents.payload = contents.payload.replace('"sizes":[2,3,1]', '"sizes":[2,3,1] ');
+    fs.writeFileSync(file, JSON.stringify(contents));
+    assert.throws(() => new Tensor({}).loadModel(file, { hmacKey: 'mac' }), { code: 'ERR_MODEL_INTEGRITY' });
+
+    fs.writeFileSync(file, JSON.stringify({ hello: 'world' }));
+    assert.throws(() => new Tensor({}).loadModel(file), { code: 'ERR_MODEL_LOAD' });
+    assert.throws(() => new Tensor({}).loadModel(path.join(path.dirname(file), 'missing.json')), { code: 'ERR_MODEL_LOAD' });
+});
+
+test('predict and loadModelURL throw errors with stable codes', (t) => {
+    quiet(t);
+    const tensor = new Tensor({ inputSize: 2, outputSize: 1, hiddenNodes: [3] });
+    assert.throws(() => tensor.predict([0, 1]), { name: 'ModelError', code: 'ERR_MODEL_PREDICT' });
+
+    tensor.train(OR, { log: false, epochs: 5 });
+    assert.throws(() => tensor.predict([0, 1, 1]), { name: 'ModelError', code: 'ERR_MODEL_SHAPE' });
+    return assert.rejects(tensor.loadModelURL(), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('stops once the validation error has not improved for `patience` epochs', (t) => {
+    quiet(t);
+    const { result } = train({ patience: 5 });
+
+    assert.equal(result.stoppedEarly, true);
+    assert.ok(result.iterations < 2000);
+    assert.equal(result.iterations - result.bestEpoch, 5);
+    assert.equal(result.history.length, result.iterations);
+    assert.ok(result.history.every(({ validationError }) => Number.isFinite(validationError)));
+});
+
+test('restores the weights of the best epoch', (t) => {
+    quiet(t);
+    const { tensor, result } = train({ patience: 5 });
+    const best = result.history[result.bestEpoch - 1];
+
+    assert.equal(result.restored, true);
+    assert.equal(result.validationError, best.validationError);
+    assert.equal(Math.min(...result.history.map(({ validationError }) => validationError)), best.validationError);
+    assert.ok(Math.abs(tensor.evaluate(OPPOSITE).mse - best.validationError) < 1e-6);
+});
+
+test('keeps the last weights without restoreBestWeights', (t) => {
+    quiet(t);
+    const { result } = train({ patience: 5, restoreBestWeights: false });
+    const last = result.history[result.history.length - 1];
+
+    assert.equal(result.stoppedEarly, true);
+    assert.equal(result.restored, false);
+    assert.equal(result.validationError, last.validationError);
+});
+
+test('trains every epoch without patience', (t) => {
+    quiet(t);
+    const { result } = train({ epochs: 50 });
+
+    assert.equal(result.stoppedEarly, false);
+    assert.equal(result.bestEpoch, null);
+    assert.equal(result.iterations, 50);
+    assert.equal(result.history.length, 50);
+});
+
+test('checks validationSplit', (t) => {
+    quiet(t);
+    const tensor = new Tensor({ inputSize: 2, outputSize: 1 });
+    assert.throws(() => tensor.train(XOR, { log: false, validationSplit: 1 }), { code: 'ERR_INVALID_OPTION' });
+    assert.throws(() => tensor.train(XOR, { log: false, validationSplit: 0.1 }), { code: 'ERR_BAD_INPUT' });
+});
+
+test('evaluate reports regression and classification metrics', (t) => {
+    quiet(t);
+    const tensor = trained();
+
+    const metrics = tensor.evaluate(OR);
+    assert.equal(metrics.examples, 4);
+    assert.equal(metrics.accuracy, 1);
+    assert.equal(metrics.f1, 1);
+    assert.deepEqual(metrics.confusionMatrix, [[1, 0], [0, 3]]);
+    assert.ok(metrics.mse < 0.05 && metrics.mae < 0.2);
+
+    const regression = tensor.evaluate(OR, { classification: false });
+    assert.equal(regression.accuracy, undefined);
+    assert.equal(regression.mse, metrics.mse);
+
+    assert.throws(() => tensor.evaluate([]), { code: 'ERR_BAD_INPUT' });
+    assert.throws(() => tensor.evaluate([{ input: [1, 2, 3], output: [1] }]), { code: 'ERR_MODEL_SHAPE' });
+});
+
+test('toJSON and fromJSON copy a trained model', (t) => {
+    quiet(t);
+    const tensor = trained();
+    const copy = Tensor.fromJSON(JSON.parse(JSON.stringify(tensor.toJSON())));
+
+    assert.deepEqual(Array.from(copy.predict([1, 0])), Array.from(tensor.predict([1, 0])));
+    assert.throws(() => Tensor.fromJSON({ sizes: 'no' }), { code: 'ERR_MODEL_LOAD' });
+});
+
+test('search trains the grid on workers and ranks the candidates', async (t) => {
+    quiet(t);
+    const data = [...OR, ...OR];
+    const { best, params, score, leaderboard, failures } = await Tensor.search(data, {
+        hiddenNodes: [[3]],
+        learningRate: [0.3, 0.6],
+    }, { strategy: 'grid', workers: 2, epochs: 500, validationData: OR, metric: 'accuracy' });
+
+    assert.equal(leaderboard.length, 2);
+    assert.deepEqual(leaderboard.map(({ rank }) => rank), [1, 2]);
+    assert.ok(leaderboard[0].score >= leaderboard[1].score);
+    assert.deepEqual(params, leaderboard[0].params);
+    assert.equal(score, leaderboard[0].score);
+    assert.deepEqual(failures, []);
+    assert.equal(best.evaluate(OR).accuracy, score);
+});
+
+test('successive halving trains fewer candidates for longer each round', async (t) => {
+    quiet(t);
+    const { leaderboard } = await Tensor.search([...OR, ...OR], { learningRate: { min: 0.1, max: 0.5 } }, {
+        strategy: 'successive-halving', trials: 4, eta: 2, workers: 2, epochs: 200, validationData: OR,
+    });
+
+    const rounds = [0, 1, 2].map(round => leaderboard.filter(entry => entry.round === round));
+    assert.deepEqual(rounds.map(entries => entries.length), [4, 2, 1]);
+    assert.deepEqual(rounds.map(([{ epochs }]) => epochs), [50, 100, 200]);
+    assert.equal(leaderboard[0].round, 2);
+});
+
+test('search reports failed candidates and checks its options', async (t) => {
+    quiet(t);
+    const space = { hiddenNodes: [[3]], optimizer: ['adam', 'newton'] };
+    const { failures, leaderboard } = await Tensor.search(OR, space, { strategy: 'grid', workers: 1, epochs: 20, validationData: OR });
+    assert.equal(leaderboard.length, 1);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].params.optimizer, 'newton');
+    assert.equal(failures[0].error.code, 'ERR_WORKER_FAILED');
+
+    await assert.rejects(Tensor.search(OR, { optimizer: ['newton'] }, { workers: 1, trials: 1, validationData: OR }), { code: 'ERR_MODEL_TRAIN' });
+    await assert.rejects(Tensor.search(OR, space, { strategy: 'bayes' }), { code: 'ERR_INVALID_OPTION' });
+    await assert.rejects(Tensor.search(OR, space, { metric: 'r2' }), { code: 'ERR_INVALID_OPTION' });
+    await assert.rejects(Tensor.search(OR, space, { eta: 1 }), { code: 'ERR_INVALID_OPTION' });
+    await assert.rejects(Tensor.search(OR, space, { callback: () => { } }), { code: 'ERR_INVALID_OPTION' });
+    await assert.rejects(Tensor.search(OR, space, { validationSplit: 0 }), { code: 'ERR_INVALID_OPTION' });
+    await assert.rejects(Tensor.search([], space), { code: 'ERR_BAD_INPUT' });
+});
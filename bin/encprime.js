@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+// encprime: command-line access to Encrypt and Tensor
+// ---------------------------------------------------------
+// Exit codes: 0 success, 1 the operation failed (bad key, tampered data, ...), 2 usage error.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const Encrypt = require('../data/encrypt');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: encprime <command> [options]
+
+Commands:
+  encrypt [file]             Encrypt a file or stdin
+  decrypt [file]             Decrypt a file or stdin
+  morse encode|decode [text] Convert text to Morse code and back (text from stdin if omitted)
+  train <dataset>            Train a Tensor model on a JSON or CSV dataset
+  predict [input]            Run a saved model on a JSON input array (stdin if omitted)
+
+Key options (encrypt, decrypt):
+  --key-file <path>          Read a 32-byte key from a file: 64 hex characters, or base64:<key>
+  --key-env <name>           Read the key from an environment variable (default: ENCPRIME_KEY)
+  --passphrase-env <name>    Read a passphrase from an environment variable (default: ENCPRIME_PASSPHRASE)
+  --mode <mode>              gcm (default), chacha20-poly1305 or cbc
+  --encoding <encoding>      Ciphertext encoding: base64 (default), hex, base64url or buffer (raw bytes)
+
+Morse options:
+  --alphabet <name>          latin (default), arabic, cyrillic or greek
+
+Model options (train, predict):
+  Models are encrypted when --key-file, --key-env or --passphrase-env is given.
+  --hmac-env <name>          HMAC the model with the secret in an environment variable
+
+Train options:
+  --out <path>               Where to write the model (default: model.json)
+  --outputs <n>              CSV only: the last n columns are outputs (default: 1)
+  --hidden <sizes>           Hidden layer sizes, e.g. 8,4 (default: 3)
+  --activation <name>        sigmoid (default), relu, leaky-relu or tanh
+  --epochs <n>               Maximum training iterations (default: 5000)
+  --optimizer <name>         adam, sgd or rmsprop for mini-batch training (default: brain.js' own trainer)
+  --learning-rate <x>        Learning rate (default: 0.3; 0.001 with adam or rmsprop, 0.1 with sgd)
+  --momentum <x>             Momentum (default: 0.1; 0.9 with sgd)
+  --batch-size <n>           Examples per weight update with --optimizer (default: 32)
+  --weight-decay <x>         L2 penalty on the weights with --optimizer (default: 0)
+  --schedule <name>          Learning rate schedule with --optimizer: constant (default), step, exponential or cosine
+  --error-thresh <x>         Stop once the error is below this (default: 0.005)
+  --validation-split <x>     Hold out this fraction of the examples, from the end, for validation (default: 0)
+  --patience <n>             Stop after n epochs without improvement and keep the best weights
+
+Predict options:
+  --model <path>             The model file written by train (default: model.json)
+
+Common options:
+  -o, --output <path>        Write the result to a file instead of stdout
+  --json                     Print results and errors as JSON
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+    'key-file': { type: 'string' },
+    'key-env': { type: 'string' },
+    'passphrase-env': { type: 'string' },
+    mode: { type: 'string' },
+    encoding: { type: 'string' },
+    alphabet: { type: 'string' },
+    out: { type: 'string' },
+    outputs: { type: 'string' },
+    hidden: { type: 'string' },
+    activation: { type: 'string' },
+    epochs: { type: 'string' },
+    optimizer: { type: 'string' },
+    'learning-rate': { type: 'string' },
+    momentum: { type: 'string' },
+    'batch-size': { type: 'string' },
+    'weight-decay': { type: 'string' },
+    schedule: { type: 'string' },
+    'error-thresh': { type: 'string' },
+    'validation-split': { type: 'string' },
+    patience: { type: 'string' },
+    model: { type: 'string' },
+    'hmac-env': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {
+    code = 'ERR_USAGE';
+}
+
+async function readInput(file) {
+    if (file !== undefined && file !== '-') {
+        return fs.promises.readFile(file);
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function writeOutput(data, values) {
+    if (values.output) {
+        fs.writeFileSync(values.output, data);
+    } else {
+        process.stdout.write(data);
+    }
+}
+
+function writeJSON(result, values) {
+    writeOutput(JSON.stringify(result) + '\n', values);
+}
+
+function number(values, name, fallback) {
+    if (values[name] === undefined) return fallback;
+    const value = Number(values[name]);
+    if (!Number.isFinite(value)) {
+        throw new UsageError(`--${name} must be a number`);
+    }
+    return value;
+}
+
+function keyOptions(values) {
+    if (values['key-file']) {
+        return { key: fs.readFileSync(values['key-file'], 'utf8').trim() };
+    }
+
+    const passphraseEnv = values['passphrase-env'] || 'ENCPRIME_PASSPHRASE';
+    if (values['passphrase-env'] || (!values['key-env'] && process.env[passphraseEnv] !== undefined)) {
+        if (process.env[passphraseEnv] === undefined) {
+            throw new UsageError(`Environment variable ${passphraseEnv} is not set`);
+        }
+        return { passphrase: process.env[passphraseEnv] };
+    }
+
+    const keyEnv = values['key-env'] || 'ENCPRIME_KEY';
+    if (process.env[keyEnv] === undefined) {
+        throw new UsageError(`No key given: set ${keyEnv}, or use --key-file or --passphrase-env`);
+    }
+    return { key: process.env[keyEnv].trim() };
+}
+
+function modelOptions(values) {
+    const options = values['key-file'] || values['key-env'] || values['passphrase-env'] ? keyOptions(values) : {};
+    if (values['hmac-env']) {
+        if (process.env[values['hmac-env']] === undefined) {
+            throw new UsageError(`Environment variable ${values['hmac-env']} is not set`);
+        }
+        options.hmacKey = process.env[values['hmac-env']];
+    }
+    return options;
+}
+
+// Silences Tensor's progress output on stdout, where it would mix with the results
+function withLogsOnStderr(fn) {
+    const log = console.log;
+    console.log = console.error;
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+function parseCSV(text, outputs) {
+    const rows = text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => line.split(',').map(cell => cell.trim()));
+
+    if (rows.length > 0 && rows[0].some(cell => cell === '' || Number.isNaN(Number(cell)))) {
+        rows.shift(); // header
+    }
+
+    return rows.map((row, i) => {
+        const values = row.map(Number);
+        if (values.some(Number.isNaN)) {
+            throw new UsageError(`CSV row ${i + 1} has a non-numeric value`);
+        }
+        if (values.length <= outputs) {
+            throw new UsageError(`CSV row ${i + 1} needs more than ${outputs} columns`);
+        }
+        return { input: values.slice(0, -outputs), output: values.slice(-outputs) };
+    });
+}
+
+function loadDataset(file, outputs) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.json$/i.test(file) || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data) || data.some(item => !item || !Array.isArray(item.input) || !Array.isArray(item.output))) {
+            throw new UsageError('JSON datasets must be arrays of { "input": [...], "output": [...] }');
+        }
+        return data;
+    }
+    return parseCSV(text, outputs);
+}
+
+const commands = {
+    async encrypt(positionals, values) {
+        const encryptor = new Encrypt();
+        const data = await readInput(positionals[0]);
+        const ciphertext = encryptor.aes(data, {
+            ...keyOptions(values),
+            mode: values.mode,
+            encoding: values.encoding || 'base64',
+        });
+
+        if (values.json) {
+            writeJSON({ ciphertext: Buffer.isBuffer(ciphertext) ? ciphertext.toString('base64') : ciphertext }, values);
+        } else {
+            writeOutput(Buffer.isBuffer(ciphertext) ? ciphertext : ciphertext + '\n', values);
+        }
+    },
+
+    async decrypt(positionals, values) {
+        const encryptor = new Encrypt();
+        const data = await readInput(positionals[0]);
+        const text = data.toString('utf8').trim();
+        // Text encodings are decoded from the string; anything else is a raw envelope
+        const input = /^[A-Za-z0-9+/=_:\-\s]*$/.test(text) ? text : data;
+        const plaintext = encryptor.aes(input, { ...keyOptions(values), reverse: true, encoding: 'buffer' });
+
+        if (values.json) {
+            writeJSON({ plaintext: plaintext.toString('utf8') }, values);
+        } else {
+            writeOutput(plaintext, values);
+        }
+    },
+
+    async morse([direction, ...words], values) {
+        if (direction !== 'encode' && direction !== 'decode') {
+            throw new UsageError('morse needs a direction: encode or decode');
+        }
+        const input = words.length > 0 ? words.join(' ') : (await readInput()).toString('utf8').trim();
+        const result = new Encrypt().morse(input, { alphabet: values.alphabet }, direction === 'decode');
+
+        if (values.json) {
+            writeJSON({ [direction === 'encode' ? 'code' : 'text']: result }, values);
+        } else {
+            writeOutput(result + '\n', values);
+        }
+    },
+
+    async train([dataset], values) {
+        if (!dataset) {
+            throw new UsageError('train needs a dataset file');
+        }
+        const data = loadDataset(dataset, number(values, 'outputs', 1));
+        if (data.length === 0) {
+            throw new UsageError('The dataset is empty');
+        }
+
+        const { Tensor } = require('../Tensor/tensor');
+        const hiddenNodes = values.hidden ? values.hidden.split(',').map(Number) : [3];
+        if (hiddenNodes.some(size => !Number.isInteger(size) || size < 1)) {
+            throw new UsageError('--hidden must be a comma-separated list of positive integers');
+        }
+        const modelPath = values.out || 'model.json';
+        const protection = modelOptions(values);
+
+        const result = withLogsOnStderr(() => {
+            const tensor = new Tensor({
+                inputSize: data[0].input.length,
+                outputSize: data[0].output.length,
+                hiddenNodes,
+                ActiveMode: values.activation || 'sigmoid',
+            });
+            const stats = tensor.train(data, {
+                epochs: number(values, 'epochs', 5000),
+                optimizer: values.optimizer,
+                learningRate: number(values, 'learning-rate', undefined),
+                momentum: number(values, 'momentum', undefined),
+                batchSize: number(values, 'batch-size', 32),
+                weightDecay: number(values, 'weight-decay', 0),
+                schedule: values.schedule,
+                errorThresh: number(values, 'error-thresh', 0.005),
+                validationSplit: number(values, 'validation-split', 0),
+                patience: number(values, 'patience', Infinity),
+                activation: values.activation || 'sigmoid',
+                log: false,
+            });
+            tensor.saveModel(modelPath, protection);
+            return stats;
+        });
+
+        writeJSON({
+            model: modelPath,
+            examples: data.length,
+            error: result.error,
+            iterations: result.iterations,
+            ...(result.validationError !== undefined && { validationError: result.validationError }),
+            ...(result.stoppedEarly && { bestEpoch: result.bestEpoch }),
+        }, values);
+    },
+
+    async predict([inputArgument], values) {
+        const text = inputArgument !== undefined ? inputArgument : (await readInput()).toString('utf8');
+        let input;
+        try {
+            input = JSON.parse(text);
+        } catch {
+            throw new UsageError('predict needs a JSON array as input');
+        }
+        if (!Array.isArray(input)) {
+            throw new UsageError('predict needs a JSON array as input');
+        }
+
+        const protection = modelOptions(values);
+        const { Tensor } = require('../Tensor/tensor');
+        const batch = Array.isArray(input[0]);
+        const output = withLogsOnStderr(() => {
+            const tensor = new Tensor({});
+            tensor.loadModel(values.model || 'model.json', protection);
+            return (batch ? input : [input]).map(row => Array.from(tensor.predict(row)));
+        });
+
+        writeJSON(batch ? output : output[0], values);
+    },
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...rest] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return values.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        process.stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        await commands[command](rest, values);
+        return EXIT_OK;
+    } catch (error) {
+        const usage = error instanceof UsageError;
+        if (values.json) {
+            process.stderr.write(JSON.stringify({ error: { message: error.message, code: error.code || null, usage } }) + '\n');
+        } else {
+            process.stderr.write(`encprime ${command}: ${error.message}\n`);
+        }
+        return usage ? EXIT_USAGE : EXIT_FAILURE;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Encrypt = require('../data/encrypt');
+
+const CLI = path.join(__dirname, 'encprime.js');
+const ROOT = path.join(__dirname, '..');
+const key = new Encrypt().generateKey();
+
+// Runs the CLI with the same preloads as the test runner
+function encprime(args, { input, env = {} } = {}) {
+    const result = spawnSync(process.execPath, [...process.execArgv, CLI, ...args], {
+        cwd: ROOT,
+        input,
+        env: { ...process.env, ENCPRIME_KEY: '', ENCPRIME_PASSPHRASE: undefined, ...env },
+        timeout: 60000,
+    });
+    return { status: result.status, stdout: result.stdout.toString(), stderr: result.stderr.toString() };
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encprime-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('encrypt and decrypt round trip through stdin and stdout', () => {
+    const env = { ENCPRIME_KEY: key };
+    const sealed = encprime(['encrypt'], { input: 'top secret', env });
+    assert.equal(sealed.status, 0, sealed.stderr);
+
+    const opened = encprime(['decrypt'], { input: sealed.stdout, env });
+    assert.equal(opened.status, 0, opened.stderr);
+    assert.equal(opened.stdout, 'top secret');
+});
+
+test('encrypt and decrypt files with a passphrase and raw output', (t) => {
+    const dir = tempDir(t);
+    const plain = path.join(dir, 'plain.bin');
+    const sealed = path.join(dir, 'plain.bin.enc');
+    const restored = path.join(dir, 'restored.bin');
+    fs.writeFileSync(plain, Buffer.from([0, 1, 2, 255]));
+    const env = { ENCPRIME_PASSPHRASE: 'correct horse' };
+
+    assert.equal(encprime(['encrypt', plain, '--encoding', 'buffer', '-o', sealed], { env }).status, 0);
+    assert.equal(encprime(['decrypt', sealed, '-o', restored], { env }).status, 0);
+    assert.deepEqual(fs.readFileSync(restored), fs.readFileSync(plain));
+});
+
+test('failures exit 1 and usage errors exit 2', () => {
+    const sealed = encprime(['encrypt', '--key-env', 'MY_KEY'], { input: 'x', env: { MY_KEY: key } }).stdout;
+    const wrong = encprime(['decrypt', '--json'], { input: sealed, env: { ENCPRIME_KEY: new Encrypt().generateKey() } });
+    assert.equal(wrong.status, 1);
+    assert.equal(JSON.parse(wrong.stderr).error.usage, false);
+
+    assert.equal(encprime(['encrypt', '--key-env', 'UNSET_KEY'], { input: 'x' }).status, 2);
+    assert.equal(encprime(['frobnicate']).status, 2);
+    assert.equal(encprime(['--nope']).status, 2);
+    assert.equal(encprime([]).status, 2);
+    assert.equal(encprime(['--help']).status, 0);
+});
+
+test('morse encodes and decodes', () => {
+    assert.equal(encprime(['morse', 'encode', 'SOS', 'help']).stdout, '... --- ... / .... . .-.. .--.\n');
+    assert.deepEqual(JSON.parse(encprime(['morse', 'decode', '--json'], { input: '... --- ...' }).stdout), { text: 'SOS' });
+    assert.equal(encprime(['morse', 'sideways']).status, 2);
+});
+
+test('train writes a model that predict loads', (t) => {
+    const dir = tempDir(t);
+    const dataset = path.join(dir, 'or.csv');
+    const model = path.join(dir, 'model.json');
+    fs.writeFileSync(dataset, 'a,b,out\n0,0,0\n0,1,1\n1,0,1\n1,1,1\n');
+
+    const trained = encprime(['train', dataset, '--out', model, '--hidden', '4', '--epochs', '2000']);
+    assert.equal(trained.status, 0, trained.stderr);
+    assert.equal(JSON.parse(trained.stdout).examples, 4);
+
+    const predicted = encprime(['predict', '[[0,0],[1,1]]', '--model', model]);
+    assert.equal(predicted.status, 0, predicted.stderr);
+    const [[low], [high]] = JSON.parse(predicted.stdout);
+    assert.ok(low < 0.5 && high > 0.5, predicted.stdout);
+
+    assert.equal(encprime(['train', dataset, '--hidden', 'x']).status, 2);
+    assert.equal(encprime(['predict', 'not json', '--model', model]).status, 2);
+});
+
+test('train accepts an optimizer, batch size and schedule', (t) => {
+    const dir = tempDir(t);
+    const dataset = path.join(dir, 'or.json');
+    const model = path.join(dir, 'model.json');
+    fs.writeFileSync(dataset, JSON.stringify([[0, 0, 0], [0, 1, 1], [1, 0, 1], [1, 1, 1]].map(([a, b, out]) => ({ input: [a, b], output: [out] }))));
+
+    const args = ['train', dataset, '--out', model, '--optimizer', 'adam', '--learning-rate', '0.05', '--batch-size', '2', '--epochs', '3000'];
+    const trained = encprime([...args, '--schedule', 'cosine']);
+    assert.equal(trained.status, 0, trained.stderr);
+    assert.ok(JSON.parse(trained.stdout).error < 0.05, trained.stdout);
+
+    const validated = encprime([...args, '--validation-split', '0.25', '--patience', '10', '--epochs', '500']);
+    assert.equal(validated.status, 0, validated.stderr);
+    assert.ok(Number.isFinite(JSON.parse(validated.stdout).validationError), validated.stdout);
+
+    assert.equal(encprime([...args, '--optimizer', 'newton']).status, 1);
+    assert.equal(encprime([...args, '--batch-size', 'many']).status, 2);
+});
+
+test('train and predict encrypt and check models when given keys', (t) => {
+    const dir = tempDir(t);
+    const dataset = path.join(dir, 'and.json');
+    const model = path.join(dir, 'model.json');
+    fs.writeFileSync(dataset, JSON.stringify([
+        { input: [0, 0], output: [0] },
+        { input: [1, 1], output: [1] },
+    ]));
+    const env = { ENCPRIME_KEY: key, MODEL_MAC: 'mac secret' };
+
+    assert.equal(encprime(['train', dataset, '--out', model, '--key-env', 'ENCPRIME_KEY', '--hmac-env', 'MODEL_MAC', '--epochs', '200'], { env }).status, 0);
+    assert.equal(JSON.parse(fs.readFileSync(model, 'utf8')).encrypted, true);
+
+    assert.equal(encprime(['predict', '[1,1]', '--model', model, '--key-env', 'ENCPRIME_KEY', '--hmac-env', 'MODEL_MAC'], { env }).status, 0);
+    assert.equal(encprime(['predict', '[1,1]', '--model', model, '--key-env', 'ENCPRIME_KEY'], { env }).status, 1);
+});
@@ -1,133 +1,795 @@
 const crypto = require('crypto');
+const cipher = require('./secret/cipher');
+const envelope = require('./secret/envelope');
+const keys = require('./secret/keys');
+const Keyring = require('./keyring');
+const asymmetric = require('./secret/asymmetric');
+const jose = require('./secret/jose');
+const shamir = require('./secret/shamir');
+const password = require('./secret/password');
+const morseCodec = require('./secret/morse');
+const classic = require('./secret/classic');
+const { createMiddleware } = require('./secret/middleware');
+const { EncryptStream, DecryptStream } = require('./secret/stream');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { EncPrimeError, CryptoError } = require('../errors');
 
 class Encrypt {
-    morse = (text, reverse = false) => {
-        text = String(text);
-        const pattle = {
-            A: ".-",
-            B: "-...",
-            C: "-.-.",
-            D: "-..",
-            E: ".",
-            F: "..-.",
-            G: "--.",
-            H: "....",
-            I: "..",
-            J: ".---",
-            K: "-.-",
-            L: ".-..",
-            M: "--",
-            N: "-.",
-            O: "---",
-            P: ".--.",
-            Q: "--.-",
-            R: ".-.",
-            S: "...",
-            T: "-",
-            U: "..-",
-            V: "...-",
-            W: ".--",
-            X: "-..-",
-            Y: "-.--",
-            Z: "--..",
-            "1": ".----",
-            "2": "..---",
-            "3": "...--",
-            "4": "....-",
-            "5": ".....",
-            "6": "-....",
-            "7": "--...",
-            "8": "---..",
-            "9": "----.",
-            "0": "-----",
-            ".": ".-.-.-",
-            ",": "--..--",
-            "?": "..--..",
-            "'": ".----.",
-            "!": "-.-.--",
-            "/": "-..-.",
-            "(": "-.--.",
-            ")": "-.--.-",
-            "&": ".-...",
-            ":": "---...",
-            ";": "-.-.-.",
-            "=": "-...-",
-            "+": ".-.-.",
-            "-": "-....-",
-            _: "..--.-",
-            $: "...-..-",
-            "@": ".--.-.",
+    static Keyring = Keyring;
+
+    /**
+     * Encodes text to Morse code, or decodes Morse code back to text.
+     *
+     * Letters are separated by a space and words by " / " (or three spaces), so word
+     * boundaries survive a round trip. Prosigns are written in angle brackets, e.g. `<SK>`.
+     *
+     * @param {string} text - The text to encode, or the Morse code to decode.
+     * @param {Object|boolean} [options] - The codec options. A boolean is read as `reverse`.
+     * @param {string|Object|Array} [options.alphabet='latin'] - `latin`, `arabic`, `cyrillic`, `greek`,
+     *        a custom `{ char: code }` table, or a list of them (earlier ones win on conflicts).
+     *        Digits, punctuation and prosigns are always included.
+     * @param {'/'|'   '} [options.wordSeparator='/'] - The word separator to encode with.
+     * @param {string} [options.unknown] - Encoding: `skip` (default), `error`, or a replacement character.
+     *        Decoding: `skip`, `error`, or the character to put in place of unknown codes (default "�").
+     * @param {boolean|Object} [options.toAudio] - Return a 16-bit PCM WAV Buffer of the code instead,
+     *        with `{ wpm = 20, farnsworth, frequency = 600, sampleRate = 8000, volume = 0.8 }`.
+     *        `sampleRate` is a positive integer, `frequency` is below half of it and `volume` is 0 to 1.
+     * @param {boolean} [reverse=false] - Set to true to decode.
+     * @returns {string|Buffer} The Morse code, the decoded text, or a WAV file.
+     *
+     * @example
+     *    encryptor.morse("SOS help"); // "... --- ... / .... . .-.. .--."
+     *    encryptor.morse("... --- ... / .... . .-.. .--.", {}, true); // "SOS HELP"
+     *    encryptor.morse("Привет", { alphabet: "cyrillic" }); // ".--. .-. .. .-- . -"
+     *    fs.writeFileSync("cq.wav", encryptor.morse("CQ CQ <AR>", { toAudio: { wpm: 18, farnsworth: 10 } }));
+     */
+    morse = (text, options = {}, reverse = false) => {
+        if (typeof options === 'boolean') {
+            reverse = options;
+            options = {};
         }
+        const { toAudio, ...codecOptions } = options;
 
         if (reverse) {
-            let result = ""
-            let morseArray = text.trim().split(" ") // تقسيم مورس إلى أجزاء مفصولة بمسافات
-            morseArray.forEach(code => {
-                let char = Object.keys(pattle).find(key => pattle[key] === code) // البحث عن الحرف في القاموس
-                if (char) {
-                    result += char
-                } else {
-                    result += " " // إذا مفيش تطابق للشفرة، إضافة فراغ
-                }
-            })
-            return result
-        } else {
-            // الكود الخاص بالتحويل من نص إلى مورس (كما كان قبل ذلك)
-            let result = ""
-            text = text.toUpperCase().split("") // تحويل النص إلى أحرف كبيرة
-            text.forEach(char => {
-                if (pattle[char]) {
-                    result += pattle[char] + " "
-                } else {
-                    result += " " // وضع فراغ للأحرف التي لا توجد لها شفرة مورس
-                }
-            })
-            return result.trim()
+            return morseCodec.decode(String(text), codecOptions);
         }
+
+        const code = morseCodec.encode(String(text), codecOptions);
+        return toAudio ? morseCodec.toWav(code, toAudio === true ? {} : toAudio) : code;
+    }
+
+    /**
+     * Decodes a keyed on/off timing sequence, e.g. from a straight key or a tone detector.
+     * The dot length is estimated from the signal, so uneven hand-sent timing is tolerated
+     * and glitches much shorter than a dot are ignored.
+     *
+     * @param {Array<number|Object|Array>} sequence - `{ on, duration }` objects, `[on, duration]` pairs,
+     *        or signed durations (positive = tone on, negative = off), in any time unit.
+     * @param {Object} [options] - `alphabet` and `unknown` as in `morse`, plus `unit` (a known dot length)
+     *        and `glitch` (runs shorter than this fraction of a dot are noise, default 0.3).
+     * @returns {{ text: string, code: string, unit: number }} The text, the Morse code it was read as,
+     *          and the dot length used.
+     *
+     * @example
+     *    encryptor.morseTiming([60, -60, 60, -60, 60, -180, 170, -70, 180, -50, 190]).text; // "SO"
+     */
+    morseTiming = (sequence, options = {}) => {
+        return morseCodec.decodeTimings(sequence, options);
+    }
+
+    /**
+     * Caesar cipher: shifts every Latin letter by a fixed amount, keeping case and other characters.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} [options]
+     * @param {number} [options.shift=3] - How many letters to shift by, an integer.
+     * @param {boolean} [reverse=false] - Set to true to decrypt.
+     * @returns {string}
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` if `shift` is not an integer.
+     *
+     * @example
+     *    encryptor.caesar("Hello", { shift: 3 }); // "Khoor"
+     */
+    caesar = (text, { shift = 3 } = {}, reverse = false) => {
+        return classic.caesar(text, shift, reverse);
+    }
+
+    /**
+     * ROT-N: a Caesar shift of `n`. With the default of 13 it is its own inverse.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} [options]
+     * @param {number} [options.n=13] - How many letters to rotate by.
+     * @param {boolean} [reverse=false] - Set to true to decrypt.
+     * @returns {string}
+     */
+    rot = (text, { n = 13 } = {}, reverse = false) => {
+        return classic.caesar(text, n, reverse);
+    }
+
+    /**
+     * Vigenère cipher: a Caesar shift that changes with each letter of a keyword.
+     * Non-letters are kept and do not advance the keyword.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} options
+     * @param {string} options.key - The keyword. Only its letters are used.
+     * @param {boolean} [reverse=false] - Set to true to decrypt.
+     * @returns {string}
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` if the key is missing or has no letters A-Z.
+     *
+     * @example
+     *    encryptor.vigenere("ATTACK AT DAWN", { key: "LEMON" }); // "LXFOPV EF RNHR"
+     */
+    vigenere = (text, { key } = {}, reverse = false) => {
+        return classic.vigenere(text, key, reverse);
     }
 
     /**
-   * Executes a function in parallel across multiple workers.
-   *
-   * @param {String} text - The text to encrypt or decrypt.
-   * @param {Object} options - The encryption/decryption options.
-   * @param {string} key - The encryption/decryption key.
-   * @param {boolean} [reverse=false] - Set to true to decrypt the text.
-   * @returns {Promise<string>} - The encrypted or decrypted text.
-   *
-   * @example
-   *  const key = "your-encryption-key"; // Replace with your own encryption key
-   *    const text = "Hello, World!";
-   *
-   *    // Encrypt the text
-   *    const encryptedText = encryptor.aes(text, {
-   *        key,
-   *    });
-   *    console.log("Encrypted:", encryptedText);
-   *
-   *    // Decrypt the text
-   *    const decryptedText = encryptor.aes(encryptedText, {
-   *        key,
-   *        reverse: true,  // Set to true to decrypt the text
-   *    });
-   *    console.log("Decrypted:", decryptedText);
-   */
-    aes = (text, { key, reverse }) => {
-        const keyBuffer = Buffer.from(key).slice(0, 32); // Ensure the key is 256 bits (32 bytes)
+     * Atbash cipher: mirrors the alphabet (A↔Z, B↔Y, ...). It is its own inverse.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} [options] - Unused, accepted for a uniform signature.
+     * @param {boolean} [reverse=false] - Unused, Atbash decrypts with the same operation.
+     * @returns {string}
+     */
+    atbash = (text, options = {}, reverse = false) => {
+        return classic.atbash(text);
+    }
+
+    /**
+     * Affine cipher: maps each letter x to (a·x + b) mod 26.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} [options]
+     * @param {number} [options.a=5] - The multiplier. Must be coprime with 26.
+     * @param {number} [options.b=8] - The shift.
+     * @param {boolean} [reverse=false] - Set to true to decrypt.
+     * @returns {string}
+     */
+    affine = (text, { a = 5, b = 8 } = {}, reverse = false) => {
+        return classic.affine(text, a, b, reverse);
+    }
+
+    /**
+     * Playfair cipher on a 5×5 key square (I and J share a cell). The output is upper-case
+     * letters only; repeated letters in a pair and an odd final letter are padded with `padding`,
+     * which stays in the decrypted text.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} options
+     * @param {string} options.key - The keyword that fills the square. It needs at least one letter A-Z.
+     * @param {string} [options.padding='X'] - The filler letter: any letter but J.
+     * @param {boolean} [reverse=false] - Set to true to decrypt.
+     * @returns {string}
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` for a missing key or a bad padding letter.
+     *
+     * @example
+     *    encryptor.playfair("Hide the gold", { key: "playfair example" }); // "BMODZBXDNAGE"
+     */
+    playfair = (text, { key, padding = 'X' } = {}, reverse = false) => {
+        return classic.playfair(text, key, reverse, padding);
+    }
+
+    /**
+     * Rail fence cipher: writes the text in a zig-zag over `rails` rows and reads it row by row.
+     *
+     * @param {string} text - The text to encrypt or decrypt.
+     * @param {Object} [options]
+     * @param {number} [options.rails=3] - The number of rows.
+     * @param {boolean} [reverse=false] - Set to true to decrypt.
+     * @returns {string}
+     */
+    railFence = (text, { rails = 3 } = {}, reverse = false) => {
+        return classic.railFence(text, rails, reverse);
+    }
+
+    /**
+     * Enigma machine simulator with rotor double stepping, ring settings and a plugboard.
+     * The machine is its own inverse, so decrypting is encrypting again with the same settings.
+     *
+     * @param {string} text - The text to encrypt or decrypt. Non-letters pass through without stepping the rotors.
+     * @param {Object} [options]
+     * @param {Array<string|Object>} [options.rotors=['I', 'II', 'III']] - Rotors from left to right: names
+     *        `I`–`VIII`, or custom `{ wiring, notch }`. With four rotors the leftmost never steps, as on the M4.
+     * @param {string} [options.reflector='B'] - `A`, `B`, `C`, or a custom 26-letter wiring.
+     * @param {string|Array} [options.rings='AAA'] - Ring settings (Ringstellung), letters or numbers 1–26.
+     * @param {string|Array} [options.positions='AAA'] - Starting positions (Grundstellung).
+     * @param {string|string[]} [options.plugboard=''] - Plugboard pairs, e.g. "AV BS CG".
+     * @param {boolean} [reverse=false] - Unused, Enigma decrypts with the same operation.
+     * @returns {string}
+     *
+     * @example
+     *    encryptor.enigma("AAAAA"); // "BDZGO"
+     *    encryptor.enigma("HELLO", { rotors: ["II", "IV", "V"], rings: "BUL", positions: "BLA", plugboard: "AV BS CG" });
+     */
+    enigma = (text, options = {}, reverse = false) => {
+        return classic.enigma(text, options);
+    }
+
+    /**
+     * Letter statistics for cryptanalysis: counts, relative frequencies, the index of coincidence
+     * (about 0.066 for English, 0.038 for random letters) and the chi-squared distance from English.
+     *
+     * @param {string} text
+     * @returns {{ total: number, counts: Object<string, number>, frequencies: Object<string, number>,
+     *             indexOfCoincidence: number, chiSquared: number }}
+     */
+    frequencyAnalysis = (text) => {
+        return classic.frequencyAnalysis(text);
+    }
+
+    /**
+     * Brute-forces a Caesar cipher, ranking all 26 shifts by how English the result looks.
+     *
+     * @param {string} text - The ciphertext.
+     * @param {Object} [options]
+     * @param {number} [options.top=26] - How many candidates to return.
+     * @returns {Array<{ shift: number, text: string, score: number }>} Candidates, most likely first.
+     *
+     * @example
+     *    encryptor.crackCaesar("Wkh vhfuhw phhwlqj lv dw gdzq", { top: 1 })[0].text; // "The secret meeting is at dawn"
+     */
+    crackCaesar = (text, { top = 26 } = {}) => {
+        return classic.crackCaesar(text).slice(0, top);
+    }
+
+    /**
+     * Generates a random 32-byte key for the `key` option of `aes`.
+     *
+     * @param {'hex'|'base64'|'base64url'|'buffer'} [encoding='hex'] - How to return the key. Base64 keys
+     *        carry a "base64:" or "base64url:" prefix so that `aes` reads them as such.
+     * @returns {string|Buffer} The key.
+     */
+    generateKey = (encoding = 'hex') => {
+        const key = crypto.randomBytes(keys.KEY_LENGTH);
+        if (encoding === 'buffer') return key;
+        if (encoding === 'hex') return key.toString('hex');
+        if (encoding !== 'base64' && encoding !== 'base64url') {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown key encoding "${encoding}": use hex, base64, base64url or buffer`);
+        }
+        return `${encoding}:${key.toString(encoding)}`;
+    }
+
+    /**
+     * Encrypts or decrypts text or binary data with an authenticated cipher.
+     *
+     * Ciphertext is an envelope that records the envelope version, algorithm, IV and
+     * auth tag, and in passphrase mode the KDF, its parameters and the salt, so
+     * decryption needs nothing but the key or passphrase. The legacy "iv:cipher"
+     * AES-256-CBC output of earlier versions is still accepted for decryption.
+     *
+     * @param {string|Buffer|Uint8Array} text - The text or bytes to encrypt, or the ciphertext to decrypt
+     *        in any of the output encodings.
+     * @param {Object} options - The encryption/decryption options.
+     * @param {Buffer|string} [options.key] - A raw key of exactly 32 bytes: a Buffer, 64 hex characters, or
+     *        a string prefixed with its encoding ("base64:", "base64url:" or "hex:").
+     * @param {string|Buffer} [options.passphrase] - A passphrase to derive the key from, instead of `key`.
+     * @param {'scrypt'|'pbkdf2'} [options.kdf='scrypt'] - The KDF used for `passphrase`.
+     * @param {Object} [options.kdfOptions] - KDF cost parameters (`N`, `r`, `p` for scrypt, `iterations`, `digest` for PBKDF2).
+     *        At most N = 2^20 (a power of two, below 2^(16 * r)), r = 32, p = 16, 10,000,000 iterations and
+     *        a `sha256` or `sha512` digest. Ciphertext whose header asks for more is refused with `ERR_BAD_ENVELOPE`.
+     * @param {Keyring} [options.keyring] - Instead of `key`: encrypts with the keyring's current key and tags the
+     *        ciphertext with its ID; decrypts with whichever key the ciphertext is tagged with.
+     * @param {boolean} [options.reverse=false] - Set to true to decrypt the text.
+     * @param {'gcm'|'cbc'|'chacha20-poly1305'} [options.mode='gcm'] - The cipher to encrypt with.
+     *        `cbc` is unauthenticated and only kept for interoperability.
+     * @param {string|Buffer} [options.aad] - Associated data that is authenticated but not encrypted.
+     *        The same value must be passed again to decrypt; decrypting `cbc` or legacy ciphertext with it
+     *        throws `ERR_DECRYPT_AUTH`, as neither can authenticate it.
+     * @param {string} [options.encoding] - When encrypting, the ciphertext encoding: `hex` (default), `base64`,
+     *        `base64url` or `buffer`. When decrypting, the plaintext encoding: `utf8` (default), `buffer`
+     *        for raw bytes, or any other Node.js Buffer encoding.
+     * @returns {string|Buffer} - The encrypted or decrypted data.
+     *
+     * @example
+     *    const passphrase = "correct horse battery staple"; // Replace with your own passphrase
+     *    const text = "Hello, World!";
+     *
+     *    // Encrypt the text
+     *    const encryptedText = encryptor.aes(text, {
+     *        passphrase,
+     *        aad: "user:42", // Optional, bound to the ciphertext
+     *    });
+     *    console.log("Encrypted:", encryptedText);
+     *
+     *    // Decrypt the text
+     *    const decryptedText = encryptor.aes(encryptedText, {
+     *        passphrase,
+     *        aad: "user:42",
+     *        reverse: true,  // Set to true to decrypt the text
+     *    });
+     *    console.log("Decrypted:", decryptedText);
+     *
+     *    // Or with a raw 256-bit key and binary data
+     *    const key = encryptor.generateKey();
+     *    const sealed = encryptor.aes(fs.readFileSync("photo.png"), { key, encoding: "buffer" });
+     *    const photo = encryptor.aes(sealed, { key, reverse: true, encoding: "buffer" });
+     */
+    aes = (text, { reverse = false, mode = 'gcm', aad, encoding, ...keyOptions } = {}) => {
+        const aadBuffer = aad === undefined ? undefined : envelope.toBytes(aad);
+
         if (!reverse) {
-            const iv = crypto.randomBytes(16); // Generate a random IV
-            const cipher = crypto.createCipheriv('aes-256-cbc', keyBuffer, iv);
-            let encrypted = cipher.update(text, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            return iv.toString('hex') + ':' + encrypted; // Prepend IV to the encrypted text
-        } else if (reverse) {
-            const textParts = text.split(':');
-            const iv = Buffer.from(textParts.shift(), 'hex'); // Extract IV
-            const encryptedText = textParts.join(':');
-            const decipher = crypto.createDecipheriv('aes-256-cbc', keyBuffer, iv);
-            let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            return decrypted;
+            const { key, header: keyHeader } = keys.resolveEncryptKey(keyOptions);
+            const { header, body } = cipher.encrypt(mode, key, envelope.toBytes(text), aadBuffer);
+            return envelope.encode(envelope.pack({ ...header, ...keyHeader }, body), encoding || 'hex');
+        }
+
+        let plaintext;
+        if (envelope.isLegacy(text)) {
+            const [ivHex, encryptedHex] = text.trim().split(':');
+            const header = { alg: 'aes-256-cbc', iv: Buffer.from(ivHex, 'hex').toString('base64') };
+            const key = keys.legacyKey(keyOptions.key ?? keyOptions.passphrase);
+            plaintext = cipher.decrypt(header, key, Buffer.from(encryptedHex, 'hex'), aadBuffer);
+        } else {
+            const { header, body } = envelope.unpack(envelope.decode(text));
+            if (header.stream) {
+                throw new CryptoError('ERR_BAD_ENVELOPE', 'Ciphertext is an encrypted stream, use decryptStream() or decryptFile() to decrypt it');
+            }
+            if (header.wrap) {
+                throw new CryptoError('ERR_BAD_ENVELOPE', 'Ciphertext is sealed for a public key, use open() to decrypt it');
+            }
+            const key = keys.resolveDecryptKey(keyOptions, header);
+            plaintext = cipher.decrypt(header, key, body, aadBuffer);
+        }
+
+        return encoding === 'buffer' ? plaintext : plaintext.toString(encoding || 'utf8');
+    }
+
+    /**
+     * Moves ciphertext made with an older key of a keyring to the keyring's current key.
+     * Ciphertext that is already under the current key is returned unchanged.
+     *
+     * @param {string|Buffer|Uint8Array} ciphertext - Output of `aes` with a keyring or a legacy/raw key.
+     * @param {Object} options - The `aes` options, with `keyring` required.
+     * @param {Keyring} options.keyring - The keyring holding both the old and the current key.
+     * @param {Buffer|string} [options.key] - The old key, for ciphertext made without a keyring.
+     * @returns {string|Buffer} The ciphertext under the current key.
+     *
+     * @example
+     *    keyring.rotate("2026", encryptor.generateKey());
+     *    for (const row of rows) {
+     *        row.secret = encryptor.reencrypt(row.secret, { keyring });
+     *    }
+     */
+    reencrypt = (ciphertext, { keyring, key, aad, encoding, mode } = {}) => {
+        if (!keyring) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'reencrypt needs the keyring to move the ciphertext into');
+        }
+
+        if (!envelope.isLegacy(ciphertext) && key === undefined) {
+            const { header } = envelope.unpack(envelope.decode(ciphertext));
+            if (header.kid === keyring.currentId) {
+                return ciphertext;
+            }
+        }
+
+        const oldKey = key === undefined ? { keyring } : { key };
+        const plaintext = this.aes(ciphertext, { ...oldKey, aad, reverse: true, encoding: 'buffer' });
+        return this.aes(plaintext, { keyring, aad, mode, encoding });
+    }
+
+    /**
+     * Generates a public/private key pair.
+     *
+     * @param {'x25519'|'ecdh'|'rsa'|'ed25519'|'ecdsa'} [type='x25519'] - `x25519`, `ecdh` (P-256) and `rsa`
+     *        (RSA-OAEP) keys are for `seal`/`open`; `ed25519` and `ecdsa` keys are for `sign`/`verify`.
+     * @param {Object} [options]
+     * @param {'pem'|'jwk'|'keyobject'} [options.format='pem'] - How to return the keys.
+     * @param {string} [options.namedCurve='P-256'] - The curve for `ecdh` and `ecdsa`.
+     * @param {number} [options.modulusLength=3072] - The RSA key size in bits.
+     * @returns {{ publicKey: string|Object, privateKey: string|Object }}
+     *
+     * @example
+     *    const { publicKey, privateKey } = encryptor.generateKeyPair("x25519");
+     *    const sealed = encryptor.seal("for your eyes only", publicKey);
+     *    encryptor.open(sealed, privateKey); // "for your eyes only"
+     */
+    generateKeyPair = (type = 'x25519', options = {}) => {
+        return asymmetric.generateKeyPair(type, options);
+    }
+
+    /**
+     * Converts a key between PEM, JWK and KeyObject.
+     *
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - A PEM key, a JWK or a KeyObject.
+     * @param {'pem'|'jwk'|'keyobject'} [format='pem']
+     * @returns {string|Object|import('crypto').KeyObject}
+     */
+    exportKey = (key, format = 'pem') => {
+        return asymmetric.exportKey(key, format);
+    }
+
+    /**
+     * Imports a PEM or JWK public or private key.
+     *
+     * @param {string|Buffer|Object} key - A PEM key, or a JWK as an object or JSON string.
+     * @returns {import('crypto').KeyObject}
+     */
+    importKey = (key) => {
+        return asymmetric.importKey(key);
+    }
+
+    /**
+     * Encrypts data for the holder of a private key, without a shared secret. A random
+     * message key encrypts the data and is wrapped for the recipient with ECDH + HKDF
+     * (X25519/P-256 keys) or RSA-OAEP (RSA keys).
+     *
+     * @param {string|Buffer|Uint8Array} data - The text or bytes to encrypt.
+     * @param {string|Object|import('crypto').KeyObject} publicKey - The recipient's public key (PEM, JWK or KeyObject).
+     * @param {Object} [options]
+     * @param {'gcm'|'chacha20-poly1305'} [options.mode='gcm'] - The cipher for the data.
+     * @param {string|Buffer} [options.aad] - Associated data, needed again to open.
+     * @param {'hex'|'base64'|'base64url'|'buffer'} [options.encoding='hex'] - The ciphertext encoding.
+     * @returns {string|Buffer} The sealed envelope.
+     */
+    seal = (data, publicKey, { mode = 'gcm', aad, encoding = 'hex' } = {}) => {
+        if (!cipher.getMode(mode).authenticated) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Sealing needs an authenticated mode, "${mode}" is not one`);
+        }
+        const aadBuffer = aad === undefined ? undefined : envelope.toBytes(aad);
+        const { header, body } = asymmetric.seal(envelope.toBytes(data), publicKey, { mode, aad: aadBuffer });
+        return envelope.encode(envelope.pack(header, body), encoding);
+    }
+
+    /**
+     * Decrypts data sealed with `seal`.
+     *
+     * @param {string|Buffer|Uint8Array} sealed - The sealed envelope, in any encoding.
+     * @param {string|Object|import('crypto').KeyObject} privateKey - The recipient's private key.
+     * @param {Object} [options]
+     * @param {string|Buffer} [options.aad] - The associated data given to `seal`.
+     * @param {string} [options.encoding='utf8'] - The plaintext encoding, or `buffer` for raw bytes.
+     * @returns {string|Buffer} The plaintext.
+     */
+    open = (sealed, privateKey, { aad, encoding = 'utf8' } = {}) => {
+        const { header, body } = envelope.unpack(envelope.decode(sealed));
+        if (!header.wrap) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'Ciphertext is not sealed for a public key, use aes() to decrypt it');
+        }
+        const aadBuffer = aad === undefined ? undefined : envelope.toBytes(aad);
+        const plaintext = asymmetric.open(header, body, privateKey, { aad: aadBuffer });
+        return encoding === 'buffer' ? plaintext : plaintext.toString(encoding);
+    }
+
+    /**
+     * Signs a string or Buffer with an Ed25519 or ECDSA private key.
+     *
+     * @param {string|Buffer|Uint8Array} data - The data to sign.
+     * @param {string|Object|import('crypto').KeyObject} privateKey - The signer's private key.
+     * @param {Object} [options]
+     * @param {'hex'|'base64'|'base64url'|'buffer'} [options.encoding='base64'] - The signature encoding.
+     * @returns {string|Buffer} The signature.
+     *
+     * @example
+     *    const { publicKey, privateKey } = encryptor.generateKeyPair("ed25519");
+     *    const signature = encryptor.sign("release 1.2.0", privateKey);
+     *    encryptor.verify("release 1.2.0", signature, publicKey); // true
+     */
+    sign = (data, privateKey, { encoding = 'base64' } = {}) => {
+        return envelope.encode(asymmetric.sign(envelope.toBytes(data), privateKey), encoding);
+    }
+
+    /**
+     * Verifies a signature made by `sign`.
+     *
+     * @param {string|Buffer|Uint8Array} data - The signed data.
+     * @param {string|Buffer} signature - The signature.
+     * @param {string|Object|import('crypto').KeyObject} publicKey - The signer's public key.
+     * @param {Object} [options]
+     * @param {'hex'|'base64'|'base64url'} [options.encoding='base64'] - The encoding of a string signature.
+     * @returns {boolean} Whether the signature is valid.
+     */
+    verify = (data, signature, publicKey, { encoding = 'base64' } = {}) => {
+        const signatureBuffer = typeof signature === 'string' ? Buffer.from(signature, encoding) : envelope.toBytes(signature);
+        return asymmetric.verify(envelope.toBytes(data), signatureBuffer, publicKey);
+    }
+
+    /**
+     * Encrypts data into a compact JWE token (RFC 7516) with A256GCM content encryption.
+     *
+     * With `dir` the key encrypts the content directly. With `A256KW` a fresh content key is
+     * made for every token and wrapped with the key (RFC 3394 AES key wrap).
+     *
+     * @param {string|Buffer|Uint8Array} payload - The data to encrypt.
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - A 32-byte key as `aes` accepts it,
+     *        a secret KeyObject or an "oct" JWK.
+     * @param {Object} [options]
+     * @param {'dir'|'A256KW'} [options.alg='dir'] - The key management algorithm.
+     * @param {Object} [options.header] - Extra protected header parameters, such as `kid` or `cty`.
+     * @returns {string} The compact JWE.
+     *
+     * @example
+     *    const token = encryptor.encryptJWE('{"user":42}', key, { alg: "A256KW", header: { kid: "2024-06" } });
+     *    encryptor.decryptJWE(token, key); // '{"user":42}'
+     */
+    encryptJWE = (payload, key, { alg = 'dir', header } = {}) => {
+        return jose.encrypt(envelope.toBytes(payload), key, { alg, header });
+    }
+
+    /**
+     * Decrypts a compact JWE token made with `dir` or `A256KW` and A256GCM.
+     *
+     * @param {string} token - The compact JWE.
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - The key it was encrypted with.
+     * @param {Object} [options]
+     * @param {string[]} [options.algorithms=['dir', 'A256KW']] - The key management algorithms to accept.
+     * @param {string} [options.encoding='utf8'] - The encoding of the returned payload, or 'buffer'.
+     * @returns {string|Buffer} The payload.
+     * @throws {CryptoError} `ERR_DECRYPT_AUTH` for a wrong key or a tampered token,
+     *                       `ERR_BAD_ENVELOPE` for a malformed token or an unaccepted algorithm.
+     */
+    decryptJWE = (token, key, { algorithms, encoding = 'utf8' } = {}) => {
+        const { payload } = jose.decrypt(token, key, algorithms ? { algorithms } : {});
+        return encoding === 'buffer' ? payload : payload.toString(encoding);
+    }
+
+    /**
+     * Signs data into a compact JWS token (RFC 7515).
+     *
+     * @param {string|Buffer|Uint8Array} payload - The data to sign.
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - An HMAC secret of at least 32 bytes (HS256),
+     *        a P-256 private key (ES256) or an Ed25519 private key (EdDSA).
+     * @param {Object} [options]
+     * @param {'HS256'|'ES256'|'EdDSA'} [options.alg] - Defaults to the algorithm that fits the key.
+     * @param {Object} [options.header] - Extra protected header parameters, such as `kid`.
+     * @returns {string} The compact JWS.
+     */
+    signJWS = (payload, key, { alg, header } = {}) => {
+        return jose.sign(envelope.toBytes(payload), key, alg ? { alg, header } : { header });
+    }
+
+    /**
+     * Verifies a compact JWS token and returns its payload.
+     *
+     * Only the algorithm that fits the key is accepted unless `algorithms` says otherwise,
+     * so a token cannot choose a different algorithm for itself.
+     *
+     * @param {string} token - The compact JWS.
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - The HMAC secret, or the signer's public key.
+     * @param {Object} [options]
+     * @param {string[]} [options.algorithms] - The accepted `alg` values.
+     * @param {string} [options.encoding='utf8'] - The encoding of the returned payload, or 'buffer'.
+     * @returns {string|Buffer} The payload.
+     * @throws {CryptoError} `ERR_BAD_SIGNATURE` if the signature is invalid or the algorithm is not accepted.
+     */
+    verifyJWS = (token, key, { algorithms, encoding = 'utf8' } = {}) => {
+        const { payload } = jose.verify(token, key, { algorithms });
+        return encoding === 'buffer' ? payload : payload.toString(encoding);
+    }
+
+    /**
+     * Signs a JWT (RFC 7519). `iat` is set to the current time.
+     *
+     * @param {Object} claims - The claims to sign.
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - As for `signJWS`.
+     * @param {Object} [options]
+     * @param {'HS256'|'ES256'|'EdDSA'} [options.alg] - Defaults to the algorithm that fits the key.
+     * @param {number} [options.expiresIn] - Seconds until the token expires (`exp`).
+     * @param {number} [options.notBefore] - Seconds until the token becomes valid (`nbf`).
+     * @param {string|string[]} [options.audience] - The `aud` claim.
+     * @param {string} [options.issuer] - The `iss` claim.
+     * @param {string} [options.subject] - The `sub` claim.
+     * @param {Object} [options.header] - Extra protected header parameters, such as `kid`.
+     * @returns {string} The JWT.
+     *
+     * @example
+     *    const { publicKey, privateKey } = encryptor.generateKeyPair("ecdsa");
+     *    const jwt = encryptor.signJWT({ role: "admin" }, privateKey, { expiresIn: 3600, audience: "billing" });
+     *    encryptor.verifyJWT(jwt, publicKey, { audience: "billing" }); // { iat, role, exp, aud }
+     */
+    signJWT = (claims, key, options = {}) => {
+        return jose.signJWT(claims, key, options);
+    }
+
+    /**
+     * Verifies a JWT's signature and its `exp`, `nbf`, `aud` and `iss` claims, and returns the claims.
+     *
+     * A token that names an audience is rejected unless `audience` includes one of its values.
+     *
+     * @param {string} token - The JWT.
+     * @param {string|Buffer|Object|import('crypto').KeyObject} key - The HMAC secret, or the signer's public key.
+     * @param {Object} [options]
+     * @param {string[]} [options.algorithms] - The accepted `alg` values.
+     * @param {string|string[]} [options.audience] - The audience values this service answers to.
+     * @param {string|string[]} [options.issuer] - The accepted issuers.
+     * @param {number} [options.clockTolerance=0] - Seconds of clock skew allowed for `exp` and `nbf`.
+     * @param {number} [options.currentTime] - The time to check against, in seconds since the epoch.
+     * @returns {Object} The claims.
+     * @throws {CryptoError} `ERR_BAD_SIGNATURE`, `ERR_TOKEN_EXPIRED`, `ERR_TOKEN_NOT_YET_VALID` or `ERR_TOKEN_CLAIM`.
+     */
+    verifyJWT = (token, key, options = {}) => {
+        return jose.verifyJWT(token, key, options);
+    }
+
+    /**
+     * Splits a secret, such as the key given to `aes`, into shares so that any `threshold`
+     * of them rebuild it and fewer reveal nothing about it (Shamir's scheme over GF(256)).
+     *
+     * Each share is a string carrying the ID of the split, the threshold, its own index and a
+     * checksum, so damaged shares, shares from another split and shares that do not rebuild
+     * the original secret are all reported by `combineShares`.
+     *
+     * @param {string|Buffer|Uint8Array} secret - The secret to split.
+     * @param {Object} options
+     * @param {number} options.shares - How many shares to make, 2 to 255.
+     * @param {number} options.threshold - How many shares rebuild the secret, 2 to `shares`.
+     * @returns {string[]} The shares, one per operator.
+     *
+     * @example
+     *    const key = encryptor.generateKey();
+     *    const shares = encryptor.splitSecret(key, { shares: 5, threshold: 3 });
+     *    encryptor.combineShares([shares[4], shares[0], shares[2]]) === key; // true
+     */
+    splitSecret = (secret, { shares, threshold } = {}) => {
+        return shamir.split(envelope.toBytes(secret), { shares, threshold });
+    }
+
+    /**
+     * Rebuilds a secret from shares made by `splitSecret`.
+     *
+     * @param {string[]} shares - At least `threshold` shares of the same split, in any order.
+     * @param {Object} [options]
+     * @param {string} [options.encoding='utf8'] - The encoding of the returned secret, or 'buffer'.
+     * @returns {string|Buffer} The secret.
+     * @throws {EncPrimeError} `ERR_BAD_SHARE` if a share is damaged, duplicated or from another split,
+     *         if there are too few shares, or if they do not rebuild the original secret.
+     */
+    combineShares = (shares, { encoding = 'utf8' } = {}) => {
+        const secret = shamir.combine(shares);
+        return encoding === 'buffer' ? secret : secret.toString(encoding);
+    }
+
+    /**
+     * Hashes a password for storage, with a random salt and scrypt or PBKDF2.
+     *
+     * The result is a self-describing PHC string such as `$scrypt$ln=15,r=8,p=1$<salt>$<hash>`
+     * that holds the algorithm, its cost parameters and the salt.
+     *
+     * @param {string|Buffer} pw - The password.
+     * @param {Object} [opts]
+     * @param {'scrypt'|'pbkdf2'} [opts.algorithm='scrypt']
+     * @param {number} [opts.ln=15] - scrypt: log2 of the CPU/memory cost N.
+     * @param {number} [opts.r=8] - scrypt: block size.
+     * @param {number} [opts.p=1] - scrypt: parallelization.
+     * @param {number} [opts.iterations=600000] - PBKDF2: iteration count.
+     * @param {string} [opts.digest='sha256'] - PBKDF2: HMAC digest, `sha256` or `sha512`.
+     * @returns {Promise<string>} The PHC string.
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` for costs above ln = 20, r = 32, p = 16 or
+     *         10,000,000 iterations; `verifyPassword` refuses such hashes with `ERR_BAD_INPUT`.
+     *
+     * @example
+     *    const stored = await encryptor.hashPassword("hunter2");
+     *    if (await encryptor.verifyPassword(input, stored)) {
+     *        if (encryptor.needsRehash(stored)) {
+     *            user.password = await encryptor.hashPassword(input);
+     *        }
+     *    }
+     */
+    hashPassword = (pw, opts = {}) => {
+        return password.hash(pw, opts);
+    }
+
+    /**
+     * Checks a password against a hash from `hashPassword`, in constant time.
+     *
+     * @param {string|Buffer} pw - The password to check.
+     * @param {string} hash - The stored PHC string.
+     * @returns {Promise<boolean>} Whether the password matches.
+     */
+    verifyPassword = (pw, hash) => {
+        return password.verify(pw, hash);
+    }
+
+    /**
+     * Tells whether a stored hash uses another algorithm or weaker cost parameters
+     * than `opts`, so it should be replaced after the next successful login.
+     *
+     * @param {string} hash - The stored PHC string.
+     * @param {Object} [opts] - The options `hashPassword` is called with today.
+     * @returns {boolean}
+     */
+    needsRehash = (hash, opts = {}) => {
+        return password.needsRehash(hash, opts);
+    }
+
+    /**
+     * Express middleware that decrypts encPrime-encrypted request bodies into `req.body`
+     * and makes `res.json()` send encrypted JSON.
+     *
+     * Requests whose content type is `contentType` are decrypted with `aes` and parsed as JSON.
+     * Only envelopes in one of `modes` are accepted, never `cbc` or the legacy format. Bodies that
+     * cannot be decrypted, fail authentication or are not JSON all get the same plain
+     * `400 { error, code: 'ERR_BAD_ENVELOPE', message }` response, so clients learn nothing about why.
+     * Prefer `key` or `keyring` over `passphrase` here: a passphrase runs the KDF on every request
+     * and response. The KDF parameters of a request come from its body, so they are capped
+     * (N = 2^20, r = 32, p = 16, 10,000,000 PBKDF2 iterations, as in `aes`); even so a single
+     * request at the cap can block the event loop for seconds, another reason to use a key.
+     *
+     * @param {Object} options - `key`, `passphrase` or `keyring` as in `aes`, plus:
+     * @param {string|RegExp|Function|Array} [options.routes] - Only handle these routes: path prefixes,
+     *        patterns, or `(req) => boolean`. Defaults to every route the middleware is mounted on.
+     * @param {string} [options.contentType='application/x-encprime'] - The content type of encrypted bodies.
+     * @param {string|number} [options.limit='1mb'] - The largest encrypted body accepted.
+     * @param {'hex'|'base64'|'base64url'} [options.encoding='base64'] - The encoding of encrypted responses.
+     * @param {boolean} [options.required=false] - Reject requests on these routes whose body is not encrypted.
+     * @param {string[]} [options.modes=['gcm', 'chacha20-poly1305']] - The authenticated modes requests may use.
+     *        Responses are encrypted with the first one.
+     * @returns {Function} An Express middleware `(req, res, next)`.
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` if `modes` is empty or names a mode that is not authenticated.
+     *
+     * @example
+     *    const app = express();
+     *    app.use(encryptor.middleware({ key: process.env.API_KEY, routes: ["/api/secure"] }));
+     *    app.post("/api/secure/orders", (req, res) => {
+     *        res.json({ received: req.body }); // sent encrypted
+     *    });
+     */
+    middleware = (options = {}) => {
+        return createMiddleware(this, options);
+    }
+
+    /**
+     * Creates a Transform stream that encrypts everything written to it.
+     *
+     * Data is sealed in authenticated chunks of `chunkSize` bytes, so memory use stays flat
+     * no matter how large the payload is, and dropped, reordered or truncated chunks are
+     * detected on decryption. Takes the same key options as `aes`.
+     *
+     * @param {Object} options - `key`, `passphrase` (with `kdf`, `kdfOptions`) or `keyring` as in `aes`.
+     * @param {'gcm'|'chacha20-poly1305'} [options.mode='gcm'] - The cipher to encrypt with.
+     * @param {number} [options.chunkSize=65536] - Plaintext bytes per chunk.
+     * @returns {import('stream').Transform}
+     *
+     * @example
+     *    fs.createReadStream('export.csv')
+     *        .pipe(encryptor.encryptStream({ key }))
+     *        .pipe(fs.createWriteStream('export.csv.enc'));
+     */
+    encryptStream = (options = {}) => {
+        return new EncryptStream(options);
+    }
+
+    /**
+     * Creates a Transform stream that decrypts the output of `encryptStream`.
+     * Each chunk is authenticated before it is passed on, and the stream errors
+     * if the ciphertext was tampered with, reordered or cut short.
+     *
+     * @param {Object} options - `key`, `passphrase` or `keyring`, as given to `encryptStream`.
+     * @returns {import('stream').Transform}
+     */
+    decryptStream = (options = {}) => {
+        return new DecryptStream(options);
+    }
+
+    /**
+     * Encrypts a file into another file with `encryptStream`.
+     *
+     * @param {string} src - The plaintext file.
+     * @param {string} dest - Where to write the encrypted file.
+     * @param {Object} options - The same options as `encryptStream`.
+     * @returns {Promise<void>}
+     */
+    encryptFile = async (src, dest, options = {}) => {
+        await pipeline(fs.createReadStream(src), this.encryptStream(options), fs.createWriteStream(dest));
+    }
+
+    /**
+     * Decrypts a file written by `encryptFile`. If the file fails authentication,
+     * the partially written destination file is removed before the promise rejects.
+     *
+     * @param {string} src - The encrypted file.
+     * @param {string} dest - Where to write the plaintext.
+     * @param {Object} options - The same options as `decryptStream`.
+     * @returns {Promise<void>}
+     */
+    decryptFile = async (src, dest, options = {}) => {
+        try {
+            await pipeline(fs.createReadStream(src), this.decryptStream(options), fs.createWriteStream(dest));
+        } catch (error) {
+            await fs.promises.rm(dest, { force: true });
+            throw error;
         }
     }
 }
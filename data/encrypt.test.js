@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Encrypt = require('./encrypt');
+const envelope = require('./secret/envelope');
+
+const encryptor = new Encrypt();
+const key = encryptor.generateKey();
+
+// Flips one bit of the envelope byte at `index` (negative: from the end)
+function flipped(ciphertext, index) {
+    const bytes = Buffer.from(ciphertext, 'hex');
+    bytes[index < 0 ? bytes.length + index : index] ^= 1;
+    return bytes.toString('hex');
+}
+
+test('aes round trips in every mode', () => {
+    for (const mode of ['gcm', 'cbc', 'chacha20-poly1305']) {
+        const sealed = encryptor.aes('Hello, World!', { key, mode });
+        assert.match(sealed, /^4550/);
+        assert.equal(encryptor.aes(sealed, { key, reverse: true }), 'Hello, World!');
+    }
+});
+
+test('aes records the algorithm and IV in the envelope header', () => {
+    for (const [mode, alg] of [['gcm', 'aes-256-gcm'], ['cbc', 'aes-256-cbc'], ['chacha20-poly1305', 'chacha20-poly1305']]) {
+        const { version, header } = envelope.unpack(Buffer.from(encryptor.aes('secret', { key, mode }), 'hex'));
+        assert.equal(version, envelope.VERSION);
+        assert.equal(header.alg, alg);
+        assert.ok(header.iv);
+        assert.equal(header.tag !== undefined, mode !== 'cbc');
+    }
+});
+
+test('aes uses a fresh IV for every message', () => {
+    assert.notEqual(encryptor.aes('same', { key }), encryptor.aes('same', { key }));
+});
+
+test('aes binds associated data to the ciphertext', () => {
+    const sealed = encryptor.aes('secret', { key, aad: 'user:42' });
+    assert.equal(encryptor.aes(sealed, { key, aad: 'user:42', reverse: true }), 'secret');
+    assert.throws(() => encryptor.aes(sealed, { key, aad: 'user:43', reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+    assert.throws(() => encryptor.aes(sealed, { key, reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+
+    assert.throws(() => encryptor.aes('secret', { key, mode: 'cbc', aad: 'user:42' }), /authenticated mode/);
+
+    // Unauthenticated ciphertext cannot vouch for associated data, so it must not decrypt as if it did
+    const cbc = encryptor.aes('secret', { key, mode: 'cbc' });
+    assert.throws(() => encryptor.aes(cbc, { key, aad: 'user:42', reverse: true }), { code: 'ERR_DECRYPT_AUTH', message: /authenticated mode/ });
+});
+
+test('aes detects tampered ciphertext, tags and wrong keys', () => {
+    for (const mode of ['gcm', 'chacha20-poly1305']) {
+        const sealed = encryptor.aes('attack at dawn', { key, mode });
+        assert.throws(() => encryptor.aes(flipped(sealed, -1), { key, reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+
+        const { header, body } = envelope.unpack(Buffer.from(sealed, 'hex'));
+        const tag = Buffer.from(header.tag, 'base64');
+        tag[0] ^= 1;
+        const forged = envelope.pack({ ...header, tag: tag.toString('base64') }, body).toString('hex');
+        assert.throws(() => encryptor.aes(forged, { key, reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+
+        assert.throws(() => encryptor.aes(sealed, { key: encryptor.generateKey(), reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+    }
+});
+
+test('aes rejects unknown modes and envelopes', () => {
+    assert.throws(() => encryptor.aes('secret', { key, mode: 'ecb' }), /Unknown cipher mode/);
+    assert.throws(() => encryptor.aes('00112233', { key, reverse: true }));
+
+    const sealed = encryptor.aes('secret', { key });
+    assert.throws(() => encryptor.aes(sealed.slice(0, 12), { key, reverse: true }));
+    assert.throws(() => encryptor.aes(`4550ff${sealed.slice(6)}`, { key, reverse: true }), /version/);
+});
+
+test('aes still decrypts the legacy "iv:cipher" format', () => {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key).subarray(0, 32), iv);
+    const legacy = `${iv.toString('hex')}:${Buffer.concat([cipher.update('old secret', 'utf8'), cipher.final()]).toString('hex')}`;
+
+    assert.equal(encryptor.aes(legacy, { key, reverse: true }), 'old secret');
+    assert.throws(() => encryptor.aes(legacy, { key, aad: 'user:42', reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+});
+
+test('aes derives passphrase keys with the KDF recorded in the envelope', () => {
+    for (const kdf of ['scrypt', 'pbkdf2']) {
+        const sealed = encryptor.aes('Hello, World!', { passphrase: 'correct horse', kdf, kdfOptions: kdf === 'scrypt' ? { N: 1024 } : { iterations: 1000 } });
+        const { header } = envelope.unpack(Buffer.from(sealed, 'hex'));
+        assert.equal(header.kdf.name, kdf);
+        assert.ok(header.kdf.salt);
+
+        assert.equal(encryptor.aes(sealed, { passphrase: 'correct horse', reverse: true }), 'Hello, World!');
+        assert.throws(() => encryptor.aes(sealed, { passphrase: 'wrong horse', reverse: true }), { code: 'ERR_DECRYPT_AUTH' });
+        assert.throws(() => encryptor.aes(sealed, { key, reverse: true }), /passphrase option/);
+    }
+});
+
+test('aes accepts generated keys in every encoding', () => {
+    for (const encoding of ['hex', 'base64', 'base64url', 'buffer']) {
+        const generated = encryptor.generateKey(encoding);
+        const sealed = encryptor.aes('secret', { key: generated });
+        assert.equal(encryptor.aes(sealed, { key: generated, reverse: true }), 'secret');
+    }
+    assert.match(encryptor.generateKey('base64'), /^base64:[A-Za-z0-9+/]{43}=$/);
+    assert.throws(() => encryptor.generateKey('latin1'), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('aes encrypts binary data and honours the output encoding', () => {
+    const bytes = crypto.randomBytes(257);
+    for (const encoding of ['hex', 'base64', 'base64url', 'buffer']) {
+        const sealed = encryptor.aes(bytes, { key, encoding });
+        assert.equal(Buffer.isBuffer(sealed), encoding === 'buffer');
+        assert.deepEqual(encryptor.aes(sealed, { key, reverse: true, encoding: 'buffer' }), bytes);
+    }
+
+    const sealed = encryptor.aes(new Uint8Array([1, 2, 3]), { key, encoding: 'base64' });
+    assert.equal(encryptor.aes(sealed, { key, reverse: true, encoding: 'hex' }), '010203');
+    assert.throws(() => encryptor.aes('secret', { key, encoding: 'latin1' }), /Unknown encoding/);
+});
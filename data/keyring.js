@@ -0,0 +1,172 @@
+const { rawKey } = require('./secret/keys');
+const { EncPrimeError, CryptoError } = require('../errors');
+
+/**
+ * A set of named 32-byte keys for `Encrypt`. Ciphertext made with a keyring is tagged
+ * with the ID of the key that made it, so old records keep decrypting after the
+ * current key changes.
+ *
+ * @example
+ *    const keyring = new Keyring({ "2024": oldKey, "2025": newKey }, { current: "2025" });
+ *    const sealed = encryptor.aes("secret", { keyring }); // tagged with "2025"
+ *    encryptor.aes(sealed, { keyring, reverse: true });  // picks "2025" again
+ *
+ *    keyring.rotate("2026", encryptor.generateKey());     // "2025" is retired
+ *    const moved = encryptor.reencrypt(sealed, { keyring }); // now under "2026"
+ */
+class Keyring {
+    #keys = new Map();
+    #current = null;
+
+    /**
+     * @param {Object<string, Buffer|string>} [keys={}] - Keys by ID, in any form the `key` option of `aes` accepts.
+     * @param {Object} [options]
+     * @param {string} [options.current] - The ID of the key to encrypt with. Defaults to the last key given.
+     */
+    constructor(keys = {}, { current } = {}) {
+        for (const [id, key] of Object.entries(keys)) {
+            this.add(id, key);
+        }
+        if (current !== undefined) {
+            this.use(current);
+        } else if (this.#keys.size > 0) {
+            this.#current = [...this.#keys.keys()].pop();
+        }
+    }
+
+    /**
+     * @returns {string|null} The ID of the key new ciphertext is encrypted with.
+     */
+    get currentId() {
+        return this.#current;
+    }
+
+    /**
+     * @returns {string[]} The IDs of every key in the ring, retired ones included.
+     */
+    get ids() {
+        return [...this.#keys.keys()];
+    }
+
+    /**
+     * Adds a key to the ring.
+     *
+     * @param {string} id - A unique, non-empty key ID. It is stored in every ciphertext the key makes.
+     * @param {Buffer|string} key - 32 bytes of key material.
+     * @param {Object} [options]
+     * @param {boolean} [options.current=false] - Also make it the key to encrypt with.
+     * @returns {Keyring} This keyring.
+     */
+    add(id, key, { current = false } = {}) {
+        if (typeof id !== 'string' || id.length === 0) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'Key IDs must be non-empty strings');
+        }
+        if (this.#keys.has(id)) {
+            throw new CryptoError('ERR_KEYRING', `Key "${id}" is already in the keyring`);
+        }
+
+        this.#keys.set(id, { key: rawKey(key), retired: false });
+        if (current) this.use(id);
+        return this;
+    }
+
+    /**
+     * Makes a key the one new ciphertext is encrypted with.
+     *
+     * @param {string} id
+     * @returns {Keyring} This keyring.
+     */
+    use(id) {
+        const entry = this.#entry(id);
+        if (entry.retired) {
+            throw new CryptoError('ERR_KEYRING', `Key "${id}" is retired and can only be used to decrypt`);
+        }
+        this.#current = id;
+        return this;
+    }
+
+    /**
+     * Marks a key as decrypt-only. The current key cannot be retired; rotate first.
+     *
+     * @param {string} id
+     * @returns {Keyring} This keyring.
+     */
+    retire(id) {
+        if (id === this.#current) {
+            throw new CryptoError('ERR_KEYRING', `Key "${id}" is the current key, rotate to a new key before retiring it`);
+        }
+        this.#entry(id).retired = true;
+        return this;
+    }
+
+    /**
+     * Removes a key. Anything still encrypted with it can no longer be decrypted.
+     *
+     * @param {string} id
+     * @returns {boolean} Whether the key was in the ring.
+     */
+    remove(id) {
+        if (id === this.#current) {
+            throw new CryptoError('ERR_KEYRING', `Key "${id}" is the current key and cannot be removed`);
+        }
+        return this.#keys.delete(id);
+    }
+
+    /**
+     * Adds a new key, makes it current and retires the previous current key.
+     *
+     * @param {string} id - The new key's ID.
+     * @param {Buffer|string} key - The new key.
+     * @returns {Keyring} This keyring.
+     */
+    rotate(id, key) {
+        const previous = this.#current;
+        this.add(id, key, { current: true });
+        if (previous !== null) this.retire(previous);
+        return this;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether the key is in the ring.
+     */
+    has(id) {
+        return this.#keys.has(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether the key is decrypt-only.
+     */
+    isRetired(id) {
+        return this.#entry(id).retired;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Buffer} The key material.
+     */
+    get(id) {
+        return this.#entry(id).key;
+    }
+
+    /**
+     * @returns {{ id: string, key: Buffer }} The key to encrypt with.
+     */
+    current() {
+        if (this.#current === null) {
+            throw new CryptoError('ERR_KEYRING', 'The keyring is empty, add a key first');
+        }
+        return { id: this.#current, key: this.get(this.#current) };
+    }
+
+    #entry(id) {
+        const entry = this.#keys.get(id);
+        if (!entry) {
+            throw new CryptoError('ERR_BAD_KEY', `Key "${id}" is not in the keyring`);
+        }
+        return entry;
+    }
+}
+
+module.exports = Keyring;
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Encrypt = require('./encrypt');
+const Keyring = require('./keyring');
+
+const encryptor = new Encrypt();
+
+test('Keyring tracks the current key and retired keys', () => {
+    const keyring = new Keyring({ a: encryptor.generateKey(), b: encryptor.generateKey() });
+    assert.equal(keyring.currentId, 'b');
+    assert.deepEqual(keyring.ids, ['a', 'b']);
+
+    keyring.rotate('c', encryptor.generateKey());
+    assert.equal(keyring.currentId, 'c');
+    assert.equal(keyring.isRetired('b'), true);
+    assert.throws(() => keyring.use('b'), { code: 'ERR_KEYRING' });
+    assert.throws(() => keyring.retire('c'), /current key/);
+    assert.throws(() => keyring.remove('c'), /current key/);
+    assert.throws(() => keyring.add('a', encryptor.generateKey()), /already/);
+    assert.throws(() => keyring.add('', encryptor.generateKey()), { code: 'ERR_INVALID_OPTION' });
+    assert.throws(() => keyring.get('missing'), /not in the keyring/);
+
+    assert.equal(keyring.remove('a'), true);
+    assert.equal(keyring.has('a'), false);
+    assert.throws(() => new Keyring().current(), /empty/);
+});
+
+test('aes tags keyring ciphertext with the key ID and decrypts after rotation', () => {
+    const keyring = new Keyring({ 2024: encryptor.generateKey() });
+    const old = encryptor.aes('secret', { keyring });
+
+    keyring.rotate('2025', encryptor.generateKey());
+    const fresh = encryptor.aes('secret', { keyring });
+
+    assert.equal(encryptor.aes(old, { keyring, reverse: true }), 'secret');
+    assert.equal(encryptor.aes(fresh, { keyring, reverse: true }), 'secret');
+    assert.throws(() => encryptor.aes(fresh, { reverse: true }), /key "2025"/);
+    assert.throws(() => encryptor.aes('secret', { keyring, key: encryptor.generateKey() }), /only one/);
+});
+
+test('reencrypt moves ciphertext to the current key', () => {
+    const oldKey = encryptor.generateKey();
+    const keyring = new Keyring({ old: oldKey });
+    const sealed = encryptor.aes('secret', { keyring, aad: 'row:1' });
+    assert.equal(encryptor.reencrypt(sealed, { keyring, aad: 'row:1' }), sealed);
+
+    keyring.rotate('new', encryptor.generateKey());
+    const moved = encryptor.reencrypt(sealed, { keyring, aad: 'row:1' });
+    keyring.remove('old');
+    assert.equal(encryptor.aes(moved, { keyring, aad: 'row:1', reverse: true }), 'secret');
+
+    const raw = encryptor.aes('untagged', { key: oldKey });
+    assert.equal(encryptor.aes(encryptor.reencrypt(raw, { keyring, key: oldKey }), { keyring, reverse: true }), 'untagged');
+    assert.throws(() => encryptor.reencrypt(raw, {}), /keyring/);
+});
@@ -0,0 +1,426 @@
+// Prime: primes and number theory on BigInt
+// ---------------------------------------------------------
+// Miller–Rabin testing, random and safe prime generation, a segmented sieve,
+// modular arithmetic, and textbook RSA / Diffie–Hellman built on top.
+// The RSA and Diffie–Hellman helpers are for teaching: no padding, no side-channel care.
+// Use Encrypt.seal / Encrypt.generateKeyPair for real keys.
+
+const crypto = require('crypto');
+const QunTime = require('../Tensor/QunTime');
+const { EncPrimeError } = require('../errors');
+
+const PRIME_TASK = require.resolve('./secret/primeTask');
+
+// Small primes for trial division before Miller–Rabin
+const SMALL_PRIMES = [];
+for (let n = 2; SMALL_PRIMES.length < 300; n++) {
+    if (SMALL_PRIMES.every(p => n % p !== 0)) SMALL_PRIMES.push(n);
+}
+const SMALL_PRIMES_BIG = SMALL_PRIMES.map(BigInt);
+
+// Bases 2..41 make Miller–Rabin deterministic below this bound
+const DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+const DETERMINISTIC_BASES = SMALL_PRIMES_BIG.slice(0, 13);
+
+function toBigInt(value, name) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number' && Number.isSafeInteger(value)) return BigInt(value);
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return BigInt(value.trim());
+    throw new EncPrimeError('ERR_INVALID_OPTION', `${name} must be an integer (BigInt, safe integer or decimal string)`);
+}
+
+function mod(a, m) {
+    const r = a % m;
+    return r < 0n ? r + m : r;
+}
+
+function bitLength(n) {
+    return n === 0n ? 0 : n.toString(2).length;
+}
+
+function checkBits(bits, min) {
+    if (!Number.isInteger(bits) || bits < min) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `bits must be an integer of at least ${min}`);
+    }
+}
+
+// A random odd integer of exactly `bits` bits; `topBits` high bits are set
+function randomOdd(bits, topBits = 1) {
+    const bytes = crypto.randomBytes(Math.ceil(bits / 8));
+    let n = BigInt('0x' + bytes.toString('hex')) & ((1n << BigInt(bits)) - 1n);
+    for (let i = 1; i <= topBits; i++) n |= 1n << BigInt(bits - i);
+    return n | 1n;
+}
+
+// A uniform random integer in [low, high]
+function randomBetween(low, high) {
+    const range = high - low + 1n;
+    const bytes = Math.ceil(bitLength(range) / 8) + 8;
+    return low + BigInt('0x' + crypto.randomBytes(bytes).toString('hex')) % range;
+}
+
+function millerRabin(n, bases) {
+    let d = n - 1n;
+    let s = 0;
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        s++;
+    }
+
+    next: for (const a of bases) {
+        let x = Prime.modPow(a, d, n);
+        if (x === 1n || x === n - 1n) continue;
+        for (let i = 1; i < s; i++) {
+            x = (x * x) % n;
+            if (x === n - 1n) continue next;
+        }
+        return false;
+    }
+    return true;
+}
+
+class Prime {
+    /**
+     * Computes `base ** exponent mod modulus` by square-and-multiply.
+     *
+     * @param {bigint|number|string} base
+     * @param {bigint|number|string} exponent - Must not be negative; use `modInverse` for inverses.
+     * @param {bigint|number|string} modulus - Must be positive.
+     * @returns {bigint}
+     *
+     * @example
+     *    Prime.modPow(4n, 13n, 497n); // 445n
+     */
+    static modPow(base, exponent, modulus) {
+        let b = toBigInt(base, 'base');
+        let e = toBigInt(exponent, 'exponent');
+        const m = toBigInt(modulus, 'modulus');
+        if (m <= 0n) throw new EncPrimeError('ERR_INVALID_OPTION', 'modulus must be positive');
+        if (e < 0n) throw new EncPrimeError('ERR_INVALID_OPTION', 'exponent must not be negative');
+        if (m === 1n) return 0n;
+
+        let result = 1n;
+        b = mod(b, m);
+        while (e > 0n) {
+            if (e & 1n) result = (result * b) % m;
+            b = (b * b) % m;
+            e >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Greatest common divisor.
+     *
+     * @param {bigint|number|string} a
+     * @param {bigint|number|string} b
+     * @returns {bigint}
+     */
+    static gcd(a, b) {
+        let x = toBigInt(a, 'a');
+        let y = toBigInt(b, 'b');
+        if (x < 0n) x = -x;
+        if (y < 0n) y = -y;
+        while (y !== 0n) [x, y] = [y, x % y];
+        return x;
+    }
+
+    /**
+     * Finds `x` with `a * x ≡ 1 (mod m)` by the extended Euclidean algorithm.
+     *
+     * @param {bigint|number|string} a
+     * @param {bigint|number|string} modulus - Must be positive.
+     * @returns {bigint} The inverse, in [0, modulus).
+     * @throws {EncPrimeError} `ERR_BAD_INPUT` if `a` and `modulus` are not coprime.
+     *
+     * @example
+     *    Prime.modInverse(3n, 11n); // 4n
+     */
+    static modInverse(a, modulus) {
+        const m = toBigInt(modulus, 'modulus');
+        if (m <= 0n) throw new EncPrimeError('ERR_INVALID_OPTION', 'modulus must be positive');
+
+        let [oldR, r] = [mod(toBigInt(a, 'a'), m), m];
+        let [oldS, s] = [1n, 0n];
+        while (r !== 0n) {
+            const q = oldR / r;
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        if (oldR !== 1n) {
+            throw new EncPrimeError('ERR_BAD_INPUT', `${a} has no inverse modulo ${m}: they share the factor ${oldR}`);
+        }
+        return mod(oldS, m);
+    }
+
+    /**
+     * Tests primality with trial division and Miller–Rabin. The answer is exact below
+     * 3.3 × 10^24; above that a composite passes with probability at most 4^-rounds.
+     *
+     * @param {bigint|number|string} n
+     * @param {Object} [options]
+     * @param {number} [options.rounds=40] - Random bases to try for large `n`.
+     * @returns {boolean}
+     *
+     * @example
+     *    Prime.isProbablePrime(2n ** 127n - 1n); // true
+     */
+    static isProbablePrime(n, { rounds = 40 } = {}) {
+        const value = toBigInt(n, 'n');
+        if (value < 2n) return false;
+        for (const p of SMALL_PRIMES_BIG) {
+            if (value === p) return true;
+            if (value % p === 0n) return false;
+        }
+
+        if (value < DETERMINISTIC_LIMIT) {
+            return millerRabin(value, DETERMINISTIC_BASES);
+        }
+        const bases = [2n];
+        for (let i = 1; i < rounds; i++) bases.push(randomBetween(3n, value - 2n));
+        return millerRabin(value, bases);
+    }
+
+    /**
+     * Generates a random probable prime of exactly `bits` bits.
+     *
+     * @param {number} bits - At least 2.
+     * @param {Object} [options]
+     * @param {number} [options.rounds=40] - Miller–Rabin rounds.
+     * @param {number} [options.topBits=1] - High bits to force to 1. RSA uses 2, so that
+     *        the product of two primes has exactly twice the bits.
+     * @returns {bigint}
+     */
+    static randomPrime(bits, { rounds = 40, topBits = 1 } = {}) {
+        checkBits(bits, 2);
+        if (bits === 2) return crypto.randomInt(2) ? 3n : 2n;
+
+        for (;;) {
+            const candidate = randomOdd(bits, Math.min(topBits, bits - 1));
+            if (Prime.isProbablePrime(candidate, { rounds })) return candidate;
+        }
+    }
+
+    /**
+     * Generates a random safe prime `p = 2q + 1`, where `q` is also prime, of exactly `bits` bits.
+     * Much slower than `randomPrime`: expect seconds at 512 bits and minutes at 2048.
+     *
+     * @param {number} bits - At least 3.
+     * @param {Object} [options]
+     * @param {number} [options.rounds=40] - Miller–Rabin rounds.
+     * @returns {bigint}
+     */
+    static randomSafePrime(bits, { rounds = 40 } = {}) {
+        checkBits(bits, 3);
+        if (bits === 3) return 7n;
+        if (bits === 4) return 11n;
+
+        for (;;) {
+            const q = randomOdd(bits - 1);
+            // Skip q when q or 2q + 1 has a small factor
+            if (SMALL_PRIMES_BIG.some(p => p < q && (q % p === 0n || q % p === (p - 1n) / 2n))) continue;
+
+            const p = 2n * q + 1n;
+            // A cheap base-2 test on both before the full test
+            if (Prime.modPow(2n, q - 1n, q) !== 1n || Prime.modPow(2n, p - 1n, p) !== 1n) continue;
+            if (Prime.isProbablePrime(q, { rounds }) && Prime.isProbablePrime(p, { rounds })) return p;
+        }
+    }
+
+    /**
+     * Generates several random primes at once, one per worker thread, with `QunTime.parallel`.
+     *
+     * @param {number} bits - The size of each prime.
+     * @param {Object} [options]
+     * @param {number} [options.count=2] - How many primes, which is also the number of workers.
+     * @param {boolean} [options.safe=false] - Generate safe primes.
+     * @param {number} [options.rounds=40] - Miller–Rabin rounds.
+     * @param {number} [options.topBits=1] - As for `randomPrime`.
+     * @returns {Promise<bigint[]>}
+     * @throws {EncPrimeError} `ERR_INVALID_OPTION` if `bits` is too small or `count`, `rounds` or `topBits` is not a positive integer.
+     *
+     * @example
+     *    const [p, q] = await Prime.parallelPrimes(1024, { count: 2, topBits: 2 });
+     */
+    static async parallelPrimes(bits, { count = 2, safe = false, rounds = 40, topBits = 1 } = {}) {
+        checkBits(bits, safe ? 3 : 2);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'count must be a positive integer');
+        }
+
+        for (const [name, value] of Object.entries({ rounds, topBits })) {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new EncPrimeError('ERR_INVALID_OPTION', `${name} must be a positive integer`);
+            }
+        }
+
+        return QunTime.parallel(PRIME_TASK, count, {
+            exportName: 'generatePrime',
+            data: { bits, safe: Boolean(safe), rounds, topBits },
+        });
+    }
+
+    /**
+     * Lists the primes in `[low, high)` with a segmented sieve of Eratosthenes,
+     * so memory stays at `segmentSize` bytes plus the primes below √high.
+     *
+     * @param {number} high - Exclusive upper bound, at most 2^53.
+     * @param {Object} [options]
+     * @param {number} [options.low=2] - Inclusive lower bound.
+     * @param {number} [options.segmentSize=65536] - Numbers sieved per segment.
+     * @returns {number[]}
+     *
+     * @example
+     *    Prime.sieve(30); // [2, 3, 5, 7, 11, 13, 17, 19, 23, 29]
+     *    Prime.sieve(1e12 + 100, { low: 1e12 }); // [1000000000039, 1000000000061, 1000000000063, 1000000000091]
+     */
+    static sieve(high, { low = 2, segmentSize = 65536 } = {}) {
+        if (![high, low, segmentSize].every(Number.isSafeInteger) || low < 0 || segmentSize < 1) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'high, low and segmentSize must be non-negative safe integers');
+        }
+
+        // Base primes up to √high with a plain sieve
+        const root = Math.floor(Math.sqrt(Math.max(high - 1, 0)));
+        const small = new Uint8Array(root + 1);
+        const base = [];
+        for (let i = 2; i <= root; i++) {
+            if (small[i]) continue;
+            base.push(i);
+            for (let j = i * i; j <= root; j += i) small[j] = 1;
+        }
+
+        const primes = [];
+        for (let start = Math.max(low, 2); start < high; start += segmentSize) {
+            const end = Math.min(start + segmentSize, high);
+            const composite = new Uint8Array(end - start);
+            for (const p of base) {
+                if (p * p >= end) break;
+                for (let m = Math.max(p * p, Math.ceil(start / p) * p); m < end; m += p) {
+                    composite[m - start] = 1;
+                }
+            }
+            for (let i = 0; i < composite.length; i++) {
+                if (!composite[i]) primes.push(start + i);
+            }
+        }
+        return primes;
+    }
+
+    /**
+     * Generates a textbook RSA key pair.
+     *
+     * @param {number} [bits=1024] - The modulus size.
+     * @param {Object} [options]
+     * @param {bigint|number} [options.e=65537n] - The public exponent.
+     * @returns {{ publicKey: { n: bigint, e: bigint }, privateKey: { n: bigint, d: bigint, p: bigint, q: bigint } }}
+     *
+     * @example
+     *    const { publicKey, privateKey } = Prime.rsaKeyPair(512);
+     *    const c = Prime.rsaEncrypt("hi", publicKey);
+     *    Prime.rsaDecrypt(c, privateKey, { encoding: "utf8" }); // "hi"
+     */
+    static rsaKeyPair(bits = 1024, { e = 65537n } = {}) {
+        checkBits(bits, 16);
+        const exponent = toBigInt(e, 'e');
+        const half = bits >> 1;
+
+        for (;;) {
+            const p = Prime.randomPrime(bits - half, { topBits: 2 });
+            const q = Prime.randomPrime(half, { topBits: 2 });
+            if (p === q) continue;
+            const phi = (p - 1n) * (q - 1n);
+            if (Prime.gcd(exponent, phi) !== 1n) continue;
+
+            const n = p * q;
+            return {
+                publicKey: { n, e: exponent },
+                privateKey: { n, d: Prime.modInverse(exponent, phi), p, q },
+            };
+        }
+    }
+
+    /**
+     * Textbook RSA encryption, `m^e mod n`, with no padding.
+     *
+     * @param {bigint|string|Buffer} message - A BigInt below `n`, or text/bytes read as a big-endian number.
+     * @param {{ n: bigint, e: bigint }} publicKey
+     * @returns {bigint}
+     */
+    static rsaEncrypt(message, { n, e }) {
+        const m = typeof message === 'bigint'
+            ? message
+            : BigInt('0x' + (Buffer.from(message).toString('hex') || '0'));
+        if (m < 0n || m >= n) {
+            throw new EncPrimeError('ERR_BAD_INPUT', 'The message must be a non-negative number below the modulus');
+        }
+        return Prime.modPow(m, e, n);
+    }
+
+    /**
+     * Textbook RSA decryption, `c^d mod n`.
+     *
+     * @param {bigint} ciphertext
+     * @param {{ n: bigint, d: bigint }} privateKey
+     * @param {Object} [options]
+     * @param {string} [options.encoding] - Return the bytes as a string ('utf8', 'hex', ...) or 'buffer'
+     *        instead of a BigInt.
+     * @returns {bigint|string|Buffer}
+     */
+    static rsaDecrypt(ciphertext, { n, d }, { encoding } = {}) {
+        const m = Prime.modPow(ciphertext, d, n);
+        if (encoding === undefined) return m;
+
+        let hex = m.toString(16);
+        if (hex.length % 2) hex = '0' + hex;
+        const bytes = Buffer.from(m === 0n ? '' : hex, 'hex');
+        return encoding === 'buffer' ? bytes : bytes.toString(encoding);
+    }
+
+    /**
+     * Builds Diffie–Hellman parameters: a safe prime `p` and the generator `g = 4`
+     * of its prime-order subgroup.
+     *
+     * @param {number} [bits=512]
+     * @returns {{ p: bigint, q: bigint, g: bigint }}
+     */
+    static dhGroup(bits = 512) {
+        checkBits(bits, 5);
+        const p = Prime.randomSafePrime(bits);
+        return { p, q: (p - 1n) / 2n, g: 4n };
+    }
+
+    /**
+     * Generates a Diffie–Hellman key pair in a group from `dhGroup`.
+     *
+     * @param {{ p: bigint, q: bigint, g: bigint }} group
+     * @returns {{ privateKey: bigint, publicKey: bigint }}
+     */
+    static dhKeyPair({ p, q, g }) {
+        const privateKey = randomBetween(2n, q - 1n);
+        return { privateKey, publicKey: Prime.modPow(g, privateKey, p) };
+    }
+
+    /**
+     * Computes the shared Diffie–Hellman secret from our private key and their public key.
+     *
+     * @param {bigint} privateKey
+     * @param {bigint} otherPublicKey
+     * @param {{ p: bigint, q: bigint }} group
+     * @returns {bigint}
+     * @throws {EncPrimeError} `ERR_BAD_INPUT` if the public key is not in the group.
+     *
+     * @example
+     *    const group = Prime.dhGroup(256);
+     *    const alice = Prime.dhKeyPair(group), bob = Prime.dhKeyPair(group);
+     *    Prime.dhSecret(alice.privateKey, bob.publicKey, group) === Prime.dhSecret(bob.privateKey, alice.publicKey, group); // true
+     */
+    static dhSecret(privateKey, otherPublicKey, { p, q }) {
+        const y = toBigInt(otherPublicKey, 'otherPublicKey');
+        if (y <= 1n || y >= p - 1n || Prime.modPow(y, q, p) !== 1n) {
+            throw new EncPrimeError('ERR_BAD_INPUT', 'The other public key is not an element of the group');
+        }
+        return Prime.modPow(y, privateKey, p);
+    }
+}
+
+module.exports = Prime;
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Prime = require('./prime');
+
+test('modPow, gcd and modInverse', () => {
+    assert.equal(Prime.modPow(4n, 13n, 497n), 445n);
+    assert.equal(Prime.modPow(2, 0, 7), 1n);
+    assert.equal(Prime.gcd(462n, 1071n), 21n);
+    assert.equal(Prime.modInverse(3n, 11n), 4n);
+    assert.throws(() => Prime.modInverse(6n, 9n), { code: 'ERR_BAD_INPUT' });
+    assert.throws(() => Prime.modPow(2n, -1n, 7n), { code: 'ERR_INVALID_OPTION' });
+    assert.throws(() => Prime.modPow(2n, 1n, 0n), { code: 'ERR_INVALID_OPTION' });
+    assert.throws(() => Prime.gcd(1.5, 2), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('isProbablePrime agrees with the sieve and catches Carmichael numbers', () => {
+    const primes = new Set(Prime.sieve(2000));
+    for (let n = 0; n < 2000; n++) {
+        assert.equal(Prime.isProbablePrime(n), primes.has(n), String(n));
+    }
+    for (const carmichael of [561n, 41041n, 825265n, 321197185n, 3215031751n]) {
+        assert.equal(Prime.isProbablePrime(carmichael), false, String(carmichael));
+    }
+    assert.equal(Prime.isProbablePrime(2n ** 127n - 1n), true);
+    assert.equal(Prime.isProbablePrime('170141183460469231731687303715884105727'), true);
+    assert.equal(Prime.isProbablePrime(2n ** 128n + 1n), false);
+});
+
+test('isProbablePrime agrees with OpenSSL on large random numbers', () => {
+    for (let i = 0; i < 20; i++) {
+        const candidate = BigInt('0x' + crypto.randomBytes(32).toString('hex')) | 1n;
+        assert.equal(Prime.isProbablePrime(candidate), crypto.checkPrimeSync(candidate), String(candidate));
+    }
+});
+
+test('randomPrime and randomSafePrime have exactly the requested bits', () => {
+    for (const bits of [2, 3, 16, 64, 256]) {
+        const p = Prime.randomPrime(bits);
+        assert.equal(p.toString(2).length, bits);
+        assert.equal(Prime.isProbablePrime(p), true);
+    }
+    assert.equal(Prime.randomPrime(64, { topBits: 2 }) >> 62n, 3n);
+
+    const safe = Prime.randomSafePrime(64);
+    assert.equal(safe.toString(2).length, 64);
+    assert.equal(Prime.isProbablePrime((safe - 1n) / 2n), true);
+    assert.throws(() => Prime.randomPrime(1), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('parallelPrimes generates one prime per worker', async () => {
+    const primes = await Prime.parallelPrimes(64, { count: 2, topBits: 2 });
+    assert.equal(primes.length, 2);
+    for (const p of primes) {
+        assert.equal(typeof p, 'bigint');
+        assert.equal(p >> 62n, 3n);
+        assert.equal(Prime.isProbablePrime(p), true);
+    }
+    await assert.rejects(Prime.parallelPrimes(64, { count: 0 }), { code: 'ERR_INVALID_OPTION' });
+
+    const [safe] = await Prime.parallelPrimes(32, { count: 1, safe: true });
+    assert.equal(Prime.isProbablePrime((safe - 1n) / 2n), true);
+});
+
+test('parallelPrimes only accepts integer rounds and topBits', async () => {
+    for (const options of [{ rounds: '1 }), process.exit(9), ({' }, { topBits: '2 }) + 1; //' }, { rounds: 0 }, { topBits: 1.5 }]) {
+        await assert.rejects(Prime.parallelPrimes(64, options), { code: 'ERR_INVALID_OPTION' }, JSON.stringify(options));
+    }
+});
+
+test('sieve lists primes in a range', () => {
+    assert.deepEqual(Prime.sieve(30), [2, 3, 5, 7, 11, 13, 17, 19, 23, 29]);
+    assert.deepEqual(Prime.sieve(1e12 + 100, { low: 1e12 }), [1000000000039, 1000000000061, 1000000000063, 1000000000091]);
+    assert.deepEqual(Prime.sieve(200, { low: 100, segmentSize: 7 }), Prime.sieve(200).filter(p => p >= 100));
+    assert.deepEqual(Prime.sieve(2), []);
+    assert.throws(() => Prime.sieve(1.5), { code: 'ERR_INVALID_OPTION' });
+    assert.throws(() => Prime.sieve(10, { low: -1 }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('textbook RSA and Diffie-Hellman round trip', () => {
+    const { publicKey, privateKey } = Prime.rsaKeyPair(512);
+    assert.equal(publicKey.n.toString(2).length, 512);
+    const c = Prime.rsaEncrypt('hi', publicKey);
+    assert.equal(Prime.rsaDecrypt(c, privateKey, { encoding: 'utf8' }), 'hi');
+    assert.equal(Prime.rsaDecrypt(Prime.rsaEncrypt(42n, publicKey), privateKey), 42n);
+    assert.throws(() => Prime.rsaEncrypt(publicKey.n, publicKey), { code: 'ERR_BAD_INPUT' });
+
+    const group = Prime.dhGroup(64);
+    const alice = Prime.dhKeyPair(group);
+    const bob = Prime.dhKeyPair(group);
+    assert.equal(Prime.dhSecret(alice.privateKey, bob.publicKey, group), Prime.dhSecret(bob.privateKey, alice.publicKey, group));
+    assert.throws(() => Prime.dhSecret(alice.privateKey, 1n, group), { code: 'ERR_BAD_INPUT' });
+    assert.throws(() => Prime.dhSecret(alice.privateKey, group.p - 1n, group), { code: 'ERR_BAD_INPUT' });
+});
@@ -0,0 +1,267 @@
+// Public-key helpers: key pairs, PEM/JWK import and export, hybrid sealing and signatures
+// ---------------------------------------------------------
+// `seal` encrypts with a fresh symmetric key and wraps that key for the recipient:
+// ECDH (X25519 or P-256) with an ephemeral key and HKDF-SHA256, or RSA-OAEP-SHA256.
+
+const crypto = require('crypto');
+const cipher = require('./cipher');
+const { KEY_LENGTH } = require('./keys');
+const { EncPrimeError, CryptoError } = require('../../errors');
+
+// Key pair types and the Node.js key type behind each
+const KEY_TYPES = {
+    x25519: 'x25519',
+    ecdh: 'ec',
+    rsa: 'rsa',
+    ed25519: 'ed25519',
+    ecdsa: 'ec',
+};
+
+const HKDF_INFO = Buffer.from('encPrime seal v1', 'utf8');
+
+// The SHA-2 hash ECDSA uses on each curve
+const CURVE_HASHES = {
+    prime256v1: 'sha256',
+    secp384r1: 'sha384',
+    secp521r1: 'sha512',
+};
+
+/**
+ * Generates a key pair.
+ *
+ * @param {'x25519'|'ecdh'|'rsa'|'ed25519'|'ecdsa'} type - `x25519`, `ecdh` and `rsa` are for `seal`/`open`,
+ *        `ed25519` and `ecdsa` for `sign`/`verify`.
+ * @param {Object} [options]
+ * @param {'pem'|'jwk'|'keyobject'} [options.format='pem']
+ * @param {string} [options.namedCurve='P-256'] - The curve for `ecdh` and `ecdsa`.
+ * @param {number} [options.modulusLength=3072] - The RSA key size in bits.
+ * @returns {{ publicKey: string|Object|crypto.KeyObject, privateKey: string|Object|crypto.KeyObject }}
+ */
+function generateKeyPair(type = 'x25519', { format = 'pem', namedCurve = 'P-256', modulusLength = 3072 } = {}) {
+    const keyType = KEY_TYPES[type];
+    if (!keyType) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown key type "${type}". Available types are: ${Object.keys(KEY_TYPES).join(', ')}`);
+    }
+
+    const params = keyType === 'ec' ? { namedCurve } : keyType === 'rsa' ? { modulusLength } : {};
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(keyType, params);
+    return {
+        publicKey: exportKey(publicKey, format),
+        privateKey: exportKey(privateKey, format),
+    };
+}
+
+/**
+ * Exports a key as PEM (SPKI for public keys, PKCS#8 for private keys) or JWK.
+ *
+ * @param {crypto.KeyObject|string|Buffer|Object} key - Anything importKey accepts.
+ * @param {'pem'|'jwk'|'keyobject'} [format='pem']
+ * @returns {string|Object|crypto.KeyObject}
+ */
+function exportKey(key, format = 'pem') {
+    const keyObject = importKey(key);
+    switch (format) {
+        case 'pem':
+            return keyObject.export({ type: keyObject.type === 'private' ? 'pkcs8' : 'spki', format: 'pem' });
+        case 'jwk':
+            return keyObject.export({ format: 'jwk' });
+        case 'keyobject':
+            return keyObject;
+        default:
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown key format "${format}". Available formats are: pem, jwk, keyobject`);
+    }
+}
+
+/**
+ * Imports a public or private key.
+ *
+ * @param {crypto.KeyObject|string|Buffer|Object} key - A KeyObject, a PEM string or Buffer,
+ *        or a JWK (as an object or a JSON string).
+ * @returns {crypto.KeyObject}
+ */
+function importKey(key) {
+    if (key instanceof crypto.KeyObject) {
+        return key;
+    }
+
+    try {
+        if (typeof key === 'string' && key.trim().startsWith('{')) {
+            key = JSON.parse(key);
+        }
+
+        if (key && typeof key === 'object' && !Buffer.isBuffer(key)) {
+            return key.d !== undefined
+                ? crypto.createPrivateKey({ key, format: 'jwk' })
+                : crypto.createPublicKey({ key, format: 'jwk' });
+        }
+
+        const pem = String(key);
+        return pem.includes('PRIVATE KEY') ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+    } catch (error) {
+        throw new CryptoError('ERR_BAD_KEY', `Unable to import key: ${error.message}`, { cause: error });
+    }
+}
+
+function publicOf(key) {
+    const keyObject = importKey(key);
+    return keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
+}
+
+function privateOf(key) {
+    const keyObject = importKey(key);
+    if (keyObject.type !== 'private') {
+        throw new CryptoError('ERR_BAD_KEY', 'A private key is required');
+    }
+    return keyObject;
+}
+
+function ecdhKey(secret, epk, recipient) {
+    const info = Buffer.concat([
+        HKDF_INFO,
+        epk.export({ type: 'spki', format: 'der' }),
+        recipient.export({ type: 'spki', format: 'der' }),
+    ]);
+    return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), info, KEY_LENGTH));
+}
+
+/**
+ * Encrypts data for the holder of a private key.
+ *
+ * @param {Buffer} plaintext
+ * @param {crypto.KeyObject|string|Object} publicKey - An X25519, EC or RSA public key.
+ * @param {Object} [options]
+ * @param {string} [options.mode='gcm'] - The symmetric cipher.
+ * @param {Buffer} [options.aad] - Associated data.
+ * @returns {{ header: Object, body: Buffer }} Envelope header fields and ciphertext.
+ */
+function seal(plaintext, publicKey, { mode = 'gcm', aad } = {}) {
+    const recipient = publicOf(publicKey);
+    let key;
+    let wrap;
+
+    switch (recipient.asymmetricKeyType) {
+        case 'x25519':
+        case 'x448':
+        case 'ec': {
+            const details = recipient.asymmetricKeyDetails;
+            const ephemeral = recipient.asymmetricKeyType === 'ec'
+                ? crypto.generateKeyPairSync('ec', { namedCurve: details.namedCurve })
+                : crypto.generateKeyPairSync(recipient.asymmetricKeyType);
+            const secret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient });
+            key = ecdhKey(secret, ephemeral.publicKey, recipient);
+            wrap = { alg: 'ECDH-ES+HKDF-SHA256', epk: ephemeral.publicKey.export({ format: 'jwk' }) };
+            break;
+        }
+        case 'rsa': {
+            key = crypto.randomBytes(KEY_LENGTH);
+            const ek = crypto.publicEncrypt({
+                key: recipient,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: 'sha256',
+            }, key);
+            wrap = { alg: 'RSA-OAEP-256', ek: ek.toString('base64') };
+            break;
+        }
+        default:
+            throw new CryptoError('ERR_BAD_KEY', `Cannot seal for a ${recipient.asymmetricKeyType} key, use an X25519, EC or RSA key`);
+    }
+
+    const { header, body } = cipher.encrypt(mode, key, plaintext, aad);
+    return { header: { ...header, wrap }, body };
+}
+
+/**
+ * Decrypts data sealed with `seal`.
+ *
+ * @param {Object} header - The envelope header, with a `wrap` field.
+ * @param {Buffer} body - The ciphertext.
+ * @param {crypto.KeyObject|string|Object} privateKey - The recipient's private key.
+ * @param {Object} [options]
+ * @param {Buffer} [options.aad] - The associated data given to `seal`.
+ * @returns {Buffer} The plaintext.
+ */
+function open(header, body, privateKey, { aad } = {}) {
+    const recipient = privateOf(privateKey);
+    const { wrap } = header;
+    let key;
+
+    switch (wrap.alg) {
+        case 'ECDH-ES+HKDF-SHA256': {
+            let epk, secret;
+            try {
+                epk = crypto.createPublicKey({ key: wrap.epk, format: 'jwk' });
+            } catch {
+                throw new CryptoError('ERR_BAD_ENVELOPE', 'Sealed message has an invalid ephemeral public key');
+            }
+            try {
+                secret = crypto.diffieHellman({ privateKey: recipient, publicKey: epk });
+            } catch {
+                throw new CryptoError('ERR_BAD_KEY', `Private key type (${recipient.asymmetricKeyType}) does not match the sealed message (${epk.asymmetricKeyType})`);
+            }
+            key = ecdhKey(secret, epk, crypto.createPublicKey(recipient));
+            break;
+        }
+        case 'RSA-OAEP-256':
+            try {
+                key = crypto.privateDecrypt({
+                    key: recipient,
+                    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                    oaepHash: 'sha256',
+                }, Buffer.from(wrap.ek, 'base64'));
+            } catch {
+                throw new CryptoError('ERR_DECRYPT_AUTH', 'Unable to unwrap the message key: wrong private key or tampered ciphertext');
+            }
+            break;
+        default:
+            throw new CryptoError('ERR_BAD_ENVELOPE', `Unknown key wrapping algorithm "${wrap.alg}"`);
+    }
+
+    return cipher.decrypt(header, key, body, aad);
+}
+
+function signatureAlgorithm(keyObject) {
+    switch (keyObject.asymmetricKeyType) {
+        case 'ed25519':
+        case 'ed448':
+            return { hash: null, options: {} };
+        case 'ec':
+            return { hash: CURVE_HASHES[keyObject.asymmetricKeyDetails.namedCurve] || 'sha256', options: {} };
+        case 'rsa':
+            return { hash: 'sha256', options: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING } };
+        default:
+            throw new CryptoError('ERR_BAD_KEY', `Cannot sign with a ${keyObject.asymmetricKeyType} key, use an Ed25519 or EC key`);
+    }
+}
+
+/**
+ * Signs data. Ed25519 signs the message directly; ECDSA hashes it with the curve's SHA-2.
+ *
+ * @param {Buffer} data
+ * @param {crypto.KeyObject|string|Object} privateKey
+ * @returns {Buffer} The signature.
+ */
+function sign(data, privateKey) {
+    const key = privateOf(privateKey);
+    const { hash, options } = signatureAlgorithm(key);
+    return crypto.sign(hash, data, { key, ...options });
+}
+
+/**
+ * Verifies a signature made by `sign`.
+ *
+ * @param {Buffer} data
+ * @param {Buffer} signature
+ * @param {crypto.KeyObject|string|Object} publicKey
+ * @returns {boolean}
+ */
+function verify(data, signature, publicKey) {
+    const key = publicOf(publicKey);
+    const { hash, options } = signatureAlgorithm(key);
+    try {
+        return crypto.verify(hash, data, { key, ...options }, signature);
+    } catch {
+        return false;
+    }
+}
+
+module.exports = { KEY_TYPES, generateKeyPair, exportKey, importKey, seal, open, sign, verify };
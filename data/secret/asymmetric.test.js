@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Encrypt = require('../encrypt');
+
+const encryptor = new Encrypt();
+
+test('seal and open round trip for every wrapping key type', () => {
+    const pairs = [
+        encryptor.generateKeyPair('x25519'),
+        encryptor.generateKeyPair('ecdh'),
+        encryptor.generateKeyPair('rsa', { modulusLength: 2048 }),
+    ];
+    for (const { publicKey, privateKey } of pairs) {
+        const sealed = encryptor.seal('for your eyes only', publicKey, { aad: 'msg:1' });
+        assert.equal(encryptor.open(sealed, privateKey, { aad: 'msg:1' }), 'for your eyes only');
+        assert.throws(() => encryptor.open(sealed, privateKey, { aad: 'msg:2' }));
+        assert.throws(() => encryptor.open(sealed, encryptor.generateKeyPair('x25519').privateKey));
+    }
+});
+
+test('seal uses a fresh ephemeral key and rejects unauthenticated modes', () => {
+    const { publicKey, privateKey } = encryptor.generateKeyPair('x25519', { format: 'jwk' });
+    const first = encryptor.seal('same', publicKey);
+    assert.notEqual(first, encryptor.seal('same', publicKey));
+    assert.equal(encryptor.open(first, privateKey), 'same');
+    assert.throws(() => encryptor.seal('data', publicKey, { mode: 'cbc' }), /authenticated mode/);
+    assert.throws(() => encryptor.seal('data', encryptor.generateKeyPair('ed25519').publicKey), /Cannot seal/);
+});
+
+test('sealed and symmetric ciphertext are not mixed up', () => {
+    const { publicKey, privateKey } = encryptor.generateKeyPair('x25519');
+    const key = encryptor.generateKey();
+    assert.throws(() => encryptor.aes(encryptor.seal('data', publicKey), { key, reverse: true }), /open\(\)/);
+    assert.throws(() => encryptor.open(encryptor.aes('data', { key }), privateKey), /aes\(\)/);
+});
+
+test('sign and verify with Ed25519 and ECDSA', () => {
+    for (const [type, options] of [['ed25519', {}], ['ecdsa', {}], ['ecdsa', { namedCurve: 'P-384' }]]) {
+        const { publicKey, privateKey } = encryptor.generateKeyPair(type, options);
+        const signature = encryptor.sign('signed message', privateKey);
+        assert.equal(encryptor.verify('signed message', signature, publicKey), true);
+        assert.equal(encryptor.verify('signed messagf', signature, publicKey), false);
+        assert.equal(encryptor.verify('signed message', signature, encryptor.generateKeyPair(type, options).publicKey), false);
+        assert.equal(encryptor.verify('signed message', 'not a signature', publicKey), false);
+    }
+    assert.throws(() => encryptor.sign('data', encryptor.generateKeyPair('ed25519').publicKey), /private key/);
+});
+
+test('keys survive export and import in every format', () => {
+    const { publicKey, privateKey } = encryptor.generateKeyPair('ed25519', { format: 'keyobject' });
+    const signature = encryptor.sign('data', privateKey, { encoding: 'hex' });
+    for (const format of ['pem', 'jwk']) {
+        const exported = encryptor.exportKey(publicKey, format);
+        assert.equal(encryptor.verify('data', signature, encryptor.importKey(exported), { encoding: 'hex' }), true);
+        assert.equal(encryptor.verify('data', signature, format === 'jwk' ? JSON.stringify(exported) : exported, { encoding: 'hex' }), true);
+    }
+    assert.throws(() => encryptor.exportKey(publicKey, 'der'), /Unknown key format/);
+    assert.throws(() => encryptor.generateKeyPair('dsa'), /Unknown key type/);
+});
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { EncPrimeError, CryptoError } = require('../../errors');
+
+// Supported `mode` values and the OpenSSL cipher each one maps to
+const MODES = {
+    gcm: { algorithm: 'aes-256-gcm', ivLength: 12, authenticated: true },
+    cbc: { algorithm: 'aes-256-cbc', ivLength: 16, authenticated: false },
+    'chacha20-poly1305': { algorithm: 'chacha20-poly1305', ivLength: 12, authenticated: true },
+};
+
+const TAG_LENGTH = 16;
+
+/**
+ * Looks up a mode by its option name or its OpenSSL algorithm name.
+ *
+ * @param {string} name
+ * @returns {{ algorithm: string, ivLength: number, authenticated: boolean }}
+ */
+function getMode(name) {
+    const mode = MODES[name] || Object.values(MODES).find(m => m.algorithm === name);
+    if (!mode) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown cipher mode "${name}". Available modes are: ${Object.keys(MODES).join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Encrypts a buffer with a fresh random IV.
+ *
+ * @param {string} modeName - One of the keys of MODES.
+ * @param {Buffer} key - 32 bytes of key material.
+ * @param {Buffer} plaintext
+ * @param {Buffer} [aad] - Associated data, authenticated but not encrypted.
+ * @returns {{ header: Object, body: Buffer }} Envelope header fields and the ciphertext.
+ */
+function encrypt(modeName, key, plaintext, aad) {
+    const mode = getMode(modeName);
+    if (aad && !mode.authenticated) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Associated data requires an authenticated mode, "${modeName}" is not one`);
+    }
+
+    const iv = crypto.randomBytes(mode.ivLength);
+    const cipher = crypto.createCipheriv(mode.algorithm, key, iv, mode.authenticated ? { authTagLength: TAG_LENGTH } : undefined);
+    if (aad) cipher.setAAD(aad, { plaintextLength: plaintext.length });
+    const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    const header = { alg: mode.algorithm, iv: iv.toString('base64') };
+    if (mode.authenticated) header.tag = cipher.getAuthTag().toString('base64');
+    return { header, body };
+}
+
+/**
+ * Decrypts the ciphertext described by an envelope header.
+ *
+ * @param {Object} header - Envelope header with `alg`, `iv` and (for AEAD modes) `tag`.
+ * @param {Buffer} key - 32 bytes of key material.
+ * @param {Buffer} body - The ciphertext.
+ * @param {Buffer} [aad] - The associated data given at encryption time.
+ * @returns {Buffer} The plaintext.
+ * @throws {CryptoError} `ERR_DECRYPT_AUTH` if authentication fails, or if `aad` is given for a mode that
+ *         cannot authenticate it.
+ */
+function decrypt(header, key, body, aad) {
+    const mode = getMode(header.alg);
+    // Ignoring the associated data would let a CBC or legacy ciphertext stand in for an authenticated one
+    if (aad && !mode.authenticated) {
+        throw new CryptoError('ERR_DECRYPT_AUTH', `Associated data requires an authenticated mode, the ciphertext uses "${header.alg}"`);
+    }
+    const iv = Buffer.from(header.iv || '', 'base64');
+    if (iv.length !== mode.ivLength) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'Envelope IV has the wrong length');
+    }
+
+    const decipher = crypto.createDecipheriv(mode.algorithm, key, iv, mode.authenticated ? { authTagLength: TAG_LENGTH } : undefined);
+    if (mode.authenticated) {
+        const tag = Buffer.from(header.tag || '', 'base64');
+        if (tag.length !== TAG_LENGTH) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'Envelope auth tag is missing or has the wrong length');
+        }
+        decipher.setAuthTag(tag);
+        if (aad) decipher.setAAD(aad, { plaintextLength: body.length });
+    }
+
+    try {
+        return Buffer.concat([decipher.update(body), decipher.final()]);
+    } catch {
+        throw new CryptoError('ERR_DECRYPT_AUTH', mode.authenticated
+            ? 'Unable to authenticate data: wrong key, associated data or tampered ciphertext'
+            : 'Unable to decrypt data: wrong key or corrupted ciphertext');
+    }
+}
+
+module.exports = { MODES, getMode, encrypt, decrypt };
@@ -0,0 +1,334 @@
+// Classical ciphers and cryptanalysis helpers
+// ---------------------------------------------------------
+// Letter ciphers work on the 26 Latin letters, keep the case of the input
+// and pass every other character through unchanged.
+
+const { EncPrimeError } = require('../../errors');
+
+const A = 65;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Relative letter frequencies of English text, A to Z
+const ENGLISH_FREQUENCIES = [
+    0.08167, 0.01492, 0.02782, 0.04253, 0.12702, 0.02228, 0.02015, 0.06094, 0.06966,
+    0.00153, 0.00772, 0.04025, 0.02406, 0.06749, 0.07507, 0.01929, 0.00095, 0.05987,
+    0.06327, 0.09056, 0.02758, 0.00978, 0.0236, 0.0015, 0.01974, 0.00074,
+];
+
+function mod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+// Calls `shift(index, letterCount)` for each letter and keeps the case of the input
+function mapLetters(text, shift) {
+    let count = 0;
+    return String(text).replace(/[A-Za-z]/g, char => {
+        const base = char <= 'Z' ? 65 : 97;
+        return String.fromCharCode(base + mod(shift(char.charCodeAt(0) - base, count++), 26));
+    });
+}
+
+// The letters of a keyword, upper-cased; throws if there are none
+function keyLetters(key, cipher) {
+    const letters = typeof key === 'string' ? key.toUpperCase().replace(/[^A-Z]/g, '') : '';
+    if (letters.length === 0) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `The ${cipher} key must be a string with at least one letter A-Z`);
+    }
+    return letters;
+}
+
+function caesar(text, shift, reverse) {
+    if (!Number.isInteger(shift)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'The Caesar shift must be an integer');
+    }
+    const k = reverse ? -shift : shift;
+    return mapLetters(text, x => x + k);
+}
+
+function vigenere(text, key, reverse) {
+    const shifts = Array.from(keyLetters(key, 'Vigenère'), char => char.charCodeAt(0) - A);
+    return mapLetters(text, (x, i) => x + (reverse ? -1 : 1) * shifts[i % shifts.length]);
+}
+
+function atbash(text) {
+    return mapLetters(text, x => 25 - x);
+}
+
+function gcd(a, b) {
+    return b === 0 ? Math.abs(a) : gcd(b, a % b);
+}
+
+function affine(text, a, b, reverse) {
+    if (!Number.isInteger(a) || !Number.isInteger(b) || gcd(a, 26) !== 1) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'Affine key "a" must be an integer coprime with 26 (1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23 or 25)');
+    }
+    if (!reverse) {
+        return mapLetters(text, x => a * x + b);
+    }
+    let inverse = 1;
+    while (mod(a * inverse, 26) !== 1) inverse++;
+    return mapLetters(text, y => inverse * (y - b));
+}
+
+function playfairSquare(key) {
+    const letters = (keyLetters(key, 'Playfair') + ALPHABET).replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+    const square = [...new Set(letters)];
+    const positions = new Map(square.map((char, i) => [char, [Math.floor(i / 5), i % 5]]));
+    return { square, positions };
+}
+
+function playfair(text, key, reverse, padding = 'X') {
+    const { square, positions } = playfairSquare(key);
+    const letters = String(text).toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+    const pad = typeof padding === 'string' ? padding.toUpperCase() : '';
+    if (!/^[A-IK-Z]$/.test(pad)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'The Playfair padding must be a single letter A-Z other than J');
+    }
+    const alternate = pad === 'Q' ? 'X' : 'Q';
+
+    const pairs = [];
+    if (reverse) {
+        if (letters.length % 2 !== 0) {
+            throw new EncPrimeError('ERR_BAD_INPUT', 'Playfair ciphertext must have an even number of letters');
+        }
+        for (let i = 0; i < letters.length; i += 2) pairs.push([letters[i], letters[i + 1]]);
+    } else {
+        // Split doubled letters and pad the last pair
+        for (let i = 0; i < letters.length; i += 2) {
+            const first = letters[i];
+            let second = letters[i + 1];
+            if (second === undefined || second === first) {
+                second = first === pad ? alternate : pad;
+                i--;
+            }
+            pairs.push([first, second]);
+        }
+    }
+
+    const step = reverse ? 4 : 1;
+    return pairs.map(([first, second]) => {
+        const [r1, c1] = positions.get(first);
+        const [r2, c2] = positions.get(second);
+        if (r1 === r2) {
+            return square[r1 * 5 + (c1 + step) % 5] + square[r2 * 5 + (c2 + step) % 5];
+        }
+        if (c1 === c2) {
+            return square[((r1 + step) % 5) * 5 + c1] + square[((r2 + step) % 5) * 5 + c2];
+        }
+        return square[r1 * 5 + c2] + square[r2 * 5 + c1];
+    }).join('');
+}
+
+// The rail each character position lands on, zig-zagging down and up
+function railPattern(length, rails) {
+    const cycle = 2 * (rails - 1);
+    return Array.from({ length }, (_, i) => {
+        const p = i % cycle;
+        return p < rails ? p : cycle - p;
+    });
+}
+
+function railFence(text, rails, reverse) {
+    if (!Number.isInteger(rails) || rails < 2) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'Rail fence needs an integer number of rails, at least 2');
+    }
+    const chars = Array.from(String(text));
+    const pattern = railPattern(chars.length, rails);
+    // Positions in the order they are read off the fence, rail by rail
+    const order = pattern
+        .map((rail, i) => [rail, i])
+        .sort((x, y) => x[0] - y[0] || x[1] - y[1])
+        .map(([, i]) => i);
+
+    if (!reverse) {
+        return order.map(i => chars[i]).join('');
+    }
+    const result = new Array(chars.length);
+    order.forEach((position, i) => {
+        result[position] = chars[i];
+    });
+    return result.join('');
+}
+
+// Wirings and turnover notches of the Enigma I / M3 / M4 rotors and reflectors
+const ROTORS = {
+    I: { wiring: 'EKMFLGDQVZNTOWYHXUSPAIBRCJ', notch: 'Q' },
+    II: { wiring: 'AJDKSIRUXBLHWTMCQGZNPYFVOE', notch: 'E' },
+    III: { wiring: 'BDFHJLCPRTXVZNYEIWGAKMUSQO', notch: 'V' },
+    IV: { wiring: 'ESOVPZJAYQUIRHXLNFTGKDCMWB', notch: 'J' },
+    V: { wiring: 'VZBRGITYUPSDNHLXAWMJQOFECK', notch: 'Z' },
+    VI: { wiring: 'JPGVOUMFYQBENHZRDKASXLICTW', notch: 'ZM' },
+    VII: { wiring: 'NZJHGRCXMYSWBOUFAIVLPEKQDT', notch: 'ZM' },
+    VIII: { wiring: 'FKQHTLXOCBJSPDZRAMEWNIUYGV', notch: 'ZM' },
+};
+
+const REFLECTORS = {
+    A: 'EJMZALYXVBWFCRQUONTSPIKHGD',
+    B: 'YRUHQSLDPXNGOKMIEBFZCWVJAT',
+    C: 'FVPJIAOYEDRZXWGCTKUQSBNMHL',
+};
+
+function letterIndex(value, name) {
+    if (typeof value === 'number') return mod(value - 1, 26);
+    const char = String(value).toUpperCase();
+    if (!/^[A-Z]$/.test(char)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Enigma ${name} must be letters A-Z or numbers 1-26`);
+    }
+    return char.charCodeAt(0) - A;
+}
+
+function settings(value, count, name) {
+    const list = typeof value === 'string' ? Array.from(value) : value;
+    if (!Array.isArray(list) || list.length !== count) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Enigma ${name} must give one setting per rotor (${count})`);
+    }
+    return list.map(v => letterIndex(v, name));
+}
+
+function plugboardMap(plugboard) {
+    const map = Array.from({ length: 26 }, (_, i) => i);
+    const pairs = Array.isArray(plugboard) ? plugboard : String(plugboard).trim().split(/\s+/).filter(Boolean);
+    for (const pair of pairs) {
+        const [x, y] = Array.from(String(pair).toUpperCase()).map(char => char.charCodeAt(0) - A);
+        if (String(pair).length !== 2 || x === y || x < 0 || x > 25 || y < 0 || y > 25 || map[x] !== x || map[y] !== y) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Invalid plugboard pair "${pair}": use distinct letter pairs like "AB CD"`);
+        }
+        map[x] = y;
+        map[y] = x;
+    }
+    return map;
+}
+
+function wiringOf(wiring) {
+    const forward = Array.from(String(wiring).toUpperCase(), char => char.charCodeAt(0) - A);
+    if (forward.length !== 26 || new Set(forward).size !== 26 || forward.some(x => x < 0 || x > 25)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'Enigma wirings must be permutations of the 26 letters');
+    }
+    const backward = new Array(26);
+    forward.forEach((y, x) => {
+        backward[y] = x;
+    });
+    return { forward, backward };
+}
+
+/**
+ * Simulates an Enigma machine, with double stepping, ring settings and a plugboard.
+ * Enigma is its own inverse, so the same settings encrypt and decrypt.
+ */
+function enigma(text, {
+    rotors = ['I', 'II', 'III'],
+    reflector = 'B',
+    rings = 'AAA',
+    positions = 'AAA',
+    plugboard = '',
+} = {}) {
+    const machine = rotors.map(rotor => {
+        const spec = typeof rotor === 'string' ? ROTORS[rotor.toUpperCase()] : rotor;
+        if (!spec) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown Enigma rotor "${rotor}". Available rotors are: ${Object.keys(ROTORS).join(', ')}`);
+        }
+        return {
+            ...wiringOf(spec.wiring),
+            notches: Array.from(spec.notch || '', char => char.toUpperCase().charCodeAt(0) - A),
+        };
+    });
+    const reflectorWiring = wiringOf(REFLECTORS[String(reflector).toUpperCase()] || reflector).forward;
+    if (reflectorWiring.some((y, x) => y === x || reflectorWiring[y] !== x)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'An Enigma reflector must pair every letter with a different letter');
+    }
+
+    const ringSettings = settings(rings, machine.length, 'rings');
+    const offsets = settings(positions, machine.length, 'positions');
+    const plugs = plugboardMap(plugboard);
+    const last = machine.length - 1;
+
+    const step = () => {
+        const atNotch = (i) => machine[i].notches.includes(offsets[i]);
+        // The middle rotor steps itself when it turns over the left one (double stepping)
+        const turns = machine.map((_, i) => i === last || atNotch(i + 1) || (i === last - 1 && atNotch(i)));
+        // Only the three rightmost rotors step, as on the four-rotor M4
+        turns.forEach((turn, i) => {
+            if (turn && i >= machine.length - 3) offsets[i] = mod(offsets[i] + 1, 26);
+        });
+    };
+
+    const through = (x, rotor, i, direction) => {
+        const shift = offsets[i] - ringSettings[i];
+        return mod(rotor[direction][mod(x + shift, 26)] - shift, 26);
+    };
+
+    return String(text).replace(/[A-Za-z]/g, char => {
+        const lower = char >= 'a';
+        step();
+        let x = plugs[char.toUpperCase().charCodeAt(0) - A];
+        for (let i = last; i >= 0; i--) x = through(x, machine[i], i, 'forward');
+        x = reflectorWiring[x];
+        for (let i = 0; i <= last; i++) x = through(x, machine[i], i, 'backward');
+        const out = String.fromCharCode(A + plugs[x]);
+        return lower ? out.toLowerCase() : out;
+    });
+}
+
+/**
+ * Counts letters and measures how English-like a text is.
+ *
+ * @param {string} text
+ * @returns {{ total: number, counts: Object<string, number>, frequencies: Object<string, number>,
+ *             indexOfCoincidence: number, chiSquared: number }}
+ */
+function frequencyAnalysis(text) {
+    const counts = new Array(26).fill(0);
+    for (const char of String(text).toUpperCase()) {
+        const x = char.charCodeAt(0) - A;
+        if (x >= 0 && x < 26) counts[x]++;
+    }
+    const total = counts.reduce((sum, n) => sum + n, 0);
+
+    const chiSquared = total === 0 ? Infinity : counts.reduce((sum, n, i) => {
+        const expected = ENGLISH_FREQUENCIES[i] * total;
+        return sum + ((n - expected) ** 2) / expected;
+    }, 0);
+    const indexOfCoincidence = total < 2 ? 0 : counts.reduce((sum, n) => sum + n * (n - 1), 0) / (total * (total - 1));
+
+    return {
+        total,
+        counts: Object.fromEntries(counts.map((n, i) => [ALPHABET[i], n])),
+        frequencies: Object.fromEntries(counts.map((n, i) => [ALPHABET[i], total === 0 ? 0 : n / total])),
+        indexOfCoincidence,
+        chiSquared,
+    };
+}
+
+/**
+ * Tries all 26 Caesar shifts and ranks them by how close the result is to English.
+ * Uses the log-likelihood of the letters under English frequencies, which stays
+ * reliable on short texts where chi-squared is thrown off by rare letters.
+ *
+ * @param {string} text - The ciphertext.
+ * @returns {Array<{ shift: number, text: string, score: number }>} Every shift, best (highest score) first.
+ */
+function crackCaesar(text) {
+    return Array.from({ length: 26 }, (_, shift) => {
+        const plaintext = caesar(text, shift, true);
+        let score = 0;
+        for (const char of plaintext.toUpperCase()) {
+            const x = char.charCodeAt(0) - A;
+            if (x >= 0 && x < 26) score += Math.log(ENGLISH_FREQUENCIES[x]);
+        }
+        return { shift, text: plaintext, score };
+    }).sort((x, y) => y.score - x.score);
+}
+
+module.exports = {
+    ROTORS,
+    REFLECTORS,
+    caesar,
+    vigenere,
+    atbash,
+    affine,
+    playfair,
+    railFence,
+    enigma,
+    frequencyAnalysis,
+    crackCaesar,
+};
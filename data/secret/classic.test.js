@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const classic = require('./classic');
+
+test('caesar shifts letters only and keeps case', () => {
+    assert.equal(classic.caesar('Hello, World!', 3), 'Khoor, Zruog!');
+    assert.equal(classic.caesar('Khoor, Zruog!', 3, true), 'Hello, World!');
+    assert.equal(classic.caesar('abc', -1), 'zab');
+    assert.equal(classic.caesar(classic.caesar('Round trip', 13), 13), 'Round trip');
+    assert.equal(classic.caesar('abc', 27), 'bcd');
+});
+
+test('caesar refuses shifts that are not integers', () => {
+    for (const shift of [1.5, '3', NaN, Infinity, undefined, null]) {
+        assert.throws(() => classic.caesar('abc', shift), { code: 'ERR_INVALID_OPTION' }, String(shift));
+    }
+});
+
+test('vigenere round trips and keeps case and non-letters', () => {
+    assert.equal(classic.vigenere('ATTACK AT DAWN', 'LEMON'), 'LXFOPV EF RNHR');
+    assert.equal(classic.vigenere('Attack at dawn!', 'lemon'), 'Lxfopv ef rnhr!');
+    assert.equal(classic.vigenere('Lxfopv ef rnhr!', 'Le-Mon 2', true), 'Attack at dawn!');
+    assert.throws(() => classic.vigenere('text', '1234'), /at least one letter/);
+});
+
+test('atbash and affine', () => {
+    assert.equal(classic.atbash('Wizard'), 'Draziw');
+    assert.equal(classic.affine('AFFINE cipher', 5, 8), 'IHHWVC swfrcp');
+    assert.equal(classic.affine('IHHWVC swfrcp', 5, 8, true), 'AFFINE cipher');
+    assert.throws(() => classic.affine('text', 13, 8), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('playfair round trips and pads doubled and odd letters', () => {
+    assert.equal(classic.playfair('Hide the gold', 'playfair example'), 'BMODZBXDNAGE');
+    assert.equal(classic.playfair('BMODZBXDNAGE', 'playfair example', true), 'HIDETHEGOLDX');
+    const padded = classic.playfair('balloon', 'monarchy', false, 'q');
+    assert.equal(classic.playfair(padded, 'monarchy', true), 'BALQLOON');
+    assert.throws(() => classic.playfair('ABC', 'key', true), /even number/);
+});
+
+test('railFence writes in a zig-zag', () => {
+    assert.equal(classic.railFence('WEAREDISCOVEREDFLEEATONCE', 3), 'WECRLTEERDSOEEFEAOCAIVDEN');
+    assert.equal(classic.railFence('WECRLTEERDSOEEFEAOCAIVDEN', 3, true), 'WEAREDISCOVEREDFLEEATONCE');
+    assert.throws(() => classic.railFence('text', 1), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('enigma matches the Enigma I and is its own inverse', () => {
+    assert.equal(classic.enigma('AAAAA'), 'BDZGO');
+
+    const options = { rotors: ['II', 'IV', 'V'], reflector: 'B', rings: 'BUL', positions: 'BLA', plugboard: 'AV BS CG DL FU HZ IN KM OW RX' };
+    const sealed = classic.enigma('Hello, Enigma!', options);
+    assert.equal(classic.enigma(sealed, options), 'Hello, Enigma!');
+
+    // Double stepping: the middle rotor steps twice in a row at its notch (ADU -> ADV -> AEW -> BFX)
+    assert.equal(classic.enigma('AAA', { positions: 'ADU' }), classic.enigma('AAA', { positions: [1, 4, 21] }));
+    assert.throws(() => classic.enigma('A', { rotors: ['IX', 'I', 'II'] }), /Unknown Enigma rotor/);
+    assert.throws(() => classic.enigma('A', { plugboard: 'AA' }), /plugboard/);
+    assert.throws(() => classic.enigma('A', { positions: 'AB' }), /one setting per rotor/);
+});
+
+test('frequencyAnalysis and crackCaesar', () => {
+    const analysis = classic.frequencyAnalysis('Aab!');
+    assert.equal(analysis.total, 3);
+    assert.equal(analysis.counts.A, 2);
+    assert.equal(analysis.indexOfCoincidence, 1 / 3);
+
+    const [best] = classic.crackCaesar(classic.caesar('The secret meeting is at dawn', 7));
+    assert.equal(best.shift, 7);
+    assert.equal(best.text, 'The secret meeting is at dawn');
+});
+
+test('vigenere refuses missing keys and keys without letters', () => {
+    for (const key of [undefined, null, '', '1234', ' -!', 42]) {
+        assert.throws(() => classic.vigenere('text', key), { code: 'ERR_INVALID_OPTION' }, String(key));
+    }
+});
+
+test('playfair refuses missing keys and keys without letters', () => {
+    for (const key of [undefined, '', '2024', {}]) {
+        assert.throws(() => classic.playfair('text', key), { code: 'ERR_INVALID_OPTION' }, String(key));
+    }
+});
+
+test('playfair refuses padding that is not a single letter other than J', () => {
+    for (const padding of ['J', 'j', 'XY', '', '1', 5, null]) {
+        assert.throws(() => classic.playfair('text', 'key', false, padding), { code: 'ERR_INVALID_OPTION' }, String(padding));
+    }
+});
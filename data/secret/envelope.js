@@ -0,0 +1,160 @@
+// Self-describing ciphertext envelope
+// ---------------------------------------------------------
+// Layout: "EP" magic | version (1 byte) | header length (uint16 BE) | JSON header | ciphertext
+
+const { EncPrimeError, CryptoError } = require('../../errors');
+
+const MAGIC = Buffer.from('EP', 'ascii');
+const VERSION = 1;
+const PREFIX_LENGTH = MAGIC.length + 3;
+
+// Output encodings accepted for ciphertext
+const ENCODINGS = ['hex', 'base64', 'base64url', 'buffer'];
+
+// The format `Encrypt.aes` produced before envelopes existed: "<iv hex>:<cipher hex>"
+const LEGACY_PATTERN = /^[0-9a-f]{32}:[0-9a-f]*$/i;
+
+/**
+ * Serializes a header and ciphertext into an envelope.
+ *
+ * @param {Object} header - Plain JSON-safe metadata (algorithm, IV, auth tag, ...).
+ * @param {Buffer} body - The ciphertext.
+ * @returns {Buffer} The envelope bytes.
+ */
+function pack(header, body) {
+    const json = Buffer.from(JSON.stringify(header), 'utf8');
+    if (json.length > 0xffff) {
+        throw new EncPrimeError('ERR_BAD_INPUT', 'Envelope header is too large');
+    }
+
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    MAGIC.copy(prefix, 0);
+    prefix.writeUInt8(VERSION, MAGIC.length);
+    prefix.writeUInt16BE(json.length, MAGIC.length + 1);
+    return Buffer.concat([prefix, json, body]);
+}
+
+/**
+ * Splits an envelope back into its header and ciphertext.
+ *
+ * @param {Buffer} buffer - The envelope bytes.
+ * @returns {{ version: number, header: Object, body: Buffer }}
+ * @throws {CryptoError} `ERR_BAD_ENVELOPE` if the bytes are not an envelope of a supported version.
+ */
+function unpack(buffer) {
+    const parsed = readHeader(buffer);
+    if (!parsed) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', isEnvelope(buffer) ? 'Envelope is truncated' : 'Ciphertext is not an encPrime envelope');
+    }
+
+    const { version, header, headerEnd } = parsed;
+    return { version, header, body: buffer.subarray(headerEnd) };
+}
+
+/**
+ * Parses the envelope prefix and header from the start of a buffer, for callers
+ * that receive the envelope incrementally (streams).
+ *
+ * @param {Buffer} buffer - The bytes received so far.
+ * @returns {{ version: number, header: Object, headerEnd: number }|null} The header and the offset
+ *          where the ciphertext starts, or null if more bytes are needed.
+ * @throws {CryptoError} `ERR_BAD_ENVELOPE` if the bytes are not an envelope of a supported version.
+ */
+function readHeader(buffer) {
+    if (buffer.length < PREFIX_LENGTH) {
+        return null;
+    }
+    if (!isEnvelope(buffer)) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'Ciphertext is not an encPrime envelope');
+    }
+
+    const version = buffer.readUInt8(MAGIC.length);
+    if (version !== VERSION) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Unsupported envelope version ${version}`);
+    }
+
+    const headerLength = buffer.readUInt16BE(MAGIC.length + 1);
+    const headerEnd = PREFIX_LENGTH + headerLength;
+    if (buffer.length < headerEnd) {
+        return null;
+    }
+
+    let header;
+    try {
+        header = JSON.parse(buffer.subarray(PREFIX_LENGTH, headerEnd).toString('utf8'));
+    } catch {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'Envelope header is corrupted');
+    }
+
+    return { version, header, headerEnd };
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {boolean} Whether the bytes start with the envelope magic.
+ */
+function isEnvelope(buffer) {
+    return buffer.length >= PREFIX_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text is in the legacy "iv:cipher" CBC format.
+ */
+function isLegacy(text) {
+    return typeof text === 'string' && LEGACY_PATTERN.test(text.trim());
+}
+
+/**
+ * Turns strings, Buffers and Uint8Arrays into a Buffer of plaintext bytes.
+ *
+ * @param {string|Buffer|Uint8Array} data - Strings are read as UTF-8.
+ * @returns {Buffer}
+ */
+function toBytes(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof Uint8Array) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    return Buffer.from(String(data), 'utf8');
+}
+
+/**
+ * Encodes envelope bytes for output.
+ *
+ * @param {Buffer} buffer
+ * @param {'hex'|'base64'|'base64url'|'buffer'} encoding
+ * @returns {string|Buffer}
+ */
+function encode(buffer, encoding) {
+    if (!ENCODINGS.includes(encoding)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown encoding "${encoding}". Available encodings are: ${ENCODINGS.join(', ')}`);
+    }
+    return encoding === 'buffer' ? buffer : buffer.toString(encoding);
+}
+
+/**
+ * Decodes envelope bytes given in any of the output encodings. Hex and base64 are told
+ * apart by the envelope magic: hex envelopes always start with "4550".
+ *
+ * @param {string|Buffer|Uint8Array} input
+ * @returns {Buffer}
+ */
+function decode(input) {
+    if (Buffer.isBuffer(input) || input instanceof Uint8Array) {
+        return toBytes(input);
+    }
+    const text = String(input).trim();
+    return /^(?:[0-9a-f]{2})+$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+}
+
+module.exports = {
+    VERSION,
+    ENCODINGS,
+    pack,
+    unpack,
+    readHeader,
+    isEnvelope,
+    isLegacy,
+    toBytes,
+    encode,
+    decode,
+};
@@ -0,0 +1,408 @@
+// JOSE compact serialization: JWE, JWS and JWT
+// ---------------------------------------------------------
+// JWE:  BASE64URL(header) . BASE64URL(encrypted key) . BASE64URL(iv) . BASE64URL(ciphertext) . BASE64URL(tag)
+//       alg "dir" or "A256KW" (RFC 3394 AES key wrap), enc "A256GCM"
+// JWS:  BASE64URL(header) . BASE64URL(payload) . BASE64URL(signature)
+//       alg "HS256", "ES256" (P-256, raw r||s signature) or "EdDSA" (Ed25519/Ed448)
+
+const crypto = require('crypto');
+const { KEY_LENGTH, rawKey } = require('./keys');
+const { importKey } = require('./asymmetric');
+const { EncPrimeError, CryptoError } = require('../../errors');
+
+const JWE_ALGORITHMS = ['dir', 'A256KW'];
+const JWE_ENCRYPTION = 'A256GCM';
+const JWS_ALGORITHMS = ['HS256', 'ES256', 'EdDSA'];
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// RFC 3394 default initial value
+const KEY_WRAP_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+
+function b64url(data) {
+    return Buffer.from(data).toString('base64url');
+}
+
+function fromB64url(segment, what) {
+    if (!/^[A-Za-z0-9_-]*$/.test(segment)) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Token ${what} is not base64url`);
+    }
+    return Buffer.from(segment, 'base64url');
+}
+
+function encodeHeader(header) {
+    return b64url(JSON.stringify(header));
+}
+
+function decodeHeader(segment) {
+    let header;
+    try {
+        header = JSON.parse(fromB64url(segment, 'header').toString('utf8'));
+    } catch (error) {
+        if (error instanceof EncPrimeError) throw error;
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'Token header is not valid JSON');
+    }
+    if (!header || typeof header !== 'object' || Array.isArray(header)) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'Token header must be a JSON object');
+    }
+    if (header.crit !== undefined) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Token header has critical extensions this library does not support: ${[].concat(header.crit).join(', ')}`);
+    }
+    return header;
+}
+
+function split(token, parts) {
+    const segments = typeof token === 'string' ? token.trim().split('.') : [];
+    if (segments.length !== parts) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Not a compact ${parts === 5 ? 'JWE' : 'JWS'}: expected ${parts} dot-separated parts`);
+    }
+    return segments;
+}
+
+/**
+ * Reads a symmetric key: a raw key as `Encrypt.aes` accepts it, a secret KeyObject,
+ * or an `oct` JWK. HMAC keys may be longer than 32 bytes.
+ *
+ * @param {Buffer|Uint8Array|string|Object|crypto.KeyObject} key
+ * @param {boolean} exact - Whether the key must be exactly 32 bytes.
+ * @returns {Buffer}
+ */
+function secretKey(key, exact) {
+    let buffer;
+    if (key instanceof crypto.KeyObject) {
+        if (key.type !== 'secret') {
+            throw new CryptoError('ERR_BAD_KEY', `Expected a symmetric key, got a ${key.type} key`);
+        }
+        buffer = key.export();
+    } else if (key && typeof key === 'object' && !(key instanceof Uint8Array)) {
+        if (key.kty !== 'oct' || typeof key.k !== 'string') {
+            throw new CryptoError('ERR_BAD_KEY', 'Expected a symmetric key or an "oct" JWK');
+        }
+        buffer = Buffer.from(key.k, 'base64url');
+    } else if ((Buffer.isBuffer(key) || key instanceof Uint8Array) && !exact) {
+        buffer = Buffer.from(key);
+    } else {
+        buffer = rawKey(key);
+    }
+
+    if (exact ? buffer.length !== KEY_LENGTH : buffer.length < KEY_LENGTH) {
+        throw new CryptoError('ERR_BAD_KEY', exact
+            ? `Key must be exactly ${KEY_LENGTH} bytes`
+            : `HMAC keys must be at least ${KEY_LENGTH} bytes`);
+    }
+    return buffer;
+}
+
+/**
+ * Picks the JWS algorithm that fits a key.
+ *
+ * @param {Buffer|string|Object|crypto.KeyObject} key
+ * @returns {'HS256'|'ES256'|'EdDSA'}
+ */
+function algorithmFor(key) {
+    if (key instanceof crypto.KeyObject ? key.type === 'secret' : isSymmetric(key)) {
+        return 'HS256';
+    }
+    const keyObject = importKey(key);
+    switch (keyObject.asymmetricKeyType) {
+        case 'ec':
+            return 'ES256';
+        case 'ed25519':
+        case 'ed448':
+            return 'EdDSA';
+        default:
+            throw new CryptoError('ERR_BAD_KEY', `No JWS algorithm for a ${keyObject.asymmetricKeyType} key, use an HMAC secret, a P-256 key or an Ed25519 key`);
+    }
+}
+
+function isSymmetric(key) {
+    if (Buffer.isBuffer(key) || key instanceof Uint8Array) return true;
+    if (key && typeof key === 'object') return key.kty === 'oct';
+    return typeof key === 'string' && !key.includes('-----BEGIN') && !key.trim().startsWith('{');
+}
+
+function asymmetricKey(key, alg, type) {
+    let keyObject = importKey(key);
+    if (type === 'public' && keyObject.type === 'private') {
+        keyObject = crypto.createPublicKey(keyObject);
+    }
+    if (keyObject.type !== type) {
+        throw new CryptoError('ERR_BAD_KEY', `${alg} needs a ${type} key`);
+    }
+
+    const ok = alg === 'ES256'
+        ? keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1'
+        : keyObject.asymmetricKeyType === 'ed25519' || keyObject.asymmetricKeyType === 'ed448';
+    if (!ok) {
+        throw new CryptoError('ERR_BAD_KEY', `${alg} needs ${alg === 'ES256' ? 'a P-256' : 'an Ed25519 or Ed448'} key, got ${keyObject.asymmetricKeyDetails?.namedCurve || keyObject.asymmetricKeyType}`);
+    }
+    return keyObject;
+}
+
+function signature(alg, key, data) {
+    switch (alg) {
+        case 'HS256':
+            return crypto.createHmac('sha256', secretKey(key, false)).update(data).digest();
+        case 'ES256':
+            return crypto.sign('sha256', data, { key: asymmetricKey(key, alg, 'private'), dsaEncoding: 'ieee-p1363' });
+        case 'EdDSA':
+            return crypto.sign(null, data, asymmetricKey(key, alg, 'private'));
+        default:
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Unsupported JWS algorithm "${alg}". Available algorithms are: ${JWS_ALGORITHMS.join(', ')}`);
+    }
+}
+
+function signatureIsValid(alg, key, data, sig) {
+    switch (alg) {
+        case 'HS256': {
+            const expected = crypto.createHmac('sha256', secretKey(key, false)).update(data).digest();
+            return sig.length === expected.length && crypto.timingSafeEqual(sig, expected);
+        }
+        case 'ES256':
+        case 'EdDSA': {
+            const publicKey = asymmetricKey(key, alg, 'public');
+            try {
+                return alg === 'ES256'
+                    ? crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, sig)
+                    : crypto.verify(null, data, publicKey, sig);
+            } catch {
+                return false;
+            }
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Encrypts a payload into a compact JWE with A256GCM.
+ *
+ * @param {Buffer} payload
+ * @param {Buffer|string|Object|crypto.KeyObject} key - The 32-byte content key (`dir`)
+ *        or key-encryption key (`A256KW`).
+ * @param {Object} [options]
+ * @param {'dir'|'A256KW'} [options.alg='dir']
+ * @param {Object} [options.header] - Extra protected header parameters, such as `kid` or `cty`.
+ * @returns {string} The compact JWE.
+ */
+function encrypt(payload, key, { alg = 'dir', header = {} } = {}) {
+    if (!JWE_ALGORITHMS.includes(alg)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Unsupported JWE algorithm "${alg}". Available algorithms are: ${JWE_ALGORITHMS.join(', ')}`);
+    }
+
+    const kek = secretKey(key, true);
+    let cek = kek;
+    let encryptedKey = Buffer.alloc(0);
+    if (alg === 'A256KW') {
+        cek = crypto.randomBytes(KEY_LENGTH);
+        const wrap = crypto.createCipheriv('id-aes256-wrap', kek, KEY_WRAP_IV);
+        encryptedKey = Buffer.concat([wrap.update(cek), wrap.final()]);
+    }
+
+    const protectedHeader = encodeHeader({ ...header, alg, enc: JWE_ENCRYPTION });
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const gcm = crypto.createCipheriv('aes-256-gcm', cek, iv, { authTagLength: TAG_LENGTH });
+    gcm.setAAD(Buffer.from(protectedHeader, 'ascii'));
+    const ciphertext = Buffer.concat([gcm.update(payload), gcm.final()]);
+
+    return [protectedHeader, b64url(encryptedKey), b64url(iv), b64url(ciphertext), b64url(gcm.getAuthTag())].join('.');
+}
+
+/**
+ * Decrypts a compact JWE made with `dir` or `A256KW` and A256GCM.
+ *
+ * @param {string} token
+ * @param {Buffer|string|Object|crypto.KeyObject} key
+ * @param {Object} [options]
+ * @param {string[]} [options.algorithms=['dir', 'A256KW']] - The key management algorithms to accept.
+ * @returns {{ header: Object, payload: Buffer }}
+ */
+function decrypt(token, key, { algorithms = JWE_ALGORITHMS } = {}) {
+    const [headerSegment, keySegment, ivSegment, ciphertextSegment, tagSegment] = split(token, 5);
+    const header = decodeHeader(headerSegment);
+
+    if (!JWE_ALGORITHMS.includes(header.alg) || !algorithms.includes(header.alg)) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `JWE algorithm "${header.alg}" is not accepted`);
+    }
+    if (header.enc !== JWE_ENCRYPTION) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `JWE content encryption "${header.enc}" is not supported, only ${JWE_ENCRYPTION}`);
+    }
+    if (header.zip !== undefined) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'Compressed JWE payloads are not supported');
+    }
+
+    const encryptedKey = fromB64url(keySegment, 'encrypted key');
+    const iv = fromB64url(ivSegment, 'IV');
+    const tag = fromB64url(tagSegment, 'auth tag');
+    if (iv.length !== IV_LENGTH || tag.length !== TAG_LENGTH) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'JWE IV or auth tag has the wrong length');
+    }
+
+    const kek = secretKey(key, true);
+    let cek = kek;
+    if (header.alg === 'dir') {
+        if (encryptedKey.length !== 0) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'A "dir" JWE must have an empty encrypted key');
+        }
+    } else {
+        try {
+            const unwrap = crypto.createDecipheriv('id-aes256-wrap', kek, KEY_WRAP_IV);
+            cek = Buffer.concat([unwrap.update(encryptedKey), unwrap.final()]);
+        } catch {
+            throw new CryptoError('ERR_DECRYPT_AUTH', 'Unable to unwrap the JWE content key: wrong key or tampered token');
+        }
+        if (cek.length !== KEY_LENGTH) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'JWE content key has the wrong length');
+        }
+    }
+
+    const gcm = crypto.createDecipheriv('aes-256-gcm', cek, iv, { authTagLength: TAG_LENGTH });
+    gcm.setAAD(Buffer.from(headerSegment, 'ascii'));
+    gcm.setAuthTag(tag);
+    try {
+        const payload = Buffer.concat([gcm.update(fromB64url(ciphertextSegment, 'ciphertext')), gcm.final()]);
+        return { header, payload };
+    } catch {
+        throw new CryptoError('ERR_DECRYPT_AUTH', 'Unable to authenticate JWE: wrong key or tampered token');
+    }
+}
+
+/**
+ * Signs a payload into a compact JWS.
+ *
+ * @param {Buffer} payload
+ * @param {Buffer|string|Object|crypto.KeyObject} key - An HMAC secret, or a P-256 or Ed25519 private key.
+ * @param {Object} [options]
+ * @param {'HS256'|'ES256'|'EdDSA'} [options.alg] - Defaults to the algorithm that fits the key.
+ * @param {Object} [options.header] - Extra protected header parameters, such as `kid` or `typ`.
+ * @returns {string} The compact JWS.
+ */
+function sign(payload, key, { alg = algorithmFor(key), header = {} } = {}) {
+    const signingInput = `${encodeHeader({ ...header, alg })}.${b64url(payload)}`;
+    return `${signingInput}.${b64url(signature(alg, key, Buffer.from(signingInput, 'ascii')))}`;
+}
+
+/**
+ * Verifies a compact JWS. The header's `alg` must be one of `algorithms`, which defaults to
+ * the algorithm that fits the key, so a token cannot pick a weaker algorithm for itself.
+ *
+ * @param {string} token
+ * @param {Buffer|string|Object|crypto.KeyObject} key - The HMAC secret, or the signer's public key.
+ * @param {Object} [options]
+ * @param {string[]} [options.algorithms]
+ * @returns {{ header: Object, payload: Buffer }}
+ */
+function verify(token, key, { algorithms } = {}) {
+    const [headerSegment, payloadSegment, signatureSegment] = split(token, 3);
+    const header = decodeHeader(headerSegment);
+    const accepted = algorithms || [algorithmFor(key)];
+
+    if (!JWS_ALGORITHMS.includes(header.alg) || !accepted.includes(header.alg)) {
+        throw new CryptoError('ERR_BAD_SIGNATURE', `JWS algorithm "${header.alg}" is not accepted`);
+    }
+
+    const signingInput = Buffer.from(`${headerSegment}.${payloadSegment}`, 'ascii');
+    if (!signatureIsValid(header.alg, key, signingInput, fromB64url(signatureSegment, 'signature'))) {
+        throw new CryptoError('ERR_BAD_SIGNATURE', 'JWS signature is invalid: wrong key or tampered token');
+    }
+    return { header, payload: fromB64url(payloadSegment, 'payload') };
+}
+
+/**
+ * Signs a set of JWT claims. `iat` is set to now; relative lifetimes are in seconds.
+ *
+ * @param {Object} claims
+ * @param {Buffer|string|Object|crypto.KeyObject} key
+ * @param {Object} [options]
+ * @param {'HS256'|'ES256'|'EdDSA'} [options.alg]
+ * @param {number} [options.expiresIn] - Seconds until `exp`.
+ * @param {number} [options.notBefore] - Seconds until `nbf`.
+ * @param {string|string[]} [options.audience] - `aud`.
+ * @param {string} [options.issuer] - `iss`.
+ * @param {string} [options.subject] - `sub`.
+ * @param {Object} [options.header] - Extra protected header parameters.
+ * @returns {string} The JWT.
+ */
+function signJWT(claims, key, { alg, expiresIn, notBefore, audience, issuer, subject, header = {} } = {}) {
+    if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'JWT claims must be an object');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { iat: now, ...claims };
+    if (expiresIn !== undefined) payload.exp = now + expiresIn;
+    if (notBefore !== undefined) payload.nbf = now + notBefore;
+    if (audience !== undefined) payload.aud = audience;
+    if (issuer !== undefined) payload.iss = issuer;
+    if (subject !== undefined) payload.sub = subject;
+
+    const options = { header: { typ: 'JWT', ...header } };
+    if (alg !== undefined) options.alg = alg;
+    return sign(Buffer.from(JSON.stringify(payload), 'utf8'), key, options);
+}
+
+// A NumericDate as an ISO date, or as seconds when it is beyond what Date can hold
+function describeTime(seconds) {
+    const date = new Date(seconds * 1000);
+    return Number.isNaN(date.getTime()) ? `${seconds} seconds after the epoch` : date.toISOString();
+}
+
+/**
+ * Verifies a JWT's signature and its `exp`, `nbf`, `aud` and `iss` claims.
+ *
+ * A token with an `aud` claim is only accepted when `audience` names one of its values.
+ *
+ * @param {string} token
+ * @param {Buffer|string|Object|crypto.KeyObject} key
+ * @param {Object} [options]
+ * @param {string[]} [options.algorithms]
+ * @param {string|string[]} [options.audience] - The audience values this service answers to.
+ * @param {string|string[]} [options.issuer] - The accepted issuers.
+ * @param {number} [options.clockTolerance=0] - Seconds of clock skew to allow for `exp` and `nbf`.
+ * @param {number} [options.currentTime] - Seconds since the epoch, instead of now.
+ * @returns {Object} The claims.
+ */
+function verifyJWT(token, key, { algorithms, audience, issuer, clockTolerance = 0, currentTime } = {}) {
+    const { payload } = verify(token, key, { algorithms });
+
+    let claims;
+    try {
+        claims = JSON.parse(payload.toString('utf8'));
+    } catch {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'JWT payload is not valid JSON');
+    }
+    if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'JWT payload must be a JSON object');
+    }
+
+    const now = currentTime !== undefined ? currentTime : Math.floor(Date.now() / 1000);
+    for (const name of ['exp', 'nbf', 'iat']) {
+        // JSON.parse reads 1e400 as Infinity
+        if (claims[name] !== undefined && !Number.isFinite(claims[name])) {
+            throw new CryptoError('ERR_TOKEN_CLAIM', `JWT "${name}" claim must be a finite number`);
+        }
+    }
+    if (claims.exp !== undefined && now >= claims.exp + clockTolerance) {
+        throw new CryptoError('ERR_TOKEN_EXPIRED', `JWT expired at ${describeTime(claims.exp)}`);
+    }
+    if (claims.nbf !== undefined && now + clockTolerance < claims.nbf) {
+        throw new CryptoError('ERR_TOKEN_NOT_YET_VALID', `JWT is not valid before ${describeTime(claims.nbf)}`);
+    }
+
+    if (claims.aud !== undefined || audience !== undefined) {
+        const expected = [].concat(audience === undefined ? [] : audience);
+        const actual = [].concat(claims.aud === undefined ? [] : claims.aud);
+        if (!actual.some(value => expected.includes(value))) {
+            throw new CryptoError('ERR_TOKEN_CLAIM', audience === undefined
+                ? 'JWT has an audience, pass the audience option to accept it'
+                : `JWT audience ${JSON.stringify(claims.aud)} does not match`);
+        }
+    }
+    if (issuer !== undefined && ![].concat(issuer).includes(claims.iss)) {
+        throw new CryptoError('ERR_TOKEN_CLAIM', `JWT issuer ${JSON.stringify(claims.iss)} is not accepted`);
+    }
+
+    return claims;
+}
+
+module.exports = { JWE_ALGORITHMS, JWS_ALGORITHMS, encrypt, decrypt, sign, verify, signJWT, verifyJWT };
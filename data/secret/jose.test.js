@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jose = require('./jose');
+const { generateKeyPair } = require('./asymmetric');
+
+const secret = crypto.randomBytes(32);
+
+function b64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+test('JWS round trips with HS256, ES256 and EdDSA', () => {
+    const payload = Buffer.from('{"user":42}');
+    assert.deepEqual(jose.verify(jose.sign(payload, secret), secret).payload, payload);
+
+    for (const type of ['ecdsa', 'ed25519']) {
+        const { publicKey, privateKey } = generateKeyPair(type);
+        const { header, payload: verified } = jose.verify(jose.sign(payload, privateKey), publicKey);
+        assert.equal(header.alg, type === 'ecdsa' ? 'ES256' : 'EdDSA');
+        assert.deepEqual(verified, payload);
+    }
+});
+
+test('JWS verification only accepts the algorithm that fits the key', () => {
+    const payload = b64url({ user: 42 });
+
+    const unsigned = `${b64url({ alg: 'none' })}.${payload}.`;
+    assert.throws(() => jose.verify(unsigned, secret), { code: 'ERR_BAD_SIGNATURE' });
+    assert.throws(() => jose.verify(unsigned, secret, { algorithms: ['none'] }), { code: 'ERR_BAD_SIGNATURE' });
+
+    // An HS256 token "signed" with the public key an ES256 verifier holds
+    const { publicKey } = generateKeyPair('ecdsa');
+    const input = `${b64url({ alg: 'HS256' })}.${payload}`;
+    const forged = `${input}.${crypto.createHmac('sha256', publicKey).update(input).digest('base64url')}`;
+    assert.throws(() => jose.verify(forged, publicKey), { code: 'ERR_BAD_SIGNATURE' });
+
+    const token = jose.sign(Buffer.from('hi'), secret);
+    assert.throws(() => jose.verify(token, secret, { algorithms: ['ES256'] }), { code: 'ERR_BAD_SIGNATURE' });
+});
+
+test('JWS verification rejects tampered tokens and wrong keys', () => {
+    const token = jose.sign(Buffer.from('{"role":"user"}'), secret);
+    const [header, , signature] = token.split('.');
+
+    assert.throws(() => jose.verify(`${header}.${b64url({ role: 'admin' })}.${signature}`, secret), { code: 'ERR_BAD_SIGNATURE' });
+    assert.throws(() => jose.verify(token, crypto.randomBytes(32)), { code: 'ERR_BAD_SIGNATURE' });
+    assert.throws(() => jose.verify('not.a-token', secret), { code: 'ERR_BAD_ENVELOPE' });
+});
+
+test('verifyJWT checks exp and nbf against the current time and clock tolerance', () => {
+    const token = jose.signJWT({ sub: 'alice' }, secret, { expiresIn: 60, notBefore: 10 });
+    // exp and nbf count from the signing time, so read it back instead of the clock
+    const { iat: now } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url'));
+
+    assert.equal(jose.verifyJWT(token, secret, { currentTime: now + 30 }).sub, 'alice');
+    assert.throws(() => jose.verifyJWT(token, secret, { currentTime: now + 120 }), { code: 'ERR_TOKEN_EXPIRED' });
+    assert.throws(() => jose.verifyJWT(token, secret, { currentTime: now }), { code: 'ERR_TOKEN_NOT_YET_VALID' });
+    assert.equal(jose.verifyJWT(token, secret, { currentTime: now + 61, clockTolerance: 5 }).sub, 'alice');
+    assert.equal(jose.verifyJWT(token, secret, { currentTime: now + 5, clockTolerance: 5 }).sub, 'alice');
+
+    const badExp = jose.sign(Buffer.from(JSON.stringify({ exp: 'tomorrow' })), secret);
+    assert.throws(() => jose.verifyJWT(badExp, secret), { code: 'ERR_TOKEN_CLAIM' });
+    for (const claim of ['"exp":1e400', '"nbf":-1e400', '"iat":1e400']) {
+        assert.throws(() => jose.verifyJWT(jose.sign(Buffer.from(`{${claim}}`), secret), secret), { code: 'ERR_TOKEN_CLAIM' }, claim);
+    }
+});
+
+test('verifyJWT reports exp and nbf beyond the range of Date without a RangeError', () => {
+    const expired = jose.sign(Buffer.from(JSON.stringify({ exp: -1e17 })), secret);
+    assert.throws(() => jose.verifyJWT(expired, secret), { code: 'ERR_TOKEN_EXPIRED', message: /-100000000000000000 seconds after the epoch/ });
+
+    const future = jose.sign(Buffer.from(JSON.stringify({ nbf: 1e300 })), secret);
+    assert.throws(() => jose.verifyJWT(future, secret), { code: 'ERR_TOKEN_NOT_YET_VALID', message: /1e\+300 seconds after the epoch/ });
+
+    const soon = jose.sign(Buffer.from(JSON.stringify({ nbf: 4102444800 })), secret);
+    assert.throws(() => jose.verifyJWT(soon, secret), { message: /2100-01-01T00:00:00.000Z/ });
+});
+
+test('verifyJWT checks the audience and issuer', () => {
+    const token = jose.signJWT({}, secret, { audience: ['billing', 'reports'], issuer: 'auth' });
+
+    assert.deepEqual(jose.verifyJWT(token, secret, { audience: 'reports', issuer: ['auth'] }).aud, ['billing', 'reports']);
+    assert.throws(() => jose.verifyJWT(token, secret), { code: 'ERR_TOKEN_CLAIM' });
+    assert.throws(() => jose.verifyJWT(token, secret, { audience: 'admin' }), { code: 'ERR_TOKEN_CLAIM' });
+    assert.throws(() => jose.verifyJWT(token, secret, { audience: 'billing', issuer: 'other' }), { code: 'ERR_TOKEN_CLAIM' });
+});
+
+test('JWE round trips with dir and A256KW and rejects tampering', () => {
+    const payload = Buffer.from('{"user":42}');
+    for (const alg of ['dir', 'A256KW']) {
+        const token = jose.encrypt(payload, secret, { alg });
+        assert.deepEqual(jose.decrypt(token, secret).payload, payload);
+
+        const parts = token.split('.');
+        const ciphertext = Buffer.from(parts[3], 'base64url');
+        ciphertext[0] ^= 1;
+        parts[3] = ciphertext.toString('base64url');
+        assert.throws(() => jose.decrypt(parts.join('.'), secret), { code: 'ERR_DECRYPT_AUTH' });
+        assert.throws(() => jose.decrypt(token, crypto.randomBytes(32)), { code: 'ERR_DECRYPT_AUTH' });
+    }
+
+    const wrapped = jose.encrypt(payload, secret, { alg: 'A256KW' });
+    assert.throws(() => jose.decrypt(wrapped, secret, { algorithms: ['dir'] }), { code: 'ERR_BAD_ENVELOPE' });
+});
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { EncPrimeError, CryptoError } = require('../../errors');
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+
+// Cost parameters used when the caller does not pass their own
+const KDF_DEFAULTS = {
+    scrypt: { N: 2 ** 15, r: 8, p: 1 },
+    pbkdf2: { iterations: 600000, digest: 'sha256' },
+};
+
+// Highest cost parameters accepted. Envelope headers and stored password hashes carry
+// their own parameters, so without a cap whoever wrote them decides how long we hash.
+const KDF_LIMITS = {
+    scrypt: { N: 2 ** 20, r: 32, p: 16 },
+    pbkdf2: { iterations: 10000000, digests: ['sha256', 'sha512'] },
+};
+
+function isIntegerUpTo(value, max) {
+    return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+/**
+ * Checks KDF cost parameters against KDF_LIMITS.
+ *
+ * @param {'scrypt'|'pbkdf2'} name
+ * @param {Object} params - `{ N, r, p }` for scrypt, `{ iterations, digest }` for PBKDF2.
+ * @returns {string|null} Why the parameters are refused, or null if they are usable.
+ */
+function kdfProblem(name, { N, r, p, iterations, digest }) {
+    if (name === 'scrypt') {
+        const limits = KDF_LIMITS.scrypt;
+        if (!isIntegerUpTo(N, limits.N) || N < 2 || (N & (N - 1)) !== 0) {
+            return `scrypt N must be a power of two from 2 to 2^${Math.log2(limits.N)}`;
+        }
+        if (!isIntegerUpTo(r, limits.r)) return `scrypt r must be an integer from 1 to ${limits.r}`;
+        if (!isIntegerUpTo(p, limits.p)) return `scrypt p must be an integer from 1 to ${limits.p}`;
+        // RFC 7914 requires N < 2^(16 * r); OpenSSL reports it as a memory limit error
+        if (Math.log2(N) >= 16 * r) return `scrypt N must be below 2^${16 * r} when r is ${r}`;
+        return null;
+    }
+
+    const limits = KDF_LIMITS.pbkdf2;
+    if (!isIntegerUpTo(iterations, limits.iterations)) {
+        return `PBKDF2 iterations must be an integer from 1 to ${limits.iterations}`;
+    }
+    if (!limits.digests.includes(digest)) return `PBKDF2 digest must be one of ${limits.digests.join(', ')}`;
+    return null;
+}
+
+/**
+ * The scrypt memory limit for the given parameters, with room to spare over the
+ * 128 * r * (N + p) bytes scrypt allocates.
+ *
+ * @param {{ N: number, r: number, p: number }} params
+ * @returns {number}
+ */
+function scryptMaxmem({ N, r, p }) {
+    return 128 * N * r * (p + 1) + 1024 * 1024;
+}
+
+// Prefixes that name the encoding of a string key, and the characters each allows
+const KEY_ENCODINGS = {
+    hex: /^[0-9a-f]*$/i,
+    base64: /^[A-Za-z0-9+/]*={0,2}$/,
+    base64url: /^[A-Za-z0-9_-]*$/,
+};
+
+// Reads "<encoding>:<key>", or 64 hex characters without a prefix. Anything else is not a raw key.
+function decodeKeyString(key) {
+    const separator = key.indexOf(':');
+    const encoding = separator === -1 ? 'hex' : key.slice(0, separator);
+    const text = separator === -1 ? key : key.slice(separator + 1);
+    if (!Object.hasOwn(KEY_ENCODINGS, encoding) || !KEY_ENCODINGS[encoding].test(text)) return null;
+    if (separator === -1 && text.length !== KEY_LENGTH * 2) return null;
+    return Buffer.from(text, encoding);
+}
+
+/**
+ * Validates raw key material. Accepts exactly 32 bytes as a Buffer/Uint8Array, a string of
+ * 64 hex characters, or a string that names its encoding: `hex:…`, `base64:…` or `base64url:…`.
+ * Strings are never guessed to be base64, so a password cannot pass for a key.
+ *
+ * @param {Buffer|Uint8Array|string} key
+ * @returns {Buffer} The 32-byte key.
+ * @throws {CryptoError} `ERR_BAD_KEY` if the key is not exactly 32 bytes in one of those forms.
+ */
+function rawKey(key) {
+    let buffer = null;
+    if (Buffer.isBuffer(key) || key instanceof Uint8Array) {
+        buffer = Buffer.from(key);
+    } else if (typeof key === 'string') {
+        buffer = decodeKeyString(key);
+    }
+
+    if (!buffer || buffer.length !== KEY_LENGTH) {
+        throw new CryptoError('ERR_BAD_KEY', `Raw keys must be exactly ${KEY_LENGTH} bytes: a Buffer, 64 hex characters, or a string prefixed with its encoding ("base64:", "base64url:" or "hex:"). Use the passphrase option for passwords.`);
+    }
+    return buffer;
+}
+
+/**
+ * Builds the KDF description for a new message, with a fresh random salt.
+ *
+ * @param {'scrypt'|'pbkdf2'} [name='scrypt']
+ * @param {Object} [params] - Cost parameters overriding KDF_DEFAULTS, within KDF_LIMITS.
+ * @returns {Object} The description stored in the envelope header.
+ * @throws {EncPrimeError} `ERR_INVALID_OPTION` for unknown KDFs and parameters outside KDF_LIMITS.
+ */
+function createKdf(name = 'scrypt', params = {}) {
+    if (!Object.hasOwn(KDF_DEFAULTS, name)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown KDF "${name}". Available KDFs are: ${Object.keys(KDF_DEFAULTS).join(', ')}`);
+    }
+    const kdf = { name, ...KDF_DEFAULTS[name], ...params };
+    const problem = kdfProblem(name, kdf);
+    if (problem) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', problem);
+    }
+    return { ...kdf, salt: crypto.randomBytes(SALT_LENGTH).toString('base64') };
+}
+
+/**
+ * Derives a 32-byte key from a passphrase with the KDF recorded in an envelope header.
+ *
+ * @param {string|Buffer} passphrase
+ * @param {Object} kdf - A description produced by createKdf.
+ * @returns {Buffer}
+ * @throws {CryptoError} `ERR_BAD_ENVELOPE` if the description names an unknown KDF, has no salt,
+ *         has parameters outside KDF_LIMITS, or the KDF fails; `ERR_BAD_KEY` if the passphrase is not
+ *         a string or a Buffer.
+ */
+function deriveKey(passphrase, kdf) {
+    if (!Object.hasOwn(KDF_DEFAULTS, kdf.name)) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Unknown KDF "${kdf.name}"`);
+    }
+    const salt = Buffer.from(typeof kdf.salt === 'string' ? kdf.salt : '', 'base64');
+    if (salt.length === 0) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', 'KDF salt is missing');
+    }
+    const problem = kdfProblem(kdf.name, kdf);
+    if (problem) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Refusing envelope KDF parameters: ${problem}`);
+    }
+    if (typeof passphrase !== 'string' && !(passphrase instanceof Uint8Array)) {
+        throw new CryptoError('ERR_BAD_KEY', 'The passphrase must be a string or a Buffer');
+    }
+
+    try {
+        if (kdf.name === 'scrypt') {
+            return crypto.scryptSync(passphrase, salt, KEY_LENGTH, {
+                N: kdf.N,
+                r: kdf.r,
+                p: kdf.p,
+                maxmem: scryptMaxmem(kdf),
+            });
+        }
+        return crypto.pbkdf2Sync(passphrase, salt, kdf.iterations, KEY_LENGTH, kdf.digest);
+    } catch (error) {
+        throw new CryptoError('ERR_BAD_ENVELOPE', `Key derivation with ${kdf.name} failed`, { cause: error });
+    }
+}
+
+/**
+ * Picks the key to encrypt with from the caller's options.
+ *
+ * @param {Object} options - `{ key }` for a raw key, `{ passphrase, kdf, kdfOptions }`, or `{ keyring }`.
+ * @returns {{ key: Buffer, header: Object }} The key and the header fields needed to find it again.
+ */
+function resolveEncryptKey({ key, passphrase, kdf, kdfOptions, keyring }) {
+    const given = [key, passphrase, keyring].filter(option => option !== undefined).length;
+    if (given > 1) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'Pass only one of key, passphrase or keyring');
+    }
+
+    if (keyring !== undefined) {
+        const { id, key: current } = keyring.current();
+        return { key: current, header: { kid: id } };
+    }
+    if (passphrase !== undefined) {
+        const description = createKdf(kdf, kdfOptions);
+        return { key: deriveKey(passphrase, description), header: { kdf: description } };
+    }
+    if (key === undefined) {
+        throw new CryptoError('ERR_BAD_KEY', 'A key, a passphrase or a keyring is required');
+    }
+    return { key: rawKey(key), header: {} };
+}
+
+/**
+ * Picks the key to decrypt an envelope with from the caller's options.
+ *
+ * @param {Object} options - `{ key }`, `{ passphrase }` or `{ keyring }`.
+ * @param {Object} header - The envelope header.
+ * @returns {Buffer}
+ */
+function resolveDecryptKey({ key, passphrase, keyring }, header) {
+    if (header.kdf) {
+        if (passphrase === undefined) {
+            throw new CryptoError('ERR_BAD_KEY', 'This ciphertext was encrypted with a passphrase, pass it as the passphrase option');
+        }
+        return deriveKey(passphrase, header.kdf);
+    }
+    if (keyring !== undefined) {
+        if (header.kid === undefined) {
+            throw new CryptoError('ERR_BAD_KEY', 'This ciphertext has no key ID, pass its key as the key option');
+        }
+        return keyring.get(header.kid);
+    }
+    if (key === undefined) {
+        throw new CryptoError('ERR_BAD_KEY', header.kid === undefined
+            ? 'This ciphertext was encrypted with a raw key, pass it as the key option'
+            : `This ciphertext was encrypted with key "${header.kid}", pass it as the key option or pass a keyring`);
+    }
+    return rawKey(key);
+}
+
+/**
+ * The key derivation used by the legacy "iv:cipher" format: the key string truncated to 32 bytes.
+ *
+ * @param {string|Buffer} key
+ * @returns {Buffer}
+ */
+function legacyKey(key) {
+    if (key === undefined) {
+        throw new CryptoError('ERR_BAD_KEY', 'Legacy "iv:cipher" ciphertext has no key ID, pass its key as the key option');
+    }
+    return Buffer.from(key).subarray(0, KEY_LENGTH);
+}
+
+module.exports = {
+    KEY_LENGTH,
+    KDF_DEFAULTS,
+    KDF_LIMITS,
+    kdfProblem,
+    scryptMaxmem,
+    rawKey,
+    createKdf,
+    deriveKey,
+    resolveEncryptKey,
+    resolveDecryptKey,
+    legacyKey,
+};
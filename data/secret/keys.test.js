@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const keys = require('./keys');
+const Encrypt = require('../encrypt');
+const envelope = require('./envelope');
+
+const encryptor = new Encrypt();
+
+// A passphrase envelope whose header KDF parameters are replaced by `kdf`
+function withKdf(kdf) {
+    const sealed = encryptor.aes('secret', { passphrase: 'hunter2', kdfOptions: { N: 2 ** 10 }, encoding: 'buffer' });
+    const { header, body } = envelope.unpack(sealed);
+    return envelope.pack({ ...header, kdf: { ...header.kdf, ...kdf } }, body);
+}
+
+
+test('rawKey accepts exactly 32 bytes in every supported form', () => {
+    const bytes = crypto.randomBytes(keys.KEY_LENGTH);
+    for (const form of [
+        bytes, new Uint8Array(bytes), bytes.toString('hex'), `hex:${bytes.toString('hex')}`,
+        `base64:${bytes.toString('base64')}`, `base64url:${bytes.toString('base64url')}`,
+    ]) {
+        assert.deepEqual(keys.rawKey(form), bytes);
+    }
+});
+
+test('rawKey rejects passwords and keys of the wrong length', () => {
+    for (const key of ['password', 'x'.repeat(32), crypto.randomBytes(16), crypto.randomBytes(31).toString('hex'), 42]) {
+        assert.throws(() => keys.rawKey(key), { code: 'ERR_BAD_KEY' });
+    }
+});
+
+test('rawKey never guesses that a string is base64', () => {
+    const bytes = crypto.randomBytes(keys.KEY_LENGTH);
+    // 43 or 44 letters and digits look like base64 but may well be a password
+    for (const key of [bytes.toString('base64'), bytes.toString('base64url'), 'CorrectHorseBatteryStapleCorrectHorseBatter']) {
+        assert.throws(() => keys.rawKey(key), { code: 'ERR_BAD_KEY' });
+    }
+    for (const key of ['base64:not base64!', `base64url:${bytes.toString('base64')}+`, `rot13:${bytes.toString('hex')}`, `hex:${bytes.toString('base64')}`]) {
+        assert.throws(() => keys.rawKey(key), { code: 'ERR_BAD_KEY' });
+    }
+});
+
+test('createKdf fills in defaults and a fresh salt', () => {
+    const first = keys.createKdf();
+    assert.equal(first.name, 'scrypt');
+    assert.equal(first.N, keys.KDF_DEFAULTS.scrypt.N);
+    assert.notEqual(first.salt, keys.createKdf().salt);
+
+    assert.equal(keys.createKdf('pbkdf2', { iterations: 1000 }).iterations, 1000);
+    assert.throws(() => keys.createKdf('md5'), /Unknown KDF/);
+});
+
+test('deriveKey is deterministic for a given passphrase and description', () => {
+    for (const description of [keys.createKdf('scrypt', { N: 1024 }), keys.createKdf('pbkdf2', { iterations: 1000 })]) {
+        const derived = keys.deriveKey('passphrase', description);
+        assert.equal(derived.length, keys.KEY_LENGTH);
+        assert.deepEqual(keys.deriveKey('passphrase', description), derived);
+        assert.notDeepEqual(keys.deriveKey('passphrasf', description), derived);
+    }
+    assert.throws(() => keys.deriveKey('passphrase', { name: 'scrypt', N: 1024, r: 8, p: 1 }), /salt/);
+});
+
+test('resolveEncryptKey takes either a key or a passphrase', () => {
+    const key = crypto.randomBytes(keys.KEY_LENGTH);
+    assert.deepEqual(keys.resolveEncryptKey({ key }), { key, header: {} });
+    assert.equal(keys.resolveEncryptKey({ passphrase: 'pw', kdfOptions: { N: 1024 } }).header.kdf.name, 'scrypt');
+    assert.throws(() => keys.resolveEncryptKey({ key, passphrase: 'pw' }), /only one/);
+    assert.throws(() => keys.resolveEncryptKey({}), /required/);
+});
+
+test('createKdf accepts parameters up to the limits', () => {
+    assert.equal(keys.createKdf('scrypt', { N: 2 ** 20, r: 32, p: 16 }).N, 2 ** 20);
+    assert.equal(keys.createKdf('pbkdf2', { iterations: 10000000, digest: 'sha512' }).digest, 'sha512');
+});
+
+test('createKdf refuses parameters outside the limits with ERR_INVALID_OPTION', () => {
+    const refused = [
+        ['scrypt', { N: 2 ** 21 }],
+        ['scrypt', { N: 3000 }],
+        ['scrypt', { N: 1 }],
+        ['scrypt', { r: 33 }],
+        ['scrypt', { r: 0 }],
+        ['scrypt', { p: 17 }],
+        ['scrypt', { N: 2 ** 16, r: 1 }],
+        ['pbkdf2', { iterations: 10000001 }],
+        ['pbkdf2', { iterations: 1.5 }],
+        ['pbkdf2', { digest: 'md5' }],
+        ['toString', {}],
+    ];
+    for (const [name, params] of refused) {
+        assert.throws(() => keys.createKdf(name, params), { code: 'ERR_INVALID_OPTION' }, `${name} ${JSON.stringify(params)}`);
+    }
+});
+
+test('scrypt with a small block size derives within its memory limit', () => {
+    for (const kdfOptions of [{ N: 2 ** 15, r: 1 }, { N: 2 ** 16, r: 2 }, { N: 2 ** 10, r: 1, p: 16 }]) {
+        const sealed = encryptor.aes('secret', { passphrase: 'hunter2', kdfOptions });
+        assert.equal(encryptor.aes(sealed, { passphrase: 'hunter2', reverse: true }), 'secret');
+    }
+});
+
+test('decryption refuses envelope KDF parameters outside the limits with ERR_BAD_ENVELOPE', () => {
+    const crafted = [
+        { N: 2 ** 30 },
+        { N: 2 ** 16, r: 1 },
+        { N: 1000 },
+        { r: 1000 },
+        { p: 2 ** 20 },
+        { N: '1024' },
+        { name: 'pbkdf2', iterations: 2 ** 31, digest: 'sha256' },
+        { name: 'pbkdf2', iterations: 1000, digest: 'sha1' },
+        { name: 'argon2' },
+        { name: 'constructor' },
+        { salt: '' },
+    ];
+    for (const kdf of crafted) {
+        assert.throws(
+            () => encryptor.aes(withKdf(kdf), { passphrase: 'hunter2', reverse: true }),
+            { code: 'ERR_BAD_ENVELOPE' },
+            JSON.stringify(kdf),
+        );
+    }
+});
+
+test('deriveKey derives 32 bytes and refuses passphrases that are not strings or bytes', () => {
+    const kdf = keys.createKdf('scrypt', { N: 2 ** 10 });
+    assert.equal(keys.deriveKey('hunter2', kdf).length, keys.KEY_LENGTH);
+    assert.throws(() => keys.deriveKey(42, kdf), { code: 'ERR_BAD_KEY' });
+});
+
+test('scryptMaxmem covers what scrypt allocates', () => {
+    for (const [N, r, p] of [[2 ** 20, 32, 16], [2 ** 15, 1, 1], [2, 1, 16]]) {
+        assert.ok(keys.scryptMaxmem({ N, r, p }) >= 128 * r * (N + p + 2));
+    }
+});
@@ -0,0 +1,125 @@
+// Express middleware for encPrime-encrypted request and response bodies
+// ---------------------------------------------------------
+// Requests with the encPrime content type are read as text, decrypted and parsed
+// as JSON into req.body. res.json() on the same routes sends encrypted JSON back.
+// Only envelopes in an allowed AEAD mode are decrypted, and every body that fails to
+// decrypt or parse gets the same 400 answer: telling a CBC padding error apart from a
+// bad tag or bad JSON would hand clients a decryption oracle.
+
+const express = require('express');
+const cipher = require('./cipher');
+const envelope = require('./envelope');
+const { EncPrimeError } = require('../../errors');
+
+const CONTENT_TYPE = 'application/x-encprime';
+const DEFAULT_MODES = ['gcm', 'chacha20-poly1305'];
+const REJECTED = { code: 'ERR_BAD_ENVELOPE', message: 'Encrypted body could not be decrypted' };
+
+function routeMatches(routes, req) {
+    if (routes === undefined) return true;
+
+    const path = req.baseUrl + req.path;
+    return [].concat(routes).some(route => {
+        if (typeof route === 'function') return route(req);
+        if (route instanceof RegExp) return route.test(path);
+        const prefix = String(route).replace(/\/+$/, '');
+        return path === prefix || path.startsWith(prefix + '/') || prefix === '';
+    });
+}
+
+// The cipher algorithms of `modes`, which must all be authenticated
+function allowedAlgorithms(modes) {
+    const names = [].concat(modes);
+    if (names.length === 0) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'modes must list at least one authenticated mode');
+    }
+    return new Set(names.map(name => {
+        const mode = cipher.getMode(name);
+        if (!mode.authenticated) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `The middleware only accepts authenticated modes, "${name}" is not one`);
+        }
+        return mode.algorithm;
+    }));
+}
+
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined
+        || (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+}
+
+/**
+ * Builds the middleware returned by `Encrypt.middleware`.
+ *
+ * @param {Encrypt} encryptor - Used for `aes`.
+ * @param {Object} options - See `Encrypt.middleware`.
+ * @returns {Function} An Express middleware.
+ */
+function createMiddleware(encryptor, {
+    routes,
+    contentType = CONTENT_TYPE,
+    limit = '1mb',
+    encoding = 'base64',
+    required = false,
+    modes = DEFAULT_MODES,
+    mode,
+    ...keyOptions
+} = {}) {
+    if (mode !== undefined) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'Pass modes instead of mode: responses use the first of them');
+    }
+    const algorithms = allowedAlgorithms(modes);
+    const responseMode = [].concat(modes)[0];
+    const readBody = express.text({ type: contentType, limit });
+    // Fail at setup, not on the first request, if the key options are unusable
+    encryptor.aes('', { ...keyOptions, mode: responseMode });
+
+    return function encPrimeMiddleware(req, res, next) {
+        if (!routeMatches(routes, req)) {
+            next();
+            return;
+        }
+
+        const sendPlain = res.json.bind(res);
+        res.json = (body) => {
+            const sealed = encryptor.aes(JSON.stringify(body === undefined ? null : body), { ...keyOptions, mode: responseMode, encoding });
+            res.type(contentType);
+            return res.send(sealed);
+        };
+
+        const reject = (code, message) => {
+            res.status(400);
+            sendPlain({ error: 'Bad Request', code, message });
+        };
+
+        readBody(req, res, (error) => {
+            if (error) {
+                next(error);
+                return;
+            }
+
+            if (typeof req.body !== 'string') {
+                if (required && hasBody(req)) {
+                    reject('ERR_BAD_ENVELOPE', `Request body must be encrypted and sent as ${contentType}`);
+                    return;
+                }
+                next();
+                return;
+            }
+
+            try {
+                // Legacy "iv:cipher" text and envelopes in other modes never reach the cipher
+                const header = envelope.isLegacy(req.body) ? null : envelope.unpack(envelope.decode(req.body)).header;
+                if (!header || !algorithms.has(header.alg)) {
+                    throw new EncPrimeError(REJECTED.code, REJECTED.message);
+                }
+                req.body = JSON.parse(encryptor.aes(req.body, { ...keyOptions, reverse: true }));
+            } catch {
+                reject(REJECTED.code, REJECTED.message);
+                return;
+            }
+            next();
+        });
+    };
+}
+
+module.exports = { CONTENT_TYPE, createMiddleware };
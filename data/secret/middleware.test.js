@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const Encrypt = require('../encrypt');
+const envelope = require('./envelope');
+const { CONTENT_TYPE, createMiddleware } = require('./middleware');
+
+const encryptor = new Encrypt();
+const key = encryptor.generateKey();
+// Every decrypt or parse failure gets this exact body
+const REJECTED = { error: 'Bad Request', code: 'ERR_BAD_ENVELOPE', message: 'Encrypted body could not be decrypted' };
+
+// Starts an app that echoes req.body through the middleware and returns a `post(body)` helper
+async function serve(t, middleware, path = '/echo') {
+    const app = express();
+    app.use(middleware);
+    app.post(path, (req, res) => res.json({ received: req.body }));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const url = `http://127.0.0.1:${server.address().port}${path}`;
+    return async (body, contentType = CONTENT_TYPE) => {
+        const response = await fetch(url, { method: 'POST', headers: { 'content-type': contentType }, body });
+        return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+    };
+}
+
+test('decrypts request bodies and encrypts responses', async (t) => {
+    const post = await serve(t, encryptor.middleware({ key }));
+
+    const response = await post(encryptor.aes(JSON.stringify({ user: 42 }), { key, encoding: 'base64' }));
+    assert.equal(response.status, 200);
+    assert.ok(response.type.startsWith(CONTENT_TYPE));
+    assert.deepEqual(JSON.parse(encryptor.aes(response.text, { key, reverse: true })), { received: { user: 42 } });
+});
+
+test('answers tampered bodies and bodies that are not JSON the same way', async (t) => {
+    const post = await serve(t, encryptor.middleware({ key }));
+
+    const sealed = encryptor.aes('{"user":42}', { key, encoding: 'buffer' });
+    sealed[sealed.length - 1] ^= 1;
+    const tampered = await post(sealed.toString('base64'));
+    assert.equal(tampered.status, 400);
+    assert.deepEqual(JSON.parse(tampered.text), REJECTED);
+
+    const notJson = await post(encryptor.aes('not json', { key, encoding: 'base64' }));
+    assert.equal(notJson.status, 400);
+    assert.deepEqual(JSON.parse(notJson.text), REJECTED);
+});
+
+test('refuses CBC and legacy bodies without decrypting them', async (t) => {
+    const post = await serve(t, encryptor.middleware({ key }));
+
+    // A good and a bad padding must look the same from outside
+    const cbc = encryptor.aes('{"user":42}', { key, mode: 'cbc', encoding: 'buffer' });
+    const badPadding = Buffer.from(cbc);
+    badPadding[badPadding.length - 1] ^= 1;
+    for (const body of [cbc.toString('base64'), badPadding.toString('base64'), '00112233445566778899aabbccddeeff:00112233445566778899aabbccddeeff']) {
+        const response = await post(body);
+        assert.equal(response.status, 400);
+        assert.deepEqual(JSON.parse(response.text), REJECTED);
+    }
+});
+
+test('accepts only the listed modes and answers in the first one', async (t) => {
+    const post = await serve(t, encryptor.middleware({ key, modes: ['chacha20-poly1305'] }));
+
+    assert.deepEqual(JSON.parse((await post(encryptor.aes('{}', { key, mode: 'gcm', encoding: 'base64' }))).text), REJECTED);
+
+    const response = await post(encryptor.aes('{"user":42}', { key, mode: 'chacha20-poly1305', encoding: 'base64' }));
+    assert.equal(response.status, 200);
+    assert.equal(envelope.unpack(Buffer.from(response.text, 'base64')).header.alg, 'chacha20-poly1305');
+});
+test('refuses request KDF parameters above the cap', async (t) => {
+    const passphrase = 'hunter2';
+    const post = await serve(t, encryptor.middleware({ passphrase, kdfOptions: { N: 2 ** 10 } }));
+
+    const sealed = encryptor.aes('{}', { passphrase, kdfOptions: { N: 2 ** 10 }, encoding: 'buffer' });
+    const { header, body } = envelope.unpack(sealed);
+    const costly = envelope.pack({ ...header, kdf: { ...header.kdf, N: 2 ** 30 } }, body);
+
+    const response = await post(costly.toString('base64'));
+    assert.equal(response.status, 400);
+    assert.deepEqual(JSON.parse(response.text), REJECTED);
+});
+
+test('does not send details of errors that are not EncPrimeErrors', async (t) => {
+    const failing = {
+        aes: (text, { reverse }) => {
+            if (reverse) throw Object.assign(new Error('internal'), { code: 'ERR_OSSL_EVP_BAD_DECRYPT' });
+            return text;
+        },
+    };
+    const post = await serve(t, createMiddleware(failing, {}));
+
+    const response = await post(encryptor.aes('{}', { key, encoding: 'base64' }));
+    assert.equal(response.status, 400);
+    assert.deepEqual(JSON.parse(response.text), REJECTED);
+});
+test('rejects plain bodies only when encryption is required', async (t) => {
+    const optional = await serve(t, encryptor.middleware({ key }));
+    assert.equal((await optional('{"user":42}', 'application/json')).status, 200);
+
+    const required = await serve(t, encryptor.middleware({ key, required: true }));
+    const response = await required('{"user":42}', 'application/json');
+    assert.equal(response.status, 400);
+    assert.equal(JSON.parse(response.text).code, 'ERR_BAD_ENVELOPE');
+});
+
+test('leaves routes outside `routes` alone', async (t) => {
+    const post = await serve(t, encryptor.middleware({ key, routes: ['/api/secure'], required: true }), '/public');
+    const response = await post('{"user":42}', 'application/json');
+    assert.equal(response.status, 200);
+    assert.ok(response.type.startsWith('application/json'));
+});
+
+test('fails at setup when the key or mode options are unusable', () => {
+    assert.throws(() => encryptor.middleware({}), { code: 'ERR_BAD_KEY' });
+    assert.throws(() => encryptor.middleware({ key: 'too short' }), { code: 'ERR_BAD_KEY' });
+    for (const options of [{ modes: [] }, { modes: ['cbc'] }, { modes: ['gcm', 'cbc'] }, { modes: ['ecb'] }, { mode: 'gcm' }]) {
+        assert.throws(() => encryptor.middleware({ key, ...options }), { code: 'ERR_INVALID_OPTION' }, JSON.stringify(options));
+    }
+});
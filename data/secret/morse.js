@@ -0,0 +1,405 @@
+// Morse code tables, codec, timing decoder and WAV rendering
+// ---------------------------------------------------------
+// Letters are separated by one space and words by " / " (or three spaces).
+// Prosigns are written as <SK>, <AR>, ... and sent without letter gaps.
+
+const { EncPrimeError } = require('../../errors');
+
+const ALPHABETS = {
+    latin: {
+        A: ".-", B: "-...", C: "-.-.", D: "-..", E: ".", F: "..-.", G: "--.", H: "....",
+        I: "..", J: ".---", K: "-.-", L: ".-..", M: "--", N: "-.", O: "---", P: ".--.",
+        Q: "--.-", R: ".-.", S: "...", T: "-", U: "..-", V: "...-", W: ".--", X: "-..-",
+        Y: "-.--", Z: "--..",
+    },
+    arabic: {
+        "ا": ".-", "ب": "-...", "ت": "-", "ث": "-.-.", "ج": ".---", "ح": "....", "خ": "---",
+        "د": "-..", "ذ": "--..", "ر": ".-.", "ز": "---.", "س": "...", "ش": "----", "ص": "-..-",
+        "ض": "...-", "ط": "..-", "ظ": "-.--", "ع": ".-.-", "غ": "--.", "ف": "..-.", "ق": "--.-",
+        "ك": "-.-", "ل": ".-..", "م": "--", "ن": "-.", "ه": "..-..", "و": ".--", "ي": "..",
+        "ء": ".",
+    },
+    cyrillic: {
+        "А": ".-", "Б": "-...", "В": ".--", "Г": "--.", "Д": "-..", "Е": ".", "Ж": "...-",
+        "З": "--..", "И": "..", "Й": ".---", "К": "-.-", "Л": ".-..", "М": "--", "Н": "-.",
+        "О": "---", "П": ".--.", "Р": ".-.", "С": "...", "Т": "-", "У": "..-", "Ф": "..-.",
+        "Х": "....", "Ц": "-.-.", "Ч": "---.", "Ш": "----", "Щ": "--.-", "Ъ": "--.--", "Ы": "-.--",
+        "Ь": "-..-", "Э": "..-..", "Ю": "..--", "Я": ".-.-",
+    },
+    greek: {
+        "Α": ".-", "Β": "-...", "Γ": "--.", "Δ": "-..", "Ε": ".", "Ζ": "--..", "Η": "....",
+        "Θ": "-.-.", "Ι": "..", "Κ": "-.-", "Λ": ".-..", "Μ": "--", "Ν": "-.", "Ξ": "-..-",
+        "Ο": "---", "Π": ".--.", "Ρ": ".-.", "Σ": "...", "Τ": "-", "Υ": "-.--", "Φ": "..-.",
+        "Χ": "----", "Ψ": "--.-", "Ω": ".--",
+    },
+};
+
+// Shared by every alphabet
+const SYMBOLS = {
+    "1": ".----", "2": "..---", "3": "...--", "4": "....-", "5": ".....",
+    "6": "-....", "7": "--...", "8": "---..", "9": "----.", "0": "-----",
+    ".": ".-.-.-", ",": "--..--", "?": "..--..", "'": ".----.", "!": "-.-.--",
+    "/": "-..-.", "(": "-.--.", ")": "-.--.-", "&": ".-...", ":": "---...",
+    ";": "-.-.-.", "=": "-...-", "+": ".-.-.", "-": "-....-", _: "..--.-",
+    '"': ".-..-.", $: "...-..-", "@": ".--.-.",
+};
+
+// Decoded as prosigns only where no character has the same code
+const PROSIGNS = {
+    "<AR>": ".-.-.", "<AS>": ".-...", "<BT>": "-...-", "<CT>": "-.-.-", "<KN>": "-.--.",
+    "<SK>": "...-.-", "<SN>": "...-.", "<SOS>": "...---...", "<HH>": "........",
+};
+
+// Encode-only spellings that share a code with another character
+const ALIASES = {
+    "Ё": "Е", "Ά": "Α", "Έ": "Ε", "Ή": "Η", "Ί": "Ι", "Ό": "Ο", "Ύ": "Υ", "Ώ": "Ω",
+    "أ": "ا", "إ": "ا", "آ": "ا", "ة": "ه", "ى": "ي",
+    "٠": "0", "١": "1", "٢": "2", "٣": "3", "٤": "4", "٥": "5", "٦": "6", "٧": "7", "٨": "8", "٩": "9",
+};
+
+const REPLACEMENT = "�";
+const tables = new Map();
+
+/**
+ * Builds (and caches) the encode and decode lookups for an alphabet option.
+ *
+ * @param {string|Object|Array<string|Object>} alphabet - Alphabet names from ALPHABETS, custom
+ *        `{ char: code }` tables, or a list of them. Earlier entries win on conflicts.
+ * @returns {{ encode: Map<string, string>, decode: Map<string, string> }}
+ */
+function table(alphabet = 'latin') {
+    const key = typeof alphabet === 'string' ? alphabet : null;
+    if (key && tables.has(key)) return tables.get(key);
+
+    const encode = new Map();
+    const decode = new Map();
+    const add = (char, code) => {
+        if (!encode.has(char)) encode.set(char, code);
+        if (!decode.has(code)) decode.set(code, char);
+    };
+
+    for (const entry of [].concat(alphabet)) {
+        const letters = typeof entry === 'string' ? ALPHABETS[entry] : entry;
+        if (!letters || typeof letters !== 'object') {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown Morse alphabet "${entry}". Available alphabets are: ${Object.keys(ALPHABETS).join(', ')}`);
+        }
+        for (const [char, code] of Object.entries(letters)) {
+            if (!/^[.-]+$/.test(code)) {
+                throw new EncPrimeError('ERR_INVALID_OPTION', `Invalid Morse code "${code}" for "${char}"`);
+            }
+            add(typeof entry === 'string' ? char : char.toUpperCase(), code);
+        }
+    }
+    for (const [char, code] of Object.entries(SYMBOLS)) add(char, code);
+    for (const [prosign, code] of Object.entries(PROSIGNS)) add(prosign, code);
+
+    const result = { encode, decode };
+    if (key) tables.set(key, result);
+    return result;
+}
+
+function unknownChar(char, unknown, encode) {
+    if (unknown === 'error') {
+        throw new EncPrimeError('ERR_BAD_INPUT', `No Morse code for "${char}"`);
+    }
+    if (unknown === 'skip') {
+        return null;
+    }
+    return encode.get(unknown) || null;
+}
+
+/**
+ * Encodes text to Morse code.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string|Object|Array} [options.alphabet='latin'] - See `table`.
+ * @param {'/'|'   '} [options.wordSeparator='/'] - How words are separated.
+ * @param {'skip'|'error'|string} [options.unknown='skip'] - What to do with characters that have no code:
+ *        drop them, throw, or encode a replacement character instead.
+ * @returns {string}
+ */
+function encode(text, { alphabet, wordSeparator = '/', unknown = 'skip' } = {}) {
+    const { encode: codes } = table(alphabet);
+    const words = [];
+
+    for (const word of String(text).toUpperCase().split(/\s+/)) {
+        const letters = [];
+        // Prosigns first, then single characters
+        for (const [, prosign, char] of word.matchAll(/(<[^<>\s]+>)|([\s\S])/gu)) {
+            if (prosign) {
+                const code = codes.get(prosign) || prosignCode(prosign, codes);
+                if (code) letters.push(code);
+                else {
+                    const replacement = unknownChar(prosign, unknown, codes);
+                    if (replacement) letters.push(replacement);
+                }
+                continue;
+            }
+
+            const code = codes.get(char) || codes.get(ALIASES[char]);
+            if (code) {
+                letters.push(code);
+            } else {
+                const replacement = unknownChar(char, unknown, codes);
+                if (replacement) letters.push(replacement);
+            }
+        }
+        if (letters.length > 0) words.push(letters.join(' '));
+    }
+
+    return words.join(wordSeparator === '/' ? ' / ' : '   ');
+}
+
+// Any <ABC> not in the table is the letters A, B, C run together, as prosigns are defined
+function prosignCode(prosign, codes) {
+    const letters = Array.from(prosign.slice(1, -1));
+    const parts = letters.map(char => codes.get(char));
+    return parts.every(Boolean) ? parts.join('') : null;
+}
+
+/**
+ * Decodes Morse code to text. Words may be separated by "/" or by two or more spaces,
+ * and "·", "•", "−", "–", "—" are accepted for dots and dashes.
+ *
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {string|Object|Array} [options.alphabet='latin'] - See `table`.
+ * @param {'skip'|'error'|string} [options.unknown='�'] - Drop unknown codes, throw, or the character to put in their place.
+ * @returns {string}
+ */
+function decode(code, { alphabet, unknown = REPLACEMENT } = {}) {
+    const { decode: chars } = table(alphabet);
+    const normalized = String(code)
+        .replace(/[·•]/g, '.')
+        .replace(/[−–—_]/g, '-')
+        .trim();
+    if (normalized === '') return '';
+
+    return normalized
+        .split(/\s*\/\s*|\s{2,}/)
+        .map(word => word
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(letter => {
+                const char = chars.get(letter);
+                if (char !== undefined) return char;
+                if (unknown === 'error') {
+                    throw new EncPrimeError('ERR_BAD_INPUT', `Unknown Morse code "${letter}"`);
+                }
+                return unknown === 'skip' ? '' : unknown;
+            })
+            .join(''))
+        .join(' ');
+}
+
+/**
+ * Turns Morse code into a list of on/off durations in seconds.
+ *
+ * @param {string} code - Output of `encode`.
+ * @param {Object} [options]
+ * @param {number} [options.wpm=20] - Character speed in words per minute (PARIS standard).
+ * @param {number} [options.farnsworth] - Overall speed in wpm. When lower than `wpm`, characters
+ *        are sent at `wpm` and the extra time goes into letter and word gaps.
+ * @returns {Array<{ on: boolean, duration: number }>}
+ */
+function toTimings(code, { wpm = 20, farnsworth } = {}) {
+    if (!(wpm > 0)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'wpm must be a positive number');
+    }
+
+    const unit = 1.2 / wpm;
+    let letterGap = 3 * unit;
+    let wordGap = 7 * unit;
+    if (farnsworth !== undefined && farnsworth < wpm) {
+        if (!(farnsworth > 0)) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', 'farnsworth must be a positive number');
+        }
+        // ARRL Farnsworth timing: the total delay is spread over 19 units of gaps per "PARIS "
+        const delay = (60 * wpm - 37.2 * farnsworth) / (farnsworth * wpm);
+        letterGap = (3 * delay) / 19;
+        wordGap = (7 * delay) / 19;
+    }
+
+    const timings = [];
+    const gap = (duration) => timings.push({ on: false, duration });
+    const words = String(code).trim().split(/\s*\/\s*|\s{2,}/).filter(Boolean);
+
+    words.forEach((word, w) => {
+        if (w > 0) gap(wordGap);
+        word.split(/\s+/).forEach((letter, l) => {
+            if (l > 0) gap(letterGap);
+            Array.from(letter).forEach((symbol, s) => {
+                if (s > 0) gap(unit);
+                timings.push({ on: true, duration: symbol === '-' ? 3 * unit : unit });
+            });
+        });
+    });
+    return timings;
+}
+
+/**
+ * Renders Morse code as a mono 16-bit PCM WAV file.
+ *
+ * @param {string} code - Output of `encode`.
+ * @param {Object} [options] - `wpm` and `farnsworth` as in `toTimings`, plus:
+ * @param {number} [options.frequency=600] - Tone frequency in Hz, below half the sample rate.
+ * @param {number} [options.sampleRate=8000] - Samples per second, an integer.
+ * @param {number} [options.volume=0.8] - Amplitude between 0 and 1.
+ * @returns {Buffer} The WAV file.
+ * @throws {EncPrimeError} ERR_INVALID_OPTION if an option is out of range.
+ */
+function toWav(code, { frequency = 600, sampleRate = 8000, volume = 0.8, ...timing } = {}) {
+    // The header stores the rate as a 32-bit integer and the tone must stay below Nyquist
+    if (!Number.isInteger(sampleRate) || sampleRate <= 0 || sampleRate > 0xffffffff / 2) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'sampleRate must be a positive integer');
+    }
+    if (!Number.isFinite(frequency) || frequency <= 0 || frequency >= sampleRate / 2) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `frequency must be a positive number below ${sampleRate / 2} Hz, half the sampleRate`);
+    }
+    if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'volume must be a number between 0 and 1');
+    }
+
+    const timings = toTimings(code, timing);
+    const lengths = timings.map(({ duration }) => Math.round(duration * sampleRate));
+    const sampleCount = lengths.reduce((sum, length) => sum + length, 0);
+
+    const wav = Buffer.alloc(44 + sampleCount * 2);
+    wav.write('RIFF', 0, 'ascii');
+    wav.writeUInt32LE(36 + sampleCount * 2, 4);
+    wav.write('WAVE', 8, 'ascii');
+    wav.write('fmt ', 12, 'ascii');
+    wav.writeUInt32LE(16, 16);          // fmt chunk size
+    wav.writeUInt16LE(1, 20);           // PCM
+    wav.writeUInt16LE(1, 22);           // mono
+    wav.writeUInt32LE(sampleRate, 24);
+    wav.writeUInt32LE(sampleRate * 2, 28);
+    wav.writeUInt16LE(2, 32);           // block align
+    wav.writeUInt16LE(16, 34);          // bits per sample
+    wav.write('data', 36, 'ascii');
+    wav.writeUInt32LE(sampleCount * 2, 40);
+
+    // 5 ms attack and release so tones do not click
+    const ramp = Math.max(1, Math.round(0.005 * sampleRate));
+    const amplitude = volume * 0x7fff;
+    let offset = 44;
+    timings.forEach(({ on }, i) => {
+        const length = lengths[i];
+        for (let n = 0; n < length; n++) {
+            let sample = 0;
+            if (on) {
+                const envelope = Math.min(1, n / ramp, (length - n) / ramp);
+                sample = Math.round(amplitude * envelope * Math.sin((2 * Math.PI * frequency * n) / sampleRate));
+            }
+            wav.writeInt16LE(sample, offset);
+            offset += 2;
+        }
+    });
+    return wav;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function mergeRuns(runs) {
+    const merged = [];
+    for (const run of runs) {
+        const last = merged[merged.length - 1];
+        if (last && last.on === run.on) last.duration += run.duration;
+        else merged.push({ ...run });
+    }
+    return merged;
+}
+
+// Two-cluster split of mark lengths into dots and dashes, returning one unit's length
+function estimateUnit(runs) {
+    const marks = runs.filter(run => run.on).map(run => run.duration);
+    let short = Math.min(...marks);
+    let long = Math.max(...marks);
+    if (long < 2 * short) {
+        // Only one kind of mark: compare it with the shortest gaps to tell dots from dashes
+        const gaps = runs.filter(run => !run.on).map(run => run.duration);
+        const gap = gaps.length > 0 ? Math.min(...gaps) : short;
+        return median(marks) > 2 * gap ? median(marks) / 3 : median(marks);
+    }
+
+    for (let i = 0; i < 10; i++) {
+        const threshold = (short + long) / 2;
+        const dots = marks.filter(mark => mark < threshold);
+        const dashes = marks.filter(mark => mark >= threshold);
+        short = dots.reduce((sum, mark) => sum + mark, 0) / dots.length;
+        long = dashes.reduce((sum, mark) => sum + mark, 0) / dashes.length;
+    }
+    return (short + long / 3) / 2;
+}
+
+// Splits letter gaps from word gaps. Farnsworth timing stretches both, so when the long
+// gaps form two clear groups the boundary between them is used instead of the standard 5 units.
+function estimateWordGap(runs, unit) {
+    const gaps = runs.filter(run => !run.on && run.duration >= 2 * unit).map(run => run.duration);
+    let short = Math.min(...gaps);
+    let long = Math.max(...gaps);
+    if (gaps.length < 2 || long < 1.8 * short) {
+        return 5 * unit;
+    }
+
+    for (let i = 0; i < 10; i++) {
+        const threshold = Math.sqrt(short * long);
+        const letters = gaps.filter(gap => gap < threshold);
+        const words = gaps.filter(gap => gap >= threshold);
+        short = letters.reduce((sum, gap) => sum + gap, 0) / letters.length;
+        long = words.reduce((sum, gap) => sum + gap, 0) / words.length;
+    }
+    return Math.sqrt(short * long);
+}
+
+/**
+ * Decodes a keyed on/off sequence, such as samples from a straight key or a tone
+ * detector. Speed is estimated from the marks, so the sender's timing may drift,
+ * and glitches much shorter than a dot are folded into their neighbours.
+ *
+ * @param {Array<number|{ on: boolean, duration: number }|[boolean, number]>} sequence - Durations
+ *        in any time unit: objects, `[on, duration]` pairs, or signed numbers (positive = on, negative = off).
+ * @param {Object} [options] - `alphabet` and `unknown` as in `decode`, plus:
+ * @param {number} [options.unit] - The length of a dot, if known. Estimated when omitted.
+ * @param {number} [options.glitch=0.3] - Runs shorter than this fraction of a unit are treated as noise.
+ * @returns {{ text: string, code: string, unit: number }}
+ */
+function decodeTimings(sequence, { unit, glitch = 0.3, ...options } = {}) {
+    let runs = mergeRuns(Array.from(sequence, item => {
+        if (typeof item === 'number') return { on: item > 0, duration: Math.abs(item) };
+        if (Array.isArray(item)) return { on: Boolean(item[0]), duration: Number(item[1]) };
+        return { on: Boolean(item.on), duration: Number(item.duration) };
+    }).filter(run => run.duration > 0));
+
+    // Leading and trailing silence carries no information
+    while (runs.length > 0 && !runs[0].on) runs.shift();
+    while (runs.length > 0 && !runs[runs.length - 1].on) runs.pop();
+    if (runs.length === 0) return { text: '', code: '', unit: unit || 0 };
+
+    let dot = unit || estimateUnit(runs);
+    const cleaned = mergeRuns(runs.map((run, i) => (
+        run.duration < glitch * dot && i > 0 && i < runs.length - 1
+            ? { on: !run.on, duration: run.duration }
+            : run
+    )));
+    if (cleaned.length !== runs.length && !unit) {
+        dot = estimateUnit(cleaned);
+    }
+
+    const wordGap = estimateWordGap(cleaned, dot);
+    let code = '';
+    for (const run of cleaned) {
+        const units = run.duration / dot;
+        if (run.on) code += units < 2 ? '.' : '-';
+        else if (run.duration >= wordGap) code += ' / ';
+        else if (units >= 2) code += ' ';
+    }
+
+    return { text: decode(code, options), code, unit: dot };
+}
+
+module.exports = { ALPHABETS, PROSIGNS, encode, decode, toTimings, toWav, decodeTimings };
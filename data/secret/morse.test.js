@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const morse = require('./morse');
+const Encrypt = require('../encrypt');
+
+const encryptor = new Encrypt();
+
+test('encode separates letters and words so text round trips', () => {
+    assert.equal(morse.encode('SOS help'), '... --- ... / .... . .-.. .--.');
+    assert.equal(morse.encode('SOS help', { wordSeparator: '   ' }), '... --- ...   .... . .-.. .--.');
+    assert.equal(morse.decode('... --- ... / .... . .-.. .--.'), 'SOS HELP');
+    assert.equal(morse.decode('...  ---'), 'S O');
+    assert.equal(morse.decode('··· −−− ···'), 'SOS');
+});
+
+test('encode handles prosigns, numbers and punctuation', () => {
+    assert.equal(morse.encode('CQ <SK>'), '-.-. --.- / ...-.-');
+    assert.equal(morse.encode('<XY>'), '-..--.--');
+    assert.equal(morse.decode(morse.encode('Call 911, now?')), 'CALL 911, NOW?');
+    assert.equal(morse.decode('...---...'), '<SOS>');
+});
+
+test('encode and decode other alphabets and custom tables', () => {
+    assert.equal(morse.encode('Привет', { alphabet: 'cyrillic' }), '.--. .-. .. .-- . -');
+    assert.equal(morse.decode('.--. .-. .. .-- . -', { alphabet: 'cyrillic' }), 'ПРИВЕТ');
+    assert.equal(morse.decode(morse.encode('Ωμέγα', { alphabet: 'greek' }), { alphabet: 'greek' }), 'ΩΜΕΓΑ');
+    assert.equal(morse.decode(morse.encode('سلام', { alphabet: 'arabic' }), { alphabet: 'arabic' }), 'سلام');
+    assert.equal(morse.encode('Ñ', { alphabet: ['latin', { 'ñ': '--.--' }] }), '--.--');
+    assert.throws(() => morse.encode('x', { alphabet: 'klingon' }), /Unknown Morse alphabet/);
+    assert.throws(() => morse.encode('x', { alphabet: { x: 'abc' } }), /Invalid Morse code/);
+});
+
+test('unknown characters and codes follow the unknown option', () => {
+    assert.equal(morse.encode('A#B'), '.- -...');
+    assert.equal(morse.encode('A#B', { unknown: '?' }), '.- ..--.. -...');
+    assert.throws(() => morse.encode('A#B', { unknown: 'error' }), /No Morse code for "#"/);
+
+    assert.equal(morse.decode('.- ........- -...'), 'A�B');
+    assert.equal(morse.decode('.- ........- -...', { unknown: 'skip' }), 'AB');
+    assert.throws(() => morse.decode('........-', { unknown: 'error' }), /Unknown Morse code/);
+});
+
+test('toTimings follows PARIS and Farnsworth timing', () => {
+    const unit = 1.2 / 20;
+    const timings = morse.toTimings('.- / -');
+    assert.deepEqual(timings.map(({ on }) => on), [true, false, true, false, true]);
+    assert.ok(Math.abs(timings[2].duration - 3 * unit) < 1e-9);
+    assert.ok(Math.abs(timings[3].duration - 7 * unit) < 1e-9);
+
+    // "PARIS " takes one minute per word at the Farnsworth speed
+    const paris = morse.toTimings(`${morse.encode('PARIS')} / `, { wpm: 20, farnsworth: 5 });
+    const total = paris.reduce((sum, { duration }) => sum + duration, 0) + (7 * (60 * 20 - 37.2 * 5) / (5 * 20)) / 19;
+    assert.ok(Math.abs(total - 12) < 0.01, String(total));
+    assert.throws(() => morse.toTimings('.', { wpm: 0 }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('toWav renders a mono 16-bit PCM file of the right length', () => {
+    const wav = morse.toWav('.', { wpm: 12, sampleRate: 8000 });
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+    assert.equal(wav.readUInt16LE(22), 1);
+    assert.equal(wav.readUInt32LE(24), 8000);
+    assert.equal(wav.readUInt32LE(40), 800 * 2);
+    assert.equal(wav.length, 44 + 800 * 2);
+});
+
+test('toWav rejects out-of-range audio options', () => {
+    for (const options of [
+        { sampleRate: 0 }, { sampleRate: 8000.5 }, { sampleRate: '8000' }, { sampleRate: 2 ** 32 },
+        { frequency: 0 }, { frequency: NaN }, { frequency: 4000 }, { frequency: 600, sampleRate: 1000 },
+        { volume: -0.1 }, { volume: 1.5 }, { volume: Infinity },
+    ]) {
+        assert.throws(() => morse.toWav('.', options), { code: 'ERR_INVALID_OPTION' }, JSON.stringify(options));
+    }
+    assert.equal(morse.toWav('.', { volume: 0 }).subarray(44).every(byte => byte === 0), true);
+});
+
+test('decodeTimings reads uneven hand-sent code', () => {
+    assert.equal(morse.decodeTimings([60, -60, 60, -60, 60, -180, 170, -70, 180, -50, 190]).text, 'SO');
+
+    const sent = morse.toTimings(morse.encode('HELLO WORLD'), { wpm: 15 })
+        .map(({ on, duration }, i) => ({ on, duration: duration * (1 + ((i % 5) - 2) * 0.05) }));
+    assert.equal(morse.decodeTimings(sent).text, 'HELLO WORLD');
+
+    const farnsworth = morse.toTimings(morse.encode('CQ DX'), { wpm: 20, farnsworth: 8 });
+    assert.equal(morse.decodeTimings(farnsworth).text, 'CQ DX');
+
+    // A dropout in the middle of a dash is noise, not a letter gap
+    assert.equal(morse.decodeTimings([[true, 1.4], [false, 0.1], [true, 1.5], [false, 1], [true, 1]]).text, 'N');
+    assert.deepEqual(morse.decodeTimings([-5]), { text: '', code: '', unit: 0 });
+});
+
+test('Encrypt.morse keeps the boolean reverse argument and can render audio', () => {
+    const code = encryptor.morse('Hello World');
+    assert.equal(encryptor.morse(code, true), 'HELLO WORLD');
+    assert.equal(encryptor.morse(code, {}, true), 'HELLO WORLD');
+    assert.ok(Buffer.isBuffer(encryptor.morse('E', { toAudio: true })));
+    assert.equal(encryptor.morseTiming([1, -1, 3]).text, 'A');
+});
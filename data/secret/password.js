@@ -0,0 +1,160 @@
+// Password hashing with PHC-format strings
+// ---------------------------------------------------------
+// $scrypt$ln=15,r=8,p=1$<salt>$<hash>
+// $pbkdf2-sha256$i=600000$<salt>$<hash>
+// Salts and hashes use unpadded base64, as in the PHC string format.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { EncPrimeError } = require('../../errors');
+const { KDF_LIMITS, kdfProblem, scryptMaxmem } = require('./keys');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const SALT_LENGTH = 16;
+const HASH_LENGTH = 32;
+
+const DEFAULTS = {
+    scrypt: { ln: 15, r: 8, p: 1 },
+    pbkdf2: { iterations: 600000, digest: 'sha256' },
+};
+
+function b64(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '');
+}
+
+async function derive(password, salt, { algorithm, ln, r, p, iterations, digest }, length) {
+    if (typeof password !== 'string' && !(password instanceof Uint8Array)) {
+        throw new EncPrimeError('ERR_BAD_INPUT', 'The password must be a string or a Buffer');
+    }
+    try {
+        if (algorithm === 'scrypt') {
+            const N = 2 ** ln;
+            return await scrypt(password, salt, length, { N, r, p, maxmem: scryptMaxmem({ N, r, p }) });
+        }
+        return await pbkdf2(password, salt, iterations, length, digest);
+    } catch (error) {
+        throw new EncPrimeError('ERR_BAD_INPUT', `Password hashing with ${algorithm} failed`, { cause: error });
+    }
+}
+
+// Why the cost parameters are outside KDF_LIMITS, or null; scrypt costs are given as ln = log2(N)
+function costProblem({ algorithm, ln, ...params }) {
+    if (algorithm !== 'scrypt') return kdfProblem(algorithm, params);
+
+    const maxLn = Math.log2(KDF_LIMITS.scrypt.N);
+    if (!Number.isInteger(ln) || ln < 1 || ln > maxLn) return `scrypt ln must be an integer from 1 to ${maxLn}`;
+    return kdfProblem('scrypt', { N: 2 ** ln, ...params });
+}
+
+/**
+ * Fills in defaults and validates hashing options.
+ *
+ * @param {Object} options
+ * @returns {Object} `{ algorithm, ln, r, p }` or `{ algorithm, iterations, digest }`.
+ * @throws {EncPrimeError} `ERR_INVALID_OPTION` for unknown algorithms and costs outside the KDF limits.
+ */
+function normalize({ algorithm = 'scrypt', ...cost } = {}) {
+    if (!Object.hasOwn(DEFAULTS, algorithm)) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Unknown password hashing algorithm "${algorithm}". Available algorithms are: ${Object.keys(DEFAULTS).join(', ')}`);
+    }
+    const params = { algorithm, ...DEFAULTS[algorithm] };
+    for (const name of Object.keys(DEFAULTS[algorithm])) {
+        if (cost[name] !== undefined) params[name] = cost[name];
+    }
+    const problem = costProblem(params);
+    if (problem) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', problem);
+    }
+    return params;
+}
+
+/**
+ * Parses a PHC string produced by `hash`.
+ *
+ * @param {string} phc
+ * @returns {{ params: Object, salt: Buffer, hash: Buffer }}
+ * @throws {EncPrimeError} `ERR_BAD_INPUT` if the string is not a hash this module understands,
+ *         or its cost parameters are outside the KDF limits.
+ */
+function parse(phc) {
+    const parts = String(phc).split('$');
+    if (parts.length !== 5 || parts[0] !== '') {
+        throw new EncPrimeError('ERR_BAD_INPUT', 'Not a PHC-format password hash');
+    }
+
+    const [, id, paramString, salt, hash] = parts;
+    const fields = Object.fromEntries(paramString.split(',').map(pair => pair.split('=')));
+    let params;
+
+    if (id === 'scrypt') {
+        params = { algorithm: 'scrypt', ln: Number(fields.ln), r: Number(fields.r), p: Number(fields.p) };
+    } else if (id.startsWith('pbkdf2-')) {
+        params = { algorithm: 'pbkdf2', iterations: Number(fields.i), digest: id.slice('pbkdf2-'.length) };
+    } else {
+        throw new EncPrimeError('ERR_BAD_INPUT', `Unsupported password hash algorithm "${id}"`);
+    }
+
+    const problem = costProblem(params);
+    if (problem) {
+        throw new EncPrimeError('ERR_BAD_INPUT', `Password hash has invalid cost parameters: ${problem}`);
+    }
+
+    return { params, salt: Buffer.from(salt, 'base64'), hash: Buffer.from(hash, 'base64') };
+}
+
+/**
+ * Hashes a password with a random salt.
+ *
+ * @param {string|Buffer} password
+ * @param {Object} [options] - `algorithm` plus its cost parameters.
+ * @returns {Promise<string>} The PHC string.
+ */
+async function hash(password, options) {
+    const params = normalize(options);
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const derived = await derive(password, salt, params, HASH_LENGTH);
+
+    const header = params.algorithm === 'scrypt'
+        ? `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}`
+        : `$pbkdf2-${params.digest}$i=${params.iterations}`;
+    return `${header}$${b64(salt)}$${b64(derived)}`;
+}
+
+/**
+ * Checks a password against a PHC string in constant time.
+ *
+ * @param {string|Buffer} password
+ * @param {string} phc
+ * @returns {Promise<boolean>}
+ */
+async function verify(password, phc) {
+    const { params, salt, hash: expected } = parse(phc);
+    if (expected.length === 0) {
+        throw new EncPrimeError('ERR_BAD_INPUT', 'Password hash is empty');
+    }
+    const derived = await derive(password, salt, params, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Tells whether a stored hash was made with a different algorithm or weaker cost
+ * parameters than the given options, and should be replaced at the next login.
+ *
+ * @param {string} phc
+ * @param {Object} [options] - The options new hashes are made with.
+ * @returns {boolean}
+ */
+function needsRehash(phc, options) {
+    const { params: current } = parse(phc);
+    const target = normalize(options);
+
+    if (current.algorithm !== target.algorithm) return true;
+    if (target.algorithm === 'scrypt') {
+        return current.ln < target.ln || current.r < target.r || current.p < target.p;
+    }
+    return current.digest !== target.digest || current.iterations < target.iterations;
+}
+
+module.exports = { DEFAULTS, hash, verify, needsRehash, parse };
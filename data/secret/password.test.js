@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const password = require('./password');
+
+// Cheap costs keep the tests fast; the format and checks are the same at any cost
+const FAST = { scrypt: { ln: 10 }, pbkdf2: { algorithm: 'pbkdf2', iterations: 1000 } };
+
+test('hash produces PHC strings that verify the right password only', async () => {
+    for (const options of Object.values(FAST)) {
+        const phc = await password.hash('hunter2', options);
+        assert.match(phc, /^\$(scrypt\$ln=10,r=8,p=1|pbkdf2-sha256\$i=1000)\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+        assert.equal(await password.verify('hunter2', phc), true);
+        assert.equal(await password.verify('hunter3', phc), false);
+    }
+});
+
+test('verify reads the parameters from the PHC string', async () => {
+    const phc = await password.hash('hunter2', { algorithm: 'pbkdf2', iterations: 1000, digest: 'sha512' });
+    assert.ok(phc.startsWith('$pbkdf2-sha512$i=1000$'));
+    assert.equal(await password.verify('hunter2', phc), true);
+    assert.deepEqual(password.parse(phc).params, { algorithm: 'pbkdf2', iterations: 1000, digest: 'sha512' });
+});
+
+test('verify refuses malformed hashes and costs above the limits with ERR_BAD_INPUT', async () => {
+    const refused = [
+        'not a hash',
+        '$argon2id$v=19$c2FsdA$aGFzaA',
+        '$scrypt$ln=99,r=8,p=1$c2FsdA$aGFzaA',
+        '$scrypt$ln=10,r=64,p=1$c2FsdA$aGFzaA',
+        '$scrypt$ln=10,r=8,p=99$c2FsdA$aGFzaA',
+        '$scrypt$ln=16,r=1,p=1$c2FsdA$aGFzaA',
+        '$scrypt$ln=x,r=8,p=1$c2FsdA$aGFzaA',
+        '$pbkdf2-sha256$i=99999999$c2FsdA$aGFzaA',
+        '$pbkdf2-md5$i=1000$c2FsdA$aGFzaA',
+        '$scrypt$ln=10,r=8,p=1$c2FsdA$',
+    ];
+    for (const phc of refused) {
+        await assert.rejects(password.verify('hunter2', phc), { code: 'ERR_BAD_INPUT' }, phc);
+    }
+});
+
+
+test('hash refuses unknown algorithms and costs above the limits with ERR_INVALID_OPTION', async () => {
+    const refused = [
+        { algorithm: 'md5' },
+        { ln: 40 },
+        { ln: 0 },
+        { r: 33 },
+        { p: 17 },
+        { ln: 16, r: 1 },
+        { algorithm: 'pbkdf2', iterations: 0 },
+        { algorithm: 'pbkdf2', digest: 'nope' },
+    ];
+    for (const options of refused) {
+        await assert.rejects(password.hash('hunter2', options), { code: 'ERR_INVALID_OPTION' }, JSON.stringify(options));
+    }
+    await assert.rejects(password.hash(42, FAST.scrypt), { code: 'ERR_BAD_INPUT' });
+});
+
+test('needsRehash reports weaker parameters and other algorithms', async () => {
+    const phc = await password.hash('hunter2', FAST.scrypt);
+    assert.equal(password.needsRehash(phc, FAST.scrypt), false);
+    assert.equal(password.needsRehash(phc, { ln: 11 }), true);
+    assert.equal(password.needsRehash(phc, FAST.pbkdf2), true);
+});
+
+test('Encrypt exposes password hashing', async () => {
+    const Encrypt = require('../encrypt');
+    const encryptor = new Encrypt();
+    const stored = await encryptor.hashPassword('hunter2', FAST.scrypt);
+    assert.equal(await encryptor.verifyPassword('hunter2', stored), true);
+    assert.equal(encryptor.needsRehash(stored), true);
+});
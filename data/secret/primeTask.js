@@ -0,0 +1,22 @@
+// Worker task for Prime.parallelPrimes
+// ---------------------------------------------------------
+// QunTime loads this module by path in each worker, and the prime options arrive as
+// `context.data`, so nothing from the caller is turned into source code.
+
+const Prime = require('../prime');
+
+/**
+ * QunTime task: generates one random prime, or safe prime, of `bits` bits.
+ *
+ * @param {number} startingBest
+ * @param {Function} maybeUpdateShared
+ * @param {Object} shared
+ * @param {Object} context - `context.data` holds `{ bits, safe, rounds, topBits }`.
+ * @returns {bigint}
+ */
+function generatePrime(startingBest, maybeUpdateShared, shared, { data }) {
+    const { bits, safe, rounds, topBits } = data;
+    return safe ? Prime.randomSafePrime(bits, { rounds }) : Prime.randomPrime(bits, { rounds, topBits });
+}
+
+module.exports = { generatePrime };
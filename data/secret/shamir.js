@@ -0,0 +1,174 @@
+// Shamir secret sharing over GF(256)
+// ---------------------------------------------------------
+// Share: encprime-share-v1:<set id>:<threshold>:<x>:<y bytes, base64url>:<checksum>
+// Every byte of the secret is the constant term of its own random polynomial of degree
+// threshold - 1; share x holds the polynomials evaluated at x. The checksum (SHA-256 of
+// the rest of the share, 4 bytes) catches damaged shares. A digest of the secret is split
+// along with it, so shares that combine to the wrong secret are caught as well.
+
+const crypto = require('crypto');
+const { EncPrimeError } = require('../../errors');
+
+const PREFIX = 'encprime-share-v1';
+const ID_LENGTH = 8;
+const DIGEST_LENGTH = 8;
+const CHECKSUM_LENGTH = 4;
+const MAX_SHARES = 255;
+
+// GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1 and generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = EXP[i + 255] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+function mul(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+    return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+function digestOf(id, secret) {
+    return crypto.createHash('sha256').update(PREFIX).update(id).update(secret).digest().subarray(0, DIGEST_LENGTH);
+}
+
+function checksumOf(body) {
+    return crypto.createHash('sha256').update(body).digest('hex').slice(0, CHECKSUM_LENGTH * 2);
+}
+
+function badShare(message) {
+    return new EncPrimeError('ERR_BAD_SHARE', message);
+}
+
+// Lagrange interpolation of the polynomials through `points`, evaluated at x
+function interpolate(points, x, length) {
+    const weights = points.map(({ x: xi }, i) => points.reduce((w, { x: xj }, j) => (
+        i === j ? w : mul(w, div(xj ^ x, xj ^ xi))
+    ), 1));
+
+    const result = Buffer.alloc(length);
+    for (let b = 0; b < length; b++) {
+        let value = 0;
+        for (let i = 0; i < points.length; i++) value ^= mul(points[i].y[b], weights[i]);
+        result[b] = value;
+    }
+    return result;
+}
+
+/**
+ * Splits a secret into shares, any `threshold` of which rebuild it.
+ *
+ * @param {Buffer} secret - At least one byte.
+ * @param {Object} options
+ * @param {number} options.shares - How many shares to make, 2 to 255.
+ * @param {number} options.threshold - How many shares rebuild the secret, 2 to `shares`.
+ * @returns {string[]} The shares.
+ */
+function split(secret, { shares, threshold } = {}) {
+    if (!Number.isInteger(shares) || shares < 2 || shares > MAX_SHARES) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `shares must be an integer from 2 to ${MAX_SHARES}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'threshold must be an integer from 2 to the number of shares');
+    }
+    if (secret.length === 0) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'The secret must not be empty');
+    }
+
+    const id = crypto.randomBytes(ID_LENGTH);
+    const data = Buffer.concat([secret, digestOf(id, secret)]);
+    const ys = Array.from({ length: shares }, () => Buffer.alloc(data.length));
+
+    for (let i = 0; i < data.length; i++) {
+        const coefficients = crypto.randomBytes(threshold);
+        coefficients[0] = data[i];
+        for (let s = 0; s < shares; s++) {
+            // Horner's rule at x = s + 1
+            let y = 0;
+            for (let c = threshold - 1; c >= 0; c--) y = mul(y, s + 1) ^ coefficients[c];
+            ys[s][i] = y;
+        }
+    }
+
+    return ys.map((y, s) => {
+        const body = [PREFIX, id.toString('hex'), threshold, s + 1, y.toString('base64url')].join(':');
+        return `${body}:${checksumOf(body)}`;
+    });
+}
+
+/**
+ * Parses and checks one share.
+ *
+ * @param {string} share
+ * @returns {{ id: string, threshold: number, x: number, y: Buffer }}
+ */
+function parse(share) {
+    const parts = String(share).trim().split(':');
+    if (parts.length !== 6 || parts[0] !== PREFIX) {
+        throw badShare('Not an encPrime secret share');
+    }
+
+    const [, id, threshold, x, y, checksum] = parts;
+    if (checksumOf(parts.slice(0, 5).join(':')) !== checksum.toLowerCase()) {
+        throw badShare(`Share ${x} of set ${id} is damaged: its checksum does not match`);
+    }
+
+    const parsed = { id, threshold: Number(threshold), x: Number(x), y: Buffer.from(y, 'base64url') };
+    if (!Number.isInteger(parsed.x) || parsed.x < 1 || parsed.x > MAX_SHARES || !Number.isInteger(parsed.threshold) || parsed.threshold < 2) {
+        throw badShare(`Share ${x} of set ${id} has invalid fields`);
+    }
+    return parsed;
+}
+
+/**
+ * Rebuilds a secret from shares made by `split`.
+ *
+ * @param {string[]} shares - At least `threshold` distinct shares of the same split.
+ * @returns {Buffer} The secret.
+ * @throws {EncPrimeError} `ERR_BAD_SHARE` if a share is damaged, from another split, duplicated,
+ *         if there are too few, or if they do not rebuild the original secret.
+ */
+function combine(shares) {
+    if (!Array.isArray(shares) || shares.length === 0) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', 'combineShares needs an array of shares');
+    }
+
+    const parsed = shares.map(parse);
+    const [{ id, threshold, y: { length } }] = parsed;
+    const seen = new Set();
+    for (const share of parsed) {
+        if (share.id !== id || share.threshold !== threshold || share.y.length !== length) {
+            throw badShare('Shares come from different splits');
+        }
+        if (seen.has(share.x)) {
+            throw badShare(`Share ${share.x} was given more than once`);
+        }
+        seen.add(share.x);
+    }
+    if (parsed.length < threshold) {
+        throw badShare(`Need ${threshold} shares to rebuild the secret, got ${parsed.length}`);
+    }
+
+    const points = parsed.slice(0, threshold);
+    const data = interpolate(points, 0, length);
+    const secret = data.subarray(0, length - DIGEST_LENGTH);
+    const digest = data.subarray(length - DIGEST_LENGTH);
+    if (length <= DIGEST_LENGTH || !crypto.timingSafeEqual(digest, digestOf(Buffer.from(id, 'hex'), secret))) {
+        throw badShare('The shares do not rebuild the original secret: at least one share is wrong');
+    }
+
+    // Any extra shares must lie on the same polynomials
+    for (const extra of parsed.slice(threshold)) {
+        if (!interpolate(points, extra.x, length).equals(extra.y)) {
+            throw badShare(`Share ${extra.x} does not belong with the others`);
+        }
+    }
+
+    return Buffer.from(secret);
+}
+
+module.exports = { split, combine, parse };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const shamir = require('./shamir');
+
+const secret = crypto.randomBytes(32);
+
+test('any threshold of the shares rebuild the secret, in any order', () => {
+    const shares = shamir.split(secret, { shares: 5, threshold: 3 });
+    assert.equal(shares.length, 5);
+
+    for (const picked of [[0, 1, 2], [4, 0, 2], [3, 4, 1], [0, 1, 2, 3, 4]]) {
+        assert.deepEqual(shamir.combine(picked.map(i => shares[i])), secret);
+    }
+});
+
+test('fewer shares than the threshold are refused', () => {
+    const shares = shamir.split(secret, { shares: 5, threshold: 3 });
+    assert.throws(() => shamir.combine(shares.slice(0, 2)), { code: 'ERR_BAD_SHARE', message: /Need 3 shares/ });
+    assert.throws(() => shamir.combine([shares[0], shares[1], shares[1]]), { code: 'ERR_BAD_SHARE' });
+});
+
+test('damaged shares and shares from another split are refused', () => {
+    const shares = shamir.split(secret, { shares: 3, threshold: 2 });
+    const other = shamir.split(secret, { shares: 3, threshold: 2 });
+
+    const fields = shares[0].split(':');
+    fields[4] = (fields[4][0] === 'A' ? 'B' : 'A') + fields[4].slice(1);
+    const damaged = fields.join(':');
+    assert.throws(() => shamir.combine([damaged, shares[1]]), { code: 'ERR_BAD_SHARE' });
+    assert.throws(() => shamir.combine([shares[0], other[1]]), { code: 'ERR_BAD_SHARE' });
+    assert.throws(() => shamir.combine(['not a share', shares[1]]), { code: 'ERR_BAD_SHARE' });
+});
+
+test('split checks the share count and threshold', () => {
+    const invalid = [
+        { shares: 1, threshold: 1 },
+        { shares: 256, threshold: 2 },
+        { shares: 5, threshold: 1 },
+        { shares: 5, threshold: 6 },
+        { shares: 5, threshold: 2.5 },
+        {},
+    ];
+    for (const options of invalid) {
+        assert.throws(() => shamir.split(secret, options), { code: 'ERR_INVALID_OPTION' }, JSON.stringify(options));
+    }
+    assert.throws(() => shamir.split(Buffer.alloc(0), { shares: 3, threshold: 2 }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('Encrypt splits and rebuilds keys given to aes', () => {
+    const Encrypt = require('../encrypt');
+    const encryptor = new Encrypt();
+    const key = encryptor.generateKey();
+    const shares = encryptor.splitSecret(key, { shares: 5, threshold: 3 });
+
+    assert.equal(encryptor.combineShares([shares[4], shares[0], shares[2]]), key);
+    assert.deepEqual(encryptor.combineShares(shares.slice(1, 4), { encoding: 'buffer' }), Buffer.from(key));
+});
@@ -0,0 +1,219 @@
+// Chunked authenticated stream format
+// ---------------------------------------------------------
+// An envelope header (with `stream: 1`) followed by chunks of
+// [uint32 BE: final flag (top bit) | plaintext length] [ciphertext] [16-byte auth tag].
+// Each chunk's nonce is nonce prefix | chunk counter | final flag, so reordered,
+// dropped or truncated chunks fail authentication.
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const cipher = require('./cipher');
+const envelope = require('./envelope');
+const keys = require('./keys');
+const { EncPrimeError, CryptoError } = require('../../errors');
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 0x7fffffff;
+const NONCE_PREFIX_LENGTH = 7;
+const LENGTH_BYTES = 4;
+const TAG_LENGTH = 16;
+const FINAL_FLAG = 0x80000000;
+
+function chunkNonce(prefix, counter, final) {
+    const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 5);
+    prefix.copy(nonce, 0);
+    nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+    nonce.writeUInt8(final ? 1 : 0, NONCE_PREFIX_LENGTH + 4);
+    return nonce;
+}
+
+function streamMode(name) {
+    const mode = cipher.getMode(name);
+    if (!mode.authenticated) {
+        throw new EncPrimeError('ERR_INVALID_OPTION', `Streams need an authenticated mode, "${name}" is not one`);
+    }
+    return mode;
+}
+
+class EncryptStream extends Transform {
+    #key;
+    #mode;
+    #prefix;
+    #chunkSize;
+    #counter = 0;
+    #pending = [];
+    #pendingLength = 0;
+    #header;
+
+    constructor({ mode = 'gcm', chunkSize = DEFAULT_CHUNK_SIZE, ...keyOptions } = {}) {
+        super();
+        if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+            throw new EncPrimeError('ERR_INVALID_OPTION', `chunkSize must be an integer between 1 and ${MAX_CHUNK_SIZE}`);
+        }
+
+        this.#mode = streamMode(mode);
+        const { key, header } = keys.resolveEncryptKey(keyOptions);
+        this.#key = key;
+        this.#chunkSize = chunkSize;
+        this.#prefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+        this.#header = {
+            alg: this.#mode.algorithm,
+            stream: 1,
+            nonce: this.#prefix.toString('base64'),
+            chunkSize,
+            ...header,
+        };
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            if (this.#header) {
+                this.push(envelope.pack(this.#header, Buffer.alloc(0)));
+                this.#header = null;
+            }
+
+            this.#pending.push(data);
+            this.#pendingLength += data.length;
+
+            // Keep at least one byte back so the last chunk can carry the final flag
+            if (this.#pendingLength > this.#chunkSize) {
+                let buffer = Buffer.concat(this.#pending);
+                while (buffer.length > this.#chunkSize) {
+                    this.push(this.#sealChunk(buffer.subarray(0, this.#chunkSize), false));
+                    buffer = buffer.subarray(this.#chunkSize);
+                }
+                this.#pending = [buffer];
+                this.#pendingLength = buffer.length;
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            if (this.#header) {
+                this.push(envelope.pack(this.#header, Buffer.alloc(0)));
+                this.#header = null;
+            }
+            this.push(this.#sealChunk(Buffer.concat(this.#pending), true));
+            this.#pending = [];
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    #sealChunk(plaintext, final) {
+        if (this.#counter > 0xffffffff) {
+            throw new EncPrimeError('ERR_BAD_INPUT', 'Stream has too many chunks, use a larger chunkSize');
+        }
+
+        const nonce = chunkNonce(this.#prefix, this.#counter++, final);
+        const c = crypto.createCipheriv(this.#mode.algorithm, this.#key, nonce, { authTagLength: TAG_LENGTH });
+        const body = Buffer.concat([c.update(plaintext), c.final()]);
+
+        const length = Buffer.alloc(LENGTH_BYTES);
+        length.writeUInt32BE((plaintext.length | (final ? FINAL_FLAG : 0)) >>> 0);
+        return Buffer.concat([length, body, c.getAuthTag()]);
+    }
+}
+
+class DecryptStream extends Transform {
+    #keyOptions;
+    #key = null;
+    #mode = null;
+    #prefix = null;
+    #chunkSize = 0;
+    #counter = 0;
+    #buffer = Buffer.alloc(0);
+    #done = false;
+
+    constructor(keyOptions = {}) {
+        super();
+        this.#keyOptions = keyOptions;
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            this.#buffer = Buffer.concat([this.#buffer, data]);
+            this.#drain();
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        if (!this.#done || this.#buffer.length > 0) {
+            callback(new CryptoError('ERR_BAD_ENVELOPE', 'Encrypted stream is truncated'));
+            return;
+        }
+        callback();
+    }
+
+    #drain() {
+        if (!this.#key && !this.#readHeader()) return;
+
+        while (this.#buffer.length >= LENGTH_BYTES) {
+            if (this.#done) {
+                throw new CryptoError('ERR_BAD_ENVELOPE', 'Unexpected data after the final chunk of the encrypted stream');
+            }
+
+            const word = this.#buffer.readUInt32BE(0);
+            const final = (word & FINAL_FLAG) !== 0;
+            const length = (word & ~FINAL_FLAG) >>> 0;
+            if (length > this.#chunkSize) {
+                throw new CryptoError('ERR_BAD_ENVELOPE', 'Encrypted stream chunk is larger than the declared chunk size');
+            }
+
+            const end = LENGTH_BYTES + length + TAG_LENGTH;
+            if (this.#buffer.length < end) return;
+
+            const nonce = chunkNonce(this.#prefix, this.#counter++, final);
+            const d = crypto.createDecipheriv(this.#mode.algorithm, this.#key, nonce, { authTagLength: TAG_LENGTH });
+            d.setAuthTag(this.#buffer.subarray(LENGTH_BYTES + length, end));
+            let plaintext;
+            try {
+                plaintext = Buffer.concat([d.update(this.#buffer.subarray(LENGTH_BYTES, LENGTH_BYTES + length)), d.final()]);
+            } catch {
+                throw new CryptoError('ERR_DECRYPT_AUTH', 'Unable to authenticate stream chunk: wrong key, or chunks were tampered with or reordered');
+            }
+
+            this.#buffer = this.#buffer.subarray(end);
+            this.#done = final;
+            if (plaintext.length > 0) this.push(plaintext);
+        }
+
+        if (this.#done && this.#buffer.length > 0) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'Unexpected data after the final chunk of the encrypted stream');
+        }
+    }
+
+    #readHeader() {
+        const parsed = envelope.readHeader(this.#buffer);
+        if (!parsed) return false;
+
+        const { header, headerEnd } = parsed;
+        if (header.stream !== 1) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'Ciphertext is not an encrypted stream, use aes() to decrypt it');
+        }
+
+        this.#mode = streamMode(header.alg);
+        this.#prefix = Buffer.from(header.nonce || '', 'base64');
+        if (this.#prefix.length !== NONCE_PREFIX_LENGTH) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'Encrypted stream nonce has the wrong length');
+        }
+        this.#chunkSize = header.chunkSize;
+        if (!Number.isInteger(this.#chunkSize) || this.#chunkSize < 1 || this.#chunkSize > MAX_CHUNK_SIZE) {
+            throw new CryptoError('ERR_BAD_ENVELOPE', 'Encrypted stream declares an invalid chunk size');
+        }
+
+        this.#key = keys.resolveDecryptKey(this.#keyOptions, header);
+        this.#buffer = this.#buffer.subarray(headerEnd);
+        return true;
+    }
+}
+
+module.exports = { DEFAULT_CHUNK_SIZE, EncryptStream, DecryptStream };
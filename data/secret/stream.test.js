@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { EncryptStream, DecryptStream } = require('./stream');
+
+const key = crypto.randomBytes(32);
+
+async function collect(source, transform) {
+    const chunks = [];
+    await pipeline(Readable.from(source), transform, async function (stream) {
+        for await (const chunk of stream) chunks.push(chunk);
+    });
+    return Buffer.concat(chunks);
+}
+
+async function seal(plaintext, options) {
+    return collect([plaintext], new EncryptStream(options));
+}
+
+test('streams round trip across chunk boundaries', async () => {
+    for (const [size, chunkSize] of [[0, 16], [1, 16], [16, 16], [17, 16], [1000, 64]]) {
+        const plaintext = crypto.randomBytes(size);
+        const sealed = await seal(plaintext, { key, chunkSize });
+        assert.deepEqual(await collect([sealed], new DecryptStream({ key })), plaintext);
+    }
+});
+
+test('streams decrypt input split at arbitrary points', async () => {
+    const plaintext = crypto.randomBytes(300);
+    const sealed = await seal(plaintext, { key, chunkSize: 32, mode: 'chacha20-poly1305' });
+    const pieces = [];
+    for (let i = 0; i < sealed.length; i += 7) pieces.push(sealed.subarray(i, i + 7));
+    assert.deepEqual(await collect(pieces, new DecryptStream({ key })), plaintext);
+});
+
+test('streams work with a passphrase', async () => {
+    const sealed = await seal(Buffer.from('streamed secret'), { passphrase: 'pw', kdfOptions: { N: 1024 } });
+    assert.equal((await collect([sealed], new DecryptStream({ passphrase: 'pw' }))).toString(), 'streamed secret');
+});
+
+test('streams detect tampering, truncation and trailing data', async () => {
+    const sealed = await seal(crypto.randomBytes(100), { key, chunkSize: 32 });
+
+    const tampered = Buffer.from(sealed);
+    tampered[tampered.length - 20] ^= 1;
+    await assert.rejects(collect([tampered], new DecryptStream({ key })), { code: 'ERR_DECRYPT_AUTH' });
+
+    await assert.rejects(collect([sealed.subarray(0, sealed.length - 30)], new DecryptStream({ key })), /truncated/);
+    await assert.rejects(collect([Buffer.concat([sealed, Buffer.from([0, 0, 0, 0])])], new DecryptStream({ key })), /Unexpected data/);
+    await assert.rejects(collect([sealed], new DecryptStream({ key: crypto.randomBytes(32) })), { code: 'ERR_DECRYPT_AUTH' });
+});
+
+test('streams reject unauthenticated modes and bad chunk sizes', () => {
+    assert.throws(() => new EncryptStream({ key, mode: 'cbc' }), { code: 'ERR_INVALID_OPTION' });
+    for (const chunkSize of [0, 1.5, -1, 2 ** 31]) {
+        assert.throws(() => new EncryptStream({ key, chunkSize }), { code: 'ERR_INVALID_OPTION' });
+    }
+});
+
+test('encryptFile and decryptFile round trip and clean up after failures', async () => {
+    const Encrypt = require('../encrypt');
+    const encryptor = new Encrypt();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encprime-stream-'));
+    try {
+        const plain = path.join(dir, 'plain.bin');
+        const sealed = path.join(dir, 'plain.bin.enc');
+        const restored = path.join(dir, 'restored.bin');
+        fs.writeFileSync(plain, crypto.randomBytes(200000));
+
+        await encryptor.encryptFile(plain, sealed, { key });
+        await encryptor.decryptFile(sealed, restored, { key });
+        assert.deepEqual(fs.readFileSync(restored), fs.readFileSync(plain));
+
+        const bytes = fs.readFileSync(sealed);
+        bytes[bytes.length - 1] ^= 1;
+        fs.writeFileSync(sealed, bytes);
+        fs.rmSync(restored);
+        await assert.rejects(encryptor.decryptFile(sealed, restored, { key }), { code: 'ERR_DECRYPT_AUTH' });
+        assert.equal(fs.existsSync(restored), false);
+
+        assert.throws(() => encryptor.aes(bytes.toString('hex'), { key, reverse: true }), /encrypted stream/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,63 @@
+// encPrime errors
+// ---------------------------------------------------------
+// Everything the package throws or rejects with is an EncPrimeError carrying a stable
+// `code`, so callers can branch on `error.code` instead of matching messages.
+
+const CODES = Object.freeze({
+    ERR_INVALID_OPTION: 'An argument or option has the wrong type or an unsupported value',
+    ERR_BAD_INPUT: 'The input cannot be processed, for example a character with no Morse code',
+    ERR_BAD_KEY: 'A key is missing, malformed, of the wrong type, or not the one the data was made with',
+    ERR_BAD_ENVELOPE: 'Ciphertext is malformed, truncated, or not the kind the method decrypts',
+    ERR_DECRYPT_AUTH: 'Decryption failed authentication: wrong key, wrong associated data or tampered data',
+    ERR_BAD_SIGNATURE: 'A JWS or JWT signature is invalid, or uses an algorithm that is not accepted',
+    ERR_TOKEN_EXPIRED: 'A JWT is past its "exp" time',
+    ERR_TOKEN_NOT_YET_VALID: 'A JWT is before its "nbf" time',
+    ERR_TOKEN_CLAIM: 'A JWT claim such as "aud" or "iss" does not match what the caller accepts',
+    ERR_BAD_SHARE: 'A secret share is damaged, from another split, or does not rebuild the secret',
+    ERR_KEYRING: 'The keyring does not allow the operation, for example retiring the current key',
+    ERR_MODEL_SHAPE: 'Data does not match the input or output size of the network',
+    ERR_MODEL_LOAD: 'A model could not be read or does not hold a network',
+    ERR_MODEL_INTEGRITY: 'A protected model file failed its MAC or signature check',
+    ERR_MODEL_TRAIN: 'Training failed',
+    ERR_MODEL_PREDICT: 'The network could not run, for example because it is untrained',
+    ERR_WORKER_FAILED: 'A worker thread threw, or exited before sending its result',
+    ERR_POOL_DESTROYED: 'A QunTime pool was destroyed before or while running the task',
+    ERR_ABORTED: 'A QunTime job was cancelled through its AbortSignal',
+    ERR_TIMEOUT: 'A QunTime job did not finish within its timeout',
+});
+
+/**
+ * Base class of every error thrown by encPrime.
+ *
+ * @example
+ *    try {
+ *        encryptor.aes(ciphertext, { key, reverse: true });
+ *    } catch (error) {
+ *        if (error.code === 'ERR_DECRYPT_AUTH') rejectMessage();
+ *        else throw error;
+ *    }
+ */
+class EncPrimeError extends Error {
+    /**
+     * @param {string} code - One of the keys of `CODES`.
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {*} [options.cause] - The underlying error.
+     */
+    constructor(code, message, options) {
+        super(message, options);
+        this.name = new.target.name;
+        this.code = code;
+    }
+}
+
+/** Key, envelope and authentication failures from `Encrypt` and `Keyring`. */
+class CryptoError extends EncPrimeError { }
+
+/** Shape, loading, training and prediction failures from `Tensor`. */
+class ModelError extends EncPrimeError { }
+
+/** Worker thread failures from `QunTime`. */
+class WorkerError extends EncPrimeError { }
+
+module.exports = { CODES, EncPrimeError, CryptoError, ModelError, WorkerError };
@@ -1,10 +1,20 @@
 const QunTime = require("./Tensor/QunTime");
 const { Tensor, NanoTensor } = require("./Tensor/tensor");
 const Encrypt = require("./data/encrypt");
+const Keyring = require("./data/keyring");
+const Prime = require("./data/prime");
+const { CODES, EncPrimeError, CryptoError, ModelError, WorkerError } = require("./errors");
 
 module.exports = {
     QunTime,
     Tensor,
     NanoTensor,
-    Encrypt
+    Encrypt,
+    Keyring,
+    Prime,
+    CODES,
+    EncPrimeError,
+    CryptoError,
+    ModelError,
+    WorkerError
 }
\ No newline at end of file
@@ -1 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
 
+test('exports the public classes and errors', () => {
+    const encPrime = require('./index');
+
+    for (const name of ['QunTime', 'Tensor', 'NanoTensor', 'Encrypt', 'Keyring', 'Prime']) {
+        assert.equal(typeof encPrime[name], 'function', name);
+    }
+    assert.ok(Object.isFrozen(encPrime.CODES));
+    for (const name of ['CryptoError', 'ModelError', 'WorkerError']) {
+        assert.ok(new encPrime[name]('ERR_BAD_INPUT', 'message') instanceof encPrime.EncPrimeError, name);
+    }
+});
+
+test('errors carry a stable code, a name and a cause', () => {
+    const { CODES, EncPrimeError, CryptoError } = require('./errors');
+    const cause = new Error('underlying');
+    const error = new CryptoError('ERR_BAD_KEY', 'Bad key', { cause });
+
+    assert.equal(error.code, 'ERR_BAD_KEY');
+    assert.equal(error.name, 'CryptoError');
+    assert.equal(error.cause, cause);
+    assert.ok(error instanceof EncPrimeError);
+    assert.ok(CODES[error.code]);
+});
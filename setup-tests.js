@@ -0,0 +1,14 @@
+// Preloaded by `npm test`.
+// brain.js loads gpu.js, which loads the native `gl` binding for headless WebGL. Where that
+// binding is not built, brain.js would not load at all, although nothing in encPrime runs on
+// the GPU: give gpu.js no WebGL context instead, so it sticks to the CPU.
+const Module = require('module');
+
+try {
+    require('gl');
+} catch {
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+        return request === 'gl' ? () => null : load.call(this, request, ...rest);
+    };
+}